@@ -8,6 +8,14 @@ const errorHandler = require('./middlewares/errorHandler.js');
 
 const app = express();
 
+// Detrás de un proxy (nginx, Render...) req.ip debe salir de X-Forwarded-For
+// para que los límites por IP no agrupen a todos los clientes
+if (process.env.TRUST_PROXY) {
+  const valor = process.env.TRUST_PROXY;
+  const hops = Number(valor);
+  app.set('trust proxy', valor === 'true' ? true : Number.isNaN(hops) ? valor : hops);
+}
+
 app.use(helmet({
   contentSecurityPolicy: false,
   crossOriginEmbedderPolicy: false
@@ -0,0 +1,46 @@
+const assetService = require('../services/assetService.js');
+const logger       = require('../config/logger.js');
+
+const getItemAssets = async (req, res, next) => {
+    try {
+        const unidades = await assetService.listAssets(req.params.id, req.query);
+        res.json(unidades);
+    } catch (error) {
+        next(error);
+    }
+};
+
+const createAsset = async (req, res, next) => {
+    try {
+        const asset = await assetService.createAsset(req.params.id, req.body);
+        logger.info(`Unidad registrada para item ${req.params.id}: ${asset.numero_placa || asset.serial || asset._id}`);
+        res.status(201).json(asset);
+    } catch (error) {
+        next(error);
+    }
+};
+
+const updateAsset = async (req, res, next) => {
+    try {
+        const asset = await assetService.updateAsset(req.params.id, req.body);
+        res.json(asset);
+    } catch (error) {
+        next(error);
+    }
+};
+
+const getAssetHistory = async (req, res, next) => {
+    try {
+        const result = await assetService.getAssetHistory(req.params.id);
+        res.json(result);
+    } catch (error) {
+        next(error);
+    }
+};
+
+module.exports = {
+    getItemAssets,
+    createAsset,
+    updateAsset,
+    getAssetHistory,
+};
\ No newline at end of file
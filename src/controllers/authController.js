@@ -1,13 +1,54 @@
 const bcrypt        = require('bcryptjs');
-const jwt           = require('jsonwebtoken');
 const crypto        = require('crypto');
 const User          = require('../models/User.js');
 const PasswordReset = require('../models/PasswordReset.js');
 const { sendPasswordReset, sendEmailHintToUser } = require('../services/mailService.js');
 const logger        = require('../config/logger.js');
+const { createSession, refreshSession, revokeSession, revokeAllSessions } = require('../services/sessionService.js');
+const { assertLoginAllowed, registerFailure, registerSuccess } = require('../services/loginGuardService.js');
+const { isRequiredFor, createChallenge, verifyChallenge, verifyUserCode } = require('../services/twoFactorService.js');
+const passwordPolicy = require('../services/passwordPolicyService.js');
+const emailVerification = require('../services/emailVerificationService.js');
+const { updateProfile } = require('../services/userProfileService.js');
 
-const signToken = (user) =>
-    jwt.sign({ sub: user._id, rol: user.rol }, process.env.JWT_SECRET, { expiresIn: '12h' });
+const sessionMeta = (req) => ({ userAgent: req.get('user-agent'), ip: req.ip });
+
+// Base del frontend para los enlaces que se envían por correo
+const frontendUrl = (req) => {
+    const rawUrl = process.env.FRONTEND_URL || req.headers.origin || 'http://localhost:5173';
+    return rawUrl.trim().replace(/\/api\/?$/, '').replace(/\/+$/, '');
+};
+
+// Errores de bloqueo (loginGuardService): se informa cuándo reintentar
+const handleLoginError = (error, res, next) => {
+    if (error.retryAfter) {
+        res.set('Retry-After', String(error.retryAfter));
+        return res.status(error.status).json({ message: error.message });
+    }
+    next(error);
+};
+
+// Cuenta desactivada por un administrador: se informa solo tras validar la
+// contraseña para no revelar el estado de cuentas ajenas
+const cuentaDesactivada = (res) =>
+    res.status(403).json({ message: 'Cuenta desactivada. Contacte al administrador' });
+
+// Respuesta común cuando la contraseña nueva incumple la política
+const policyError = (res, errores) =>
+    res.status(422).json({ message: 'La contraseña no cumple la política', errores });
+
+// Último paso del login: reinicia contadores y abre la sesión
+const completeLogin = async (req, res, user) => {
+    await registerSuccess(user, req.ip);
+    const tokens = await createSession(user, sessionMeta(req));
+    // Si la política exige 2FA y aún no lo configuró, la sesión solo sirve para enrolarse
+    const requiereEnrolamiento2FA = !user.two_factor?.activo && await isRequiredFor(user);
+    res.json({
+        ...tokens, nombre: user.nombre, rol: user.rol,
+        ...(requiereEnrolamiento2FA && { requiereEnrolamiento2FA }),
+        ...(user.bloqueado && { bloqueado: true, motivo_bloqueo: user.motivo_bloqueo }),
+    });
+};
 
 // ── register ──────────────────────────────────────────────────────────────────
 const register = async (req, res, next) => {
@@ -15,10 +56,21 @@ const register = async (req, res, next) => {
         const { nombre, email, password } = req.body;
         const existing = await User.findOne({ email });
         if (existing) return res.status(409).json({ message: 'Email ya registrado' });
-        const passwordHash = await bcrypt.hash(password, 10);
-        const user = await User.create({ nombre, email, passwordHash });
-        const token = signToken(user);
-        res.status(201).json({ token, nombre: user.nombre, rol: user.rol });
+        if (!emailVerification.isAllowedEmail(email)) {
+            return res.status(422).json({
+                message: `Solo se permite el registro con correos de: ${emailVerification.allowedDomains().join(', ')}`
+            });
+        }
+        const errores = await passwordPolicy.checkPassword(password, { email });
+        if (errores.length) return policyError(res, errores);
+        const passwordHash = await passwordPolicy.hashPassword(password);
+        const user = await User.create({
+            nombre, email, passwordHash, password_cambiado_en: new Date(), email_verificado: false
+        });
+        await emailVerification.sendVerification(user, frontendUrl(req));
+        // Puede iniciar sesión, pero no solicitar préstamos hasta verificar el correo
+        const tokens = await createSession(user, sessionMeta(req));
+        res.status(201).json({ ...tokens, nombre: user.nombre, rol: user.rol, email_verificado: false });
     } catch (error) { next(error); }
 };
 
@@ -27,11 +79,62 @@ const login = async (req, res, next) => {
     try {
         const { email, password } = req.body;
         const user = await User.findOne({ email });
-        if (!user) return res.status(401).json({ message: 'Credenciales inválidas' });
-        const isValid = await bcrypt.compare(password, user.passwordHash);
-        if (!isValid) return res.status(401).json({ message: 'Credenciales inválidas' });
-        const token = signToken(user);
-        res.json({ token, nombre: user.nombre, rol: user.rol });
+        await assertLoginAllowed(user, req.ip);
+        const isValid = user ? await bcrypt.compare(password, user.passwordHash) : false;
+        if (!isValid) {
+            await registerFailure(user, req.ip);
+            return res.status(401).json({ message: 'Credenciales inválidas' });
+        }
+        if (user.activo === false) return cuentaDesactivada(res);
+        // Con 2FA activo la contraseña no basta: los contadores de fallos no se
+        // reinician hasta completar el segundo paso
+        if (user.two_factor?.activo) {
+            return res.json({ requiere2FA: true, tokenDesafio: createChallenge(user) });
+        }
+        await completeLogin(req, res, user);
+    } catch (error) { handleLoginError(error, res, next); }
+};
+
+// ── login2FA — segundo paso: código TOTP o de recuperación ───────────────────
+const login2FA = async (req, res, next) => {
+    try {
+        const { tokenDesafio, codigo } = req.body;
+        const user = await User.findById(verifyChallenge(tokenDesafio));
+        if (!user) return res.status(401).json({ message: 'Usuario no encontrado' });
+        if (user.activo === false) return cuentaDesactivada(res);
+        await assertLoginAllowed(user, req.ip);
+        if (!(await verifyUserCode(user._id, codigo))) {
+            await registerFailure(user, req.ip);
+            return res.status(401).json({ message: 'Código de verificación inválido' });
+        }
+        await completeLogin(req, res, user);
+    } catch (error) { handleLoginError(error, res, next); }
+};
+
+// ── refresh — rota el refresh token y emite un access token nuevo ────────────
+const refresh = async (req, res, next) => {
+    try {
+        const tokens = await refreshSession(req.body.refreshToken, sessionMeta(req));
+        res.json(tokens);
+    } catch (error) {
+        if (error.status === 401) return res.status(401).json({ message: error.message });
+        next(error);
+    }
+};
+
+// ── logout — cierra la sesión del token actual ────────────────────────────────
+const logout = async (req, res, next) => {
+    try {
+        await revokeSession(req.sessionId, req.user._id);
+        res.json({ message: 'Sesión cerrada' });
+    } catch (error) { next(error); }
+};
+
+// ── logoutAll — cierra la sesión en todos los dispositivos ────────────────────
+const logoutAll = async (req, res, next) => {
+    try {
+        const sesiones = await revokeAllSessions(req.user._id);
+        res.json({ message: 'Sesión cerrada en todos los dispositivos', sesiones });
     } catch (error) { next(error); }
 };
 
@@ -53,6 +156,13 @@ const me = async (req, res) => {
     }
 };
 
+// ── updateMe — el usuario edita sus propios datos de perfil ──────────────────
+const updateMe = async (req, res, next) => {
+    try {
+        res.json(await updateProfile(req.user._id, req.body));
+    } catch (error) { next(error); }
+};
+
 // ── requestPasswordReset ──────────────────────────────────────────────────────
 const requestPasswordReset = async (req, res, next) => {
     try {
@@ -70,9 +180,7 @@ const requestPasswordReset = async (req, res, next) => {
             userId: user._id, token,
             expiresAt: new Date(Date.now() + 60 * 60 * 1000)
         });
-        const rawUrl = process.env.FRONTEND_URL || req.headers.origin || 'http://localhost:5173';
-        const frontendUrl = rawUrl.trim().replace(/\/api\/?$/, '').replace(/\/+$/, '');
-        const resetLink = `${frontendUrl}/reset-password?token=${token}`;
+        const resetLink = `${frontendUrl(req)}/reset-password?token=${token}`;
         logger.info(`🔗 Reset link: ${resetLink}`);
         setImmediate(async () => {
             try { await sendPasswordReset(user, resetLink); } catch (e) { logger.error(e.message); }
@@ -101,32 +209,85 @@ const resetPassword = async (req, res, next) => {
             token, used: false, expiresAt: { $gt: new Date() }
         });
         if (!resetRequest) return res.status(400).json({ message: 'Token inválido o expirado.' });
-        const user = await User.findById(resetRequest.userId);
+        const user = await User.findById(resetRequest.userId).select('+password_historial');
         if (!user) return res.status(404).json({ message: 'Usuario no encontrado' });
-        user.passwordHash = await bcrypt.hash(newPassword, 10);
-        await user.save();
-        resetRequest.used = true;
-        await resetRequest.save();
+        const errores = await passwordPolicy.checkPassword(newPassword, { user });
+        if (errores.length) return policyError(res, errores);
+        // Marca este y cualquier otro enlace pendiente como usado y cierra
+        // todas las sesiones abiertas con la contraseña anterior
+        await passwordPolicy.changePassword(user._id, newPassword);
         res.json({ message: 'Contraseña restablecida exitosamente.' });
     } catch (error) { next(error); }
 };
 
-// ── hintEmail ─────────────────────────────────────────────────────────────────
-const maskEmail = (email) => {
-    const [local, domain] = email.split('@');
-    const visible = Math.max(2, Math.floor(local.length / 3));
-    return local.slice(0, visible) + '*'.repeat(local.length - visible) + '@' + domain;
+// ── changePassword — usuario autenticado, exige la contraseña actual ────────
+const changePassword = async (req, res, next) => {
+    try {
+        const { passwordActual, passwordNueva } = req.body;
+        const user = await User.findById(req.user._id).select('+password_historial');
+        if (!user) return res.status(404).json({ message: 'Usuario no encontrado' });
+        if (!(await bcrypt.compare(passwordActual, user.passwordHash)))
+            return res.status(400).json({ message: 'La contraseña actual es incorrecta' });
+        const errores = await passwordPolicy.checkPassword(passwordNueva, { user });
+        if (errores.length) return policyError(res, errores);
+        // Se conserva la sesión actual; las demás se cierran
+        await passwordPolicy.changePassword(user._id, passwordNueva, { exceptSessionId: req.sessionId });
+        res.json({ message: 'Contraseña actualizada' });
+    } catch (error) { next(error); }
 };
 
+// ── GET / PUT /auth/password/politica ─────────────────────────────────────────
+const getPasswordPolicy = async (req, res, next) => {
+    try {
+        res.json(await passwordPolicy.getPasswordPolicy());
+    } catch (error) { next(error); }
+};
+
+const updatePasswordPolicy = async (req, res, next) => {
+    try {
+        const cambios = {};
+        for (const campo of Object.keys(passwordPolicy.POLITICA_DEFAULT)) {
+            if (req.body[campo] !== undefined) cambios[campo] = req.body[campo];
+        }
+        res.json(await passwordPolicy.setPasswordPolicy(cambios, req.user._id));
+    } catch (error) { next(error); }
+};
+
+// ── verifyEmail — confirma el correo con el token enviado al registrarse ────
+const verifyEmail = async (req, res, next) => {
+    try {
+        await emailVerification.verifyEmail(req.body.token);
+        res.json({ message: 'Correo verificado exitosamente.' });
+    } catch (error) { next(error); }
+};
+
+const resendVerification = async (req, res, next) => {
+    try {
+        await emailVerification.resendVerification(req.user._id, frontendUrl(req));
+        res.json({ message: 'Te enviamos un nuevo enlace de verificación.' });
+    } catch (error) { next(error); }
+};
+
+// ── hintEmail ─────────────────────────────────────────────────────────────────
+// El nombre debe coincidir completo (sin distinguir mayúsculas ni tildes) y el
+// recordatorio llega solo por correo: la respuesta es siempre la misma para
+// no revelar qué nombres están registrados.
 const hintEmail = async (req, res, next) => {
     try {
         const { nombre } = req.body;
         if (!nombre || nombre.trim().length < 2)
             return res.status(400).json({ message: 'Nombre requerido (mínimo 2 caracteres)' });
-        const regex = new RegExp(nombre.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
-        const users = await User.find({ nombre: regex }).select('nombre email').limit(5).lean();
-        const hints = users.map(u => ({ userId: u._id, nombre: u.nombre, emailHint: maskEmail(u.email) }));
-        res.json({ hints });
+        const users = await User.find({ nombre: nombre.trim() })
+            .collation({ locale: 'es', strength: 1 })
+            .select('nombre email').limit(5).lean();
+        if (users.length > 0) {
+            setImmediate(async () => {
+                for (const user of users) {
+                    try { await sendEmailHintToUser(user); } catch (err) { logger.error(err.message); }
+                }
+            });
+        }
+        res.json({ message: 'Si el nombre corresponde a una cuenta, enviaremos un correo con la dirección registrada.' });
     } catch (error) { next(error); }
 };
 
@@ -145,7 +306,9 @@ const sendEmailHint = async (req, res, next) => {
 };
 
 module.exports = {
-    register, login, me,
+    register, login, login2FA, refresh, logout, logoutAll, me, updateMe,
     requestPasswordReset, verifyResetToken, resetPassword,
+    changePassword, getPasswordPolicy, updatePasswordPolicy,
+    verifyEmail, resendVerification,
     hintEmail, sendEmailHint,
 };
\ No newline at end of file
@@ -11,20 +11,22 @@ const getAll = async (req, res, next) => {
 
 const create = async (req, res, next) => {
     try {
-        const { nombre, numero_identificacion } = req.body;
+        const { nombre, numero_identificacion, email } = req.body;
         const existente = await Cuentadante.findOne({ nombre: { $regex: `^${nombre.trim()}$`, $options: 'i' }, activo: true });
         if (existente) return res.status(409).json({ message: 'Ya existe un cuentadante activo con ese nombre' });
-        const doc = await Cuentadante.create({ nombre: nombre.trim(), numero_identificacion: numero_identificacion.trim() });
+        const doc = await Cuentadante.create({
+            nombre: nombre.trim(), numero_identificacion: numero_identificacion.trim(), email: email || undefined
+        });
         res.status(201).json(doc);
     } catch (err) { next(err); }
 };
 
 const update = async (req, res, next) => {
     try {
-        const { nombre, numero_identificacion } = req.body;
+        const { nombre, numero_identificacion, email } = req.body;
         const doc = await Cuentadante.findByIdAndUpdate(
             req.params.id,
-            { nombre: nombre.trim(), numero_identificacion: numero_identificacion.trim() },
+            { nombre: nombre.trim(), numero_identificacion: numero_identificacion.trim(), email: email || null },
             { new: true, runValidators: true }
         );
         if (!doc) return res.status(404).json({ message: 'Cuentadante no encontrado' });
@@ -0,0 +1,47 @@
+const incidentService = require('../services/incidentService.js');
+const logger          = require('../config/logger.js');
+
+const getIncidents = async (req, res, next) => {
+    try {
+        const incidentes = await incidentService.listIncidents(req.user, req.query);
+        res.json(incidentes);
+    } catch (error) {
+        next(error);
+    }
+};
+
+const getIncident = async (req, res, next) => {
+    try {
+        const incidente = await incidentService.getIncident(req.user, req.params.id);
+        res.json(incidente);
+    } catch (error) {
+        next(error);
+    }
+};
+
+const startInvestigation = async (req, res, next) => {
+    try {
+        const incidente = await incidentService.startInvestigation(req.user, req.params.id, req.body.observacion);
+        res.json(incidente);
+    } catch (error) {
+        next(error);
+    }
+};
+
+const resolveIncident = async (req, res, next) => {
+    try {
+        const { resolucion, observacion } = req.body;
+        const incidente = await incidentService.resolveIncident(req.user, req.params.id, { resolucion, observacion });
+        logger.info(`Incidente ${req.params.id} resuelto (${resolucion}) por ${req.user.email}`);
+        res.json(incidente);
+    } catch (error) {
+        next(error);
+    }
+};
+
+module.exports = {
+    getIncidents,
+    getIncident,
+    startInvestigation,
+    resolveIncident,
+};
\ No newline at end of file
@@ -1,38 +1,120 @@
 const Item      = require('../models/Item.js');
-const Zone      = require('../models/Zone.js');
-const Classroom = require('../models/Classroom.js');
 const logger    = require('../config/logger.js');
-
-const buildQuery = ({ zona, aula, q }) => {
+const { snapshotStock, recordMovement, listMovements } = require('../services/stockMovementService.js');
+const { getUnitsInLoan, getWindowAvailability } = require('../services/availabilityService.js');
+const { parsePagination, buildPage, emptyResult } = require('../utils/pagination.js');
+const { buildCsv, buildXlsx } = require('../services/itemExportService.js');
+const { parseItemSheet } = require('../services/itemSheetService.js');
+const { isUnitTracked, checkRepairUnits, repairUnits } = require('../services/assetService.js');
+const { listLowStockItems } = require('../services/lowStockService.js');
+const { MAX_FILAS, validateRows, planImport, describePlan, importItems } = require('../services/itemImportService.js');
+
+const ITEM_SORT_FIELDS = ['nombre', 'createdAt', 'cantidad_disponible', 'cantidad_total_stock', 'tipo_categoria', 'estado', 'codigo_unspsc'];
+
+// `q` usa el índice de texto (nombre, descripción, presentación): insensible a
+// mayúsculas y tildes, con stemming en español.
+const buildQuery = ({ zona, aula, q, tipo_categoria, estado, cuentadante, codigo_unspsc, numero_placa }) => {
     const query = {};
     if (zona) query.zona = zona;
     if (aula) query.aula = aula;
-    if (q)    query.nombre = { $regex: q, $options: 'i' };
+    if (q)    query.$text = { $search: q };
+    if (tipo_categoria) query.tipo_categoria = tipo_categoria;
+    if (estado)         query.estado = estado;
+    if (cuentadante)    query.cuentadante = cuentadante;
+    if (codigo_unspsc)  query.codigo_unspsc = codigo_unspsc;
+    if (numero_placa)   query.numero_placa = String(numero_placa).trim().toUpperCase();
     return query;
 };
 
+/**
+ * Restringe la consulta a los ambientes del Admin (req.adminScope).
+ * Devuelve false si el Admin no puede ver nada con esos filtros.
+ */
+const applyAdminScope = (query, adminScope) => {
+    if (!adminScope) return true;
+    if (adminScope.length === 0) return false;
+    if (query.aula) return adminScope.includes(String(query.aula));
+    query.aula = { $in: adminScope };
+    return true;
+};
+
 // ── GET /items ─────────────────────────────────────────────────────────────────
+// Sin page/limit devuelve el array completo; con ellos { data, total, page, pages }
 const getItems = async (req, res, next) => {
     try {
         const query = buildQuery(req.query);
+        const pagination = parsePagination(req.query, {
+            allowedSort: ITEM_SORT_FIELDS, defaultSort: { nombre: 1 },
+        });
 
         // ?inactivos=true → solo SuperAdmin vía ruta protegida
         const soloInactivos = req.query.inactivos === 'true';
         query.activo = soloInactivos ? false : true;
 
         // Si es Admin (no SuperAdmin), filtrar solo sus ambientes asignados
-        if (req.adminScope) {
-            if (req.adminScope.length === 0) return res.json([]);
-            if (query.aula) {
-                if (!req.adminScope.includes(String(query.aula))) return res.json([]);
-            } else {
-                query.aula = { $in: req.adminScope };
-            }
+        if (!applyAdminScope(query, req.adminScope)) return res.json(emptyResult(pagination));
+
+        // Con búsqueda de texto y sin orden explícito, primero los más relevantes
+        const projection = query.$text ? { score: { $meta: 'textScore' } } : undefined;
+        const sort = query.$text && !req.query.sort ? { score: { $meta: 'textScore' } } : pagination.sort;
+
+        if (!pagination.paginate) {
+            const items = await Item.find(query, projection)
+                .populate('zona aula cuentadante')
+                .sort(sort);
+            return res.json(items);
+        }
+
+        const [items, total] = await Promise.all([
+            Item.find(query, projection)
+                .populate('zona aula cuentadante')
+                .sort({ ...sort, _id: 1 })
+                .skip(pagination.skip)
+                .limit(pagination.limit),
+            Item.countDocuments(query),
+        ]);
+        res.json(buildPage(items, total, pagination));
+    } catch (error) {
+        next(error);
+    }
+};
+
+// ── GET /items/export?format=csv|xlsx ─────────────────────────────────────────
+// Mismos filtros y scope que GET /items. El archivo editado se reimporta en
+// /bulk?modo=actualizar, que fija el total de cada ítem en lugar de sumarlo.
+const exportItems = async (req, res, next) => {
+    try {
+        const format = req.query.format || 'csv';
+        const query = buildQuery(req.query);
+        query.activo = req.query.inactivos === 'true' ? false : true;
+
+        const items = applyAdminScope(query, req.adminScope)
+            ? await Item.find(query).populate('zona aula cuentadante').sort({ nombre: 1 }).lean()
+            : [];
+
+        const fecha = new Date().toISOString().slice(0, 10);
+        if (format === 'xlsx') {
+            const buffer = await buildXlsx(items);
+            res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+            res.setHeader('Content-Disposition', `attachment; filename="inventario-${fecha}.xlsx"`);
+            return res.send(Buffer.from(buffer));
         }
 
-        const items = await Item.find(query)
-            .populate('zona aula cuentadante')
-            .sort({ nombre: 1 });
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="inventario-${fecha}.csv"`);
+        res.send(buildCsv(items));
+    } catch (error) {
+        next(error);
+    }
+};
+
+// ── GET /items/bajo-stock ──────────────────────────────────────────────────────
+// Consumibles en su stock mínimo o por debajo (dashboard). Filtros: ?aula, ?zona
+const getLowStockItems = async (req, res, next) => {
+    try {
+        const items = await listLowStockItems({
+            aulaIds: req.adminScope, aula: req.query.aula, zona: req.query.zona,
+        });
         res.json(items);
     } catch (error) {
         next(error);
@@ -64,8 +146,14 @@ const createItem = async (req, res, next) => {
         } else {
             delete body.numero_placa;
         }
+        // El umbral de reorden solo aplica a consumibles
+        if (body.tipo_categoria !== 'Consumible') delete body.stock_minimo;
 
         const item = await Item.create(body);
+        await recordMovement(item, { disponible: 0, total: 0 }, {
+            tipo: 'registro', cantidad: item.cantidad_total_stock,
+            motivo: 'Registro inicial del ítem', usuario: req.user._id,
+        });
         res.status(201).json(item);
     } catch (error) {
         if (error.code === 11000 && error.keyPattern?.numero_placa) {
@@ -91,49 +179,51 @@ const updateItem = async (req, res, next) => {
         } else {
             delete body.numero_placa;
         }
+        if (body.tipo_categoria && body.tipo_categoria !== 'Consumible') body.stock_minimo = null;
 
         // Nunca permitir que el frontend sobreescriba cantidad_disponible directamente en edición.
         // El disponible solo se recalcula si cantidad_total_stock REALMENTE cambió respecto al valor en BD.
         delete body.cantidad_disponible;
+        // Los contadores de daño, mantenimiento y usos solo cambian con sus propios flujos
+        for (const campo of ['cantidad_danada', 'cantidad_mantenimiento', 'usos_desde_mantenimiento', 'aviso_mantenimiento_en'])
+            delete body[campo];
 
+        let itemActual = null;
         if (body.cantidad_total_stock !== undefined) {
             const nuevoTotal = Number(body.cantidad_total_stock);
 
             // Leer el ítem actual de BD para comparar
-            const itemActual = await Item.findById(req.params.id).lean();
+            itemActual = await Item.findById(req.params.id).lean();
             if (!itemActual) return res.status(404).json({ message: 'Ítem no encontrado' });
 
             const totalActual = itemActual.cantidad_total_stock;
 
             // Solo recalcular disponible si el total realmente cambió
             if (nuevoTotal !== totalActual) {
-                const Loan = require('../models/Loan.js');
-                const prestamosActivos = await Loan.find({
-                    estado: { $in: ['Aprobado', 'Aplazado'] },
-                    'items.item': req.params.id,
-                }).lean();
-
-                let unidadesEnPrestamo = 0;
-                for (const loan of prestamosActivos) {
-                    for (const li of loan.items) {
-                        if (String(li.item) === String(req.params.id) && li.estado_item === 'Aprobado') {
-                            unidadesEnPrestamo += (li.cantidad_prestamo - (li.cantidad_confirmada || 0));
-                        }
-                    }
-                }
+                const unidadesEnPrestamo = await getUnitsInLoan(req.params.id);
 
                 const diferencia = nuevoTotal - totalActual;
                 // El disponible sube/baja proporcionalmente al cambio del total,
                 // respetando las entradas y bajas ya aplicadas.
                 const nuevoDisponible = Math.max(0, itemActual.cantidad_disponible + diferencia);
-                // No puede superar el nuevo total menos lo que está en préstamo
-                body.cantidad_disponible = Math.min(nuevoDisponible, Math.max(0, nuevoTotal - unidadesEnPrestamo));
+                // No puede superar el nuevo total menos lo que está en préstamo, dañado o en mantenimiento
+                const fueraDeServicio = (itemActual.cantidad_danada || 0) + (itemActual.cantidad_mantenimiento || 0);
+                body.cantidad_disponible = Math.min(nuevoDisponible, Math.max(0, nuevoTotal - unidadesEnPrestamo - fueraDeServicio));
             }
             // Si el total no cambió → no se toca cantidad_disponible (se preservan entradas/bajas)
         }
 
         const item = await Item.findByIdAndUpdate(req.params.id, body, { new: true, runValidators: true });
         if (!item) return res.status(404).json({ message: 'Ítem no encontrado' });
+
+        if (itemActual && item.cantidad_total_stock !== itemActual.cantidad_total_stock) {
+            await recordMovement(item, snapshotStock(itemActual), {
+                tipo: 'edicion',
+                cantidad: Math.abs(item.cantidad_total_stock - itemActual.cantidad_total_stock),
+                motivo: 'Cambio del stock total desde la edición del ítem',
+                usuario: req.user._id,
+            });
+        }
         res.json(item);
     } catch (error) {
         if (error.code === 11000 && error.keyPattern?.numero_placa) {
@@ -202,40 +292,48 @@ const getItemStockInfo = async (req, res, next) => {
         const item = await Item.findById(req.params.id).lean();
         if (!item) return res.status(404).json({ message: 'Ítem no encontrado' });
 
-        const Loan = require('../models/Loan.js');
-        const prestamosActivos = await Loan.find({
-            estado: { $in: ['Aprobado', 'Aplazado'] },
-            'items.item': req.params.id,
-        }).lean();
-
-        let unidadesEnPrestamo = 0;
-        for (const loan of prestamosActivos) {
-            for (const li of loan.items) {
-                if (String(li.item) === String(req.params.id) && li.estado_item === 'Aprobado') {
-                    unidadesEnPrestamo += (li.cantidad_prestamo - (li.cantidad_confirmada || 0));
-                }
-            }
-        }
+        const unidadesEnPrestamo = await getUnitsInLoan(req.params.id);
 
         res.json({
             cantidad_total_stock: item.cantidad_total_stock,
             cantidad_disponible:  item.cantidad_disponible,
+            cantidad_danada:      item.cantidad_danada || 0,
+            cantidad_mantenimiento: item.cantidad_mantenimiento || 0,
             unidades_en_prestamo: unidadesEnPrestamo,
-            minimo_total_seguro:  unidadesEnPrestamo,
+            minimo_total_seguro:  unidadesEnPrestamo + (item.cantidad_danada || 0) + (item.cantidad_mantenimiento || 0),
         });
     } catch (error) {
         next(error);
     }
 };
 
+// ── GET /items/:id/disponibilidad?desde&hasta ─────────────────────────────────
+// Unidades libres del ítem en una ventana de tiempo (para reservas)
+const getItemAvailability = async (req, res, next) => {
+    try {
+        const item = await Item.findById(req.params.id).select('nombre cantidad_total_stock cantidad_disponible cantidad_danada cantidad_mantenimiento').lean();
+        if (!item) return res.status(404).json({ message: 'Ítem no encontrado' });
+
+        const desde = new Date(req.query.desde);
+        const hasta = new Date(req.query.hasta);
+        if (hasta <= desde)
+            return res.status(400).json({ message: '"hasta" debe ser posterior a "desde"' });
+
+        const disponibilidad = await getWindowAvailability(item, desde, hasta);
+        res.json({ item: { _id: item._id, nombre: item.nombre }, desde, hasta, ...disponibilidad });
+    } catch (error) {
+        next(error);
+    }
+};
+
 // ── POST /items/:id/ajuste-stock ───────────────────────────────────────────────
 const adjustStock = async (req, res, next) => {
     try {
-        const { tipo, cantidad, motivo } = req.body;
+        const { tipo, cantidad, motivo, unidades } = req.body;
         const cant = Number(cantidad);
 
-        if (!['entrada', 'baja', 'ajuste'].includes(tipo))
-            return res.status(400).json({ message: 'tipo debe ser "entrada", "baja" o "ajuste"' });
+        if (!['entrada', 'baja', 'ajuste', 'reparacion'].includes(tipo))
+            return res.status(400).json({ message: 'tipo debe ser "entrada", "baja", "ajuste" o "reparacion"' });
         if (!Number.isInteger(cant) || cant < 0)
             return res.status(400).json({ message: 'cantidad debe ser un entero mayor o igual a 0' });
         if (tipo !== 'ajuste' && cant < 1)
@@ -246,22 +344,21 @@ const adjustStock = async (req, res, next) => {
         const item = await Item.findById(req.params.id);
         if (!item) return res.status(404).json({ message: 'Ítem no encontrado' });
 
-        const Loan = require('../models/Loan.js');
-        const prestamosActivos = await Loan.find({
-            estado: { $in: ['Aprobado', 'Aplazado'] },
-            'items.item': req.params.id,
-        }).lean();
-
-        let unidadesEnPrestamo = 0;
-        for (const loan of prestamosActivos) {
-            for (const li of loan.items) {
-                if (String(li.item) === String(req.params.id) && li.estado_item === 'Aprobado') {
-                    unidadesEnPrestamo += (li.cantidad_prestamo - (li.cantidad_confirmada || 0));
-                }
-            }
-        }
-
-        if (tipo === 'entrada') {
+        const unidadesEnPrestamo = await getUnitsInLoan(req.params.id);
+        const danadas = item.cantidad_danada || 0;
+        const enMantenimiento = item.cantidad_mantenimiento || 0;
+
+        const antes = snapshotStock(item);
+        let reparadas = null;
+        if (tipo === 'reparacion') {
+            // Unidades dañadas que vuelven al disponible
+            if (cant > danadas)
+                return res.status(400).json({ message: `Solo hay ${danadas} unidad(es) dañadas o en reparación` });
+            if (await isUnitTracked(item._id))
+                reparadas = await checkRepairUnits(item._id, cant, unidades);
+            item.cantidad_danada      -= cant;
+            item.cantidad_disponible  += cant;
+        } else if (tipo === 'entrada') {
             item.cantidad_total_stock += cant;
             item.cantidad_disponible  += cant;
         } else if (tipo === 'baja') {
@@ -274,11 +371,12 @@ const adjustStock = async (req, res, next) => {
             item.cantidad_total_stock -= cant;
             item.cantidad_disponible  -= cant;
         } else {
-            const maxDisponiblePosible = item.cantidad_total_stock - unidadesEnPrestamo;
+            const maxDisponiblePosible = item.cantidad_total_stock - unidadesEnPrestamo - danadas - enMantenimiento;
             if (cant > maxDisponiblePosible) {
                 return res.status(400).json({
                     message: `El disponible máximo posible es ${maxDisponiblePosible} ` +
-                             `(total ${item.cantidad_total_stock} − ${unidadesEnPrestamo} en préstamo). ` +
+                             `(total ${item.cantidad_total_stock} − ${unidadesEnPrestamo} en préstamo − ${danadas} dañadas ` +
+                             `− ${enMantenimiento} en mantenimiento). ` +
                              `Si necesitas más, registra primero una Entrada.`
                 });
             }
@@ -286,6 +384,10 @@ const adjustStock = async (req, res, next) => {
         }
 
         await item.save();
+        if (reparadas) await repairUnits(reparadas);
+        await recordMovement(item, antes, {
+            tipo, cantidad: cant, motivo: motivo.trim(), usuario: req.user._id,
+        });
         logger.info(`Ajuste stock "${item.nombre}": tipo=${tipo} cant=${cant} motivo="${motivo}"`);
         res.json({ item, ajuste: { tipo, cantidad: cant, motivo, unidadesEnPrestamo } });
     } catch (error) {
@@ -293,149 +395,62 @@ const adjustStock = async (req, res, next) => {
     }
 };
 
+// ── GET /items/:id/movimientos ─────────────────────────────────────────────────
+// Kardex del ítem. Filtros opcionales: ?desde=ISO&hasta=ISO
+const getItemMovements = async (req, res, next) => {
+    try {
+        const item = await Item.findById(req.params.id).select('nombre cantidad_total_stock cantidad_disponible').lean();
+        if (!item) return res.status(404).json({ message: 'Ítem no encontrado' });
+
+        const movimientos = await listMovements(req.params.id, req.query);
+        res.json({ item, movimientos });
+    } catch (error) {
+        next(error);
+    }
+};
+
 // ── POST /items/bulk ───────────────────────────────────────────────────────────
 const bulkCreateItems = async (req, res, next) => {
     try {
-        const { items } = req.body;
+        // Archivo CSV/XLSX subido (multipart) o filas ya convertidas a JSON
+        const items = req.file ? await parseItemSheet(req.file) : req.body.items;
+        const dryRun = req.query.dryRun === 'true';
+        const atomic = req.query.atomic === 'true';
+        const modo   = req.query.modo || 'sumar';
 
         if (!Array.isArray(items) || items.length === 0)
-            return res.status(400).json({ message: 'Se requiere un array de ítems no vacío.' });
-        if (items.length > 500)
-            return res.status(400).json({ message: 'Máximo 500 ítems por importación.' });
-
-        const [todasZonas, todasAulas] = await Promise.all([
-            Zone.find({}).lean(),
-            Classroom.find({}).lean()
-        ]);
+            return res.status(400).json({ message: 'Se requiere un archivo con filas o un array de ítems no vacío.' });
+        if (items.length > MAX_FILAS)
+            return res.status(400).json({ message: `Máximo ${MAX_FILAS} ítems por importación.` });
 
         // Si es Admin, solo puede importar a sus ambientes asignados
         const adminScope = req.adminScope || null;
 
-        const placasExistentes = new Set(
-            (await Item.find({ numero_placa: { $exists: true, $ne: null } }, 'numero_placa').lean())
-                .map(i => i.numero_placa)
-        );
-        const placasEnLote = new Set();
-        const exitosos = [];
-        const fallidos = [];
-
-        for (let idx = 0; idx < items.length; idx++) {
-            const raw  = items[idx];
-            const fila = idx + 2;
-            const errores = [];
-
-            const nombre = (raw.nombre || '').trim();
-            if (!nombre) errores.push('nombre es obligatorio');
-
-            const tiposValidos = ['Consumible', 'De Uso Controlado', 'Equipo O Maquinaria'];
-            const tipo_categoria = (raw.tipo_categoria || '').trim();
-            if (!tiposValidos.includes(tipo_categoria))
-                errores.push(`tipo_categoria inválido: "${tipo_categoria}"`);
-
-            const cantidad_total_stock = parseInt(raw.cantidad_total_stock, 10);
-            if (isNaN(cantidad_total_stock) || cantidad_total_stock < 0)
-                errores.push('cantidad debe ser un número mayor o igual a 0');
-
-            const nombreZona = (raw.zona || '').trim();
-            const zonaDoc = todasZonas.find(z => z.nombre.toLowerCase() === nombreZona.toLowerCase());
-            if (!zonaDoc) errores.push(`Sede "${nombreZona}" no encontrada`);
-
-            const nombreAula = (raw.aula || '').trim();
-            let aulaDoc = null;
-            if (zonaDoc) {
-                aulaDoc = todasAulas.find(a =>
-                    a.nombre.toLowerCase() === nombreAula.toLowerCase() &&
-                    String(a.zona) === String(zonaDoc._id)
-                );
-                if (!aulaDoc) errores.push(`Ambiente "${nombreAula}" no encontrado en la sede "${nombreZona}"`);
-            }
-
-            // Validar scope del admin
-            if (aulaDoc && adminScope && !adminScope.includes(String(aulaDoc._id))) {
-                errores.push(`No tienes permiso para importar ítems al ambiente "${nombreAula}"`);
-            }
+        // Vista previa: qué pasaría con cada fila, sin escribir en la BD
+        if (dryRun) {
+            const { validos, fallidos } = await validateRows(items, { adminScope, modo });
+            const plan = await planImport(validos, { modo });
+            return res.status(200).json({ dryRun: true, total: items.length, ...describePlan(plan, fallidos) });
+        }
 
-            let numero_placa = null;
-            if (tipo_categoria === 'Equipo O Maquinaria') {
-                numero_placa = (raw.numero_placa || '').trim().toUpperCase();
-                if (!numero_placa) errores.push('numero_placa es obligatorio para Equipos O Maquinaria');
-                else if (placasExistentes.has(numero_placa)) errores.push(`La placa "${numero_placa}" ya existe`);
-                else if (placasEnLote.has(numero_placa))     errores.push(`La placa "${numero_placa}" está duplicada en el archivo`);
-                if (numero_placa && !placasExistentes.has(numero_placa) && !placasEnLote.has(numero_placa))
-                    placasEnLote.add(numero_placa);
-            }
+        const { repetido, aplicado, resultado } = await importItems(items, {
+            adminScope, atomic, modo, actorId: req.user._id, clave: req.get('Idempotency-Key') || null,
+        });
 
-            const cuentadanteId = raw.cuentadante;
-            if (!cuentadanteId) errores.push('cuentadante es obligatorio');
-
-            if (errores.length > 0) { fallidos.push({ fila, nombre: nombre || `Fila ${fila}`, errores }); continue; }
-
-            exitosos.push({
-                nombre,
-                descripcion:          (raw.descripcion   || '').trim() || undefined,
-                codigo_unspsc:        (raw.codigo_unspsc || '').trim() || undefined,
-                unidad_medida:        (raw.unidad_medida || '').trim() || undefined,
-                presentacion:         (raw.presentacion  || '').trim() || undefined,
-                zona:                 zonaDoc._id,
-                aula:                 aulaDoc._id,
-                cantidad_total_stock,
-                tipo_categoria,
-                numero_placa:         numero_placa || undefined,
-                cuentadante:          cuentadanteId,
-                _fila:                fila,
+        if (repetido) return res.status(200).json({ ...resultado, repetido: true });
+        if (!aplicado) {
+            return res.status(422).json({
+                message: 'Importación cancelada: hay filas con errores y no se aplicó ningún cambio.',
+                ...resultado,
             });
         }
-
-        let insertados = 0, actualizados = 0;
-        const erroresInsercion = [];
-
-        for (const doc of exitosos) {
-            const { _fila, ...campos } = doc;
-            try {
-                const esEquipo = campos.tipo_categoria === 'Equipo O Maquinaria';
-                if (esEquipo) {
-                    const nuevo = new Item({ ...campos, cantidad_disponible: campos.cantidad_total_stock,
-                        estado: campos.cantidad_total_stock > 0 ? 'Disponible' : 'Agotado' });
-                    await nuevo.save();
-                    insertados++;
-                } else {
-                    const existente = await Item.findOne({
-                        nombre: { $regex: `^${campos.nombre.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, $options: 'i' },
-                        zona: campos.zona, aula: campos.aula,
-                    });
-                    if (existente) {
-                        existente.cantidad_total_stock += campos.cantidad_total_stock;
-                        existente.cantidad_disponible  += campos.cantidad_total_stock;
-                        existente.estado = existente.cantidad_disponible > 0 ? 'Disponible' : 'Agotado';
-                        if (campos.descripcion)   existente.descripcion   = campos.descripcion;
-                        if (campos.codigo_unspsc) existente.codigo_unspsc = campos.codigo_unspsc;
-                        if (campos.unidad_medida) existente.unidad_medida = campos.unidad_medida;
-                        if (campos.presentacion)  existente.presentacion  = campos.presentacion;
-                        await existente.save();
-                        actualizados++;
-                    } else {
-                        await new Item({ ...campos, cantidad_disponible: campos.cantidad_total_stock,
-                            estado: campos.cantidad_total_stock > 0 ? 'Disponible' : 'Agotado' }).save();
-                        insertados++;
-                    }
-                }
-            } catch (err) {
-                logger.error(`[bulkCreate] Error fila ${_fila}: ${err.message}`);
-                erroresInsercion.push({ fila: _fila, nombre: campos.nombre, errores: [err.message] });
-            }
-        }
-
-        res.status(207).json({
-            total: items.length, insertados, actualizados,
-            fallidos: fallidos.length + erroresInsercion.length,
-            errores:  [...fallidos, ...erroresInsercion],
-        });
+        res.status(207).json(resultado);
     } catch (error) {
         next(error);
     }
 };
 
 module.exports = {
-    getItems, getItem, getItemStockInfo, adjustStock,
+    getItems, getItem, exportItems, getLowStockItems, getItemStockInfo, getItemAvailability, adjustStock, getItemMovements,
     createItem, updateItem, deleteItem, reactivarItem, bulkCreateItems,
 };
\ No newline at end of file
@@ -1,4 +1,5 @@
 const loanService = require('../services/loanService.js');
+const borrowingPolicy = require('../services/borrowingPolicyService.js');
 
 const getLoans = async (req, res, next) => {
   try {
@@ -32,6 +33,7 @@ const approveLoan = async (req, res) => {
       itemsToRemove,
       observacion_aprobacion,
       cuentadante_principal: cuentadante_principal || undefined,
+      actorId: req.user._id,
     });
     res.json(loan);
   } catch (error) {
@@ -41,7 +43,7 @@ const approveLoan = async (req, res) => {
 
 const rejectLoan = async (req, res) => {
   try {
-    const loan = await loanService.rejectLoan(req.params.id, req.body.observacion_rechazo);
+    const loan = await loanService.rejectLoan(req.params.id, req.body.observacion_rechazo, req.user._id);
     res.json(loan);
   } catch (error) {
     res.status(error.status || 400).json({ message: error.message });
@@ -50,7 +52,7 @@ const rejectLoan = async (req, res) => {
 
 const returnLoan = async (req, res) => {
   try {
-    const loan = await loanService.returnLoan(req.params.id);
+    const loan = await loanService.returnLoan(req.params.id, req.user._id);
     res.json(loan);
   } catch (error) {
     res.status(error.status || 400).json({ message: error.message });
@@ -59,7 +61,7 @@ const returnLoan = async (req, res) => {
 
 const confirmPartialReturn = async (req, res) => {
   try {
-    const { loanItemId, cantidadConfirmada, observacion_recepcion } = req.body;
+    const { loanItemId, cantidadConfirmada, observacion_recepcion, unidades, condiciones } = req.body;
     if (!loanItemId)
       return res.status(400).json({ message: 'loanItemId es requerido.' });
     const cant = Number(cantidadConfirmada);
@@ -69,7 +71,9 @@ const confirmPartialReturn = async (req, res) => {
       req.params.id,
       loanItemId,
       cant,
-      observacion_recepcion ? String(observacion_recepcion).trim() : undefined
+      observacion_recepcion ? String(observacion_recepcion).trim() : undefined,
+      req.user._id,
+      { unidades, condiciones }
     );
     res.json(result);
   } catch (error) {
@@ -77,9 +81,18 @@ const confirmPartialReturn = async (req, res) => {
   }
 };
 
+const deliverReservation = async (req, res) => {
+  try {
+    const loan = await loanService.deliverReservation(req.params.id, req.user._id, { entregas: req.body.entregas });
+    res.json(loan);
+  } catch (error) {
+    res.status(error.status || 400).json({ message: error.message });
+  }
+};
+
 const delayLoan = async (req, res) => {
   try {
-    const loan = await loanService.delayLoan(req.params.id, req.body.nueva_fecha_estimada);
+    const loan = await loanService.delayLoan(req.params.id, req.body.nueva_fecha_estimada, req.user._id);
     res.json(loan);
   } catch (error) {
     res.status(error.status || 400).json({ message: error.message });
@@ -95,6 +108,15 @@ const getLoan = async (req, res) => {
   }
 };
 
+const getLoanHistory = async (req, res) => {
+  try {
+    const historial = await loanService.getLoanHistory(req.user, req.params.id);
+    res.json(historial);
+  } catch (error) {
+    res.status(error.status || 400).json({ message: error.message });
+  }
+};
+
 const deleteLoan = async (req, res, next) => {
   try {
     await loanService.deleteLoan(req.params.id);
@@ -116,23 +138,62 @@ const notifyReturn = async (req, res, next) => {
 const forceCloseLoan = async (req, res) => {
   try {
     const { observacion_cierre } = req.body;
-    const loan = await loanService.forceCloseLoan(req.params.id, observacion_cierre?.trim() || undefined);
+    const loan = await loanService.forceCloseLoan(req.params.id, observacion_cierre?.trim() || undefined, req.user._id);
     res.json(loan);
   } catch (error) {
     res.status(error.status || 400).json({ message: error.message });
   }
 };
 
+// ── POST /prestamos/:id/incidentes ────────────────────────────────────────────
+const reportIncident = async (req, res, next) => {
+  try {
+    const { loanItemId, tipo, cantidad, unidades, descripcion } = req.body;
+    const incidente = await loanService.reportIncident(req.params.id, loanItemId, {
+      tipo, cantidad, unidades, descripcion,
+    }, req.user._id);
+    res.status(201).json(incidente);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// ── GET / PUT /prestamos/politica ─────────────────────────────────────────────
+const getBorrowingPolicy = async (req, res, next) => {
+  try {
+    res.json(await borrowingPolicy.getPolicy());
+  } catch (error) {
+    next(error);
+  }
+};
+
+const updateBorrowingPolicy = async (req, res, next) => {
+  try {
+    const cambios = {};
+    for (const campo of Object.keys(borrowingPolicy.POLITICA_DEFAULT)) {
+      if (req.body[campo] !== undefined) cambios[campo] = req.body[campo];
+    }
+    res.json(await borrowingPolicy.setPolicy(cambios, req.user._id));
+  } catch (error) {
+    next(error);
+  }
+};
+
 module.exports = {
   getLoans,
+  getBorrowingPolicy,
+  updateBorrowingPolicy,
   createLoan,
   approveLoan,
   rejectLoan,
   returnLoan,
   confirmPartialReturn,
   delayLoan,
+  deliverReservation,
   getLoan,
+  getLoanHistory,
   deleteLoan,
   notifyReturn,
-  forceCloseLoan
+  forceCloseLoan,
+  reportIncident
 };
\ No newline at end of file
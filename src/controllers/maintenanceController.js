@@ -0,0 +1,59 @@
+const maintenanceService = require('../services/maintenanceService.js');
+const logger             = require('../config/logger.js');
+
+const getMaintenance = async (req, res, next) => {
+    try {
+        const registros = await maintenanceService.listMaintenance(req.user, req.query);
+        res.json(registros);
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Ítems con el mantenimiento vencido (para el dashboard)
+const getDueItems = async (req, res, next) => {
+    try {
+        const items = await maintenanceService.listDueItems(req.user);
+        res.json(items);
+    } catch (error) {
+        next(error);
+    }
+};
+
+const getItemMaintenance = async (req, res, next) => {
+    try {
+        const result = await maintenanceService.getItemMaintenance(req.params.id);
+        res.json(result);
+    } catch (error) {
+        next(error);
+    }
+};
+
+const startMaintenance = async (req, res, next) => {
+    try {
+        const registro = await maintenanceService.startMaintenance(req.user, req.params.id, req.body);
+        logger.info(`Mantenimiento ${registro.tipo} iniciado para item ${req.params.id} (${registro.cantidad} ud.) por ${req.user.email}`);
+        res.status(201).json(registro);
+    } catch (error) {
+        next(error);
+    }
+};
+
+const finishMaintenance = async (req, res, next) => {
+    try {
+        const { resultado, observacion } = req.body;
+        const registro = await maintenanceService.finishMaintenance(req.user, req.params.id, { resultado, observacion });
+        logger.info(`Mantenimiento ${req.params.id} finalizado (${resultado}) por ${req.user.email}`);
+        res.json(registro);
+    } catch (error) {
+        next(error);
+    }
+};
+
+module.exports = {
+    getMaintenance,
+    getDueItems,
+    getItemMaintenance,
+    startMaintenance,
+    finishMaintenance,
+};
\ No newline at end of file
@@ -0,0 +1,63 @@
+const twoFactorService = require('../services/twoFactorService.js');
+
+// ── POST /auth/2fa/setup ──────────────────────────────────────────────────────
+// Devuelve el secreto y la URI otpauth:// para mostrar el código QR
+const setup2FA = async (req, res, next) => {
+    try {
+        const data = await twoFactorService.setup(req.user._id);
+        res.json(data);
+    } catch (error) { next(error); }
+};
+
+// ── POST /auth/2fa/verify ─────────────────────────────────────────────────────
+const verify2FA = async (req, res, next) => {
+    try {
+        const codigosRecuperacion = await twoFactorService.verifySetup(req.user._id, req.body.codigo);
+        res.json({
+            message: 'Verificación en dos pasos activada. Guarde los códigos de recuperación: no se volverán a mostrar.',
+            codigosRecuperacion,
+        });
+    } catch (error) { next(error); }
+};
+
+// ── POST /auth/2fa/disable ────────────────────────────────────────────────────
+const disable2FA = async (req, res, next) => {
+    try {
+        await twoFactorService.disable(req.user._id, req.body.password, req.body.codigo);
+        res.json({ message: 'Verificación en dos pasos desactivada' });
+    } catch (error) { next(error); }
+};
+
+// ── POST /auth/2fa/recovery-codes ─────────────────────────────────────────────
+const regenerateRecoveryCodes = async (req, res, next) => {
+    try {
+        const codigosRecuperacion = await twoFactorService.regenerateRecoveryCodes(req.user._id, req.body.codigo);
+        res.json({ codigosRecuperacion });
+    } catch (error) { next(error); }
+};
+
+// ── GET / PUT /auth/2fa/politica (SuperAdmin) ─────────────────────────────────
+const getPolicy2FA = async (req, res, next) => {
+    try {
+        res.json(await twoFactorService.getPolicy());
+    } catch (error) { next(error); }
+};
+
+const updatePolicy2FA = async (req, res, next) => {
+    try {
+        const politica = await twoFactorService.setPolicy(
+            { roles_obligatorios: [...new Set(req.body.roles_obligatorios)] },
+            req.user._id
+        );
+        res.json(politica);
+    } catch (error) { next(error); }
+};
+
+module.exports = {
+    setup2FA,
+    verify2FA,
+    disable2FA,
+    regenerateRecoveryCodes,
+    getPolicy2FA,
+    updatePolicy2FA,
+};
\ No newline at end of file
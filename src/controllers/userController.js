@@ -1,6 +1,12 @@
-const bcrypt = require('bcryptjs');
 const User = require('../models/User.js');
 const Classroom = require('../models/Classroom.js');
+const { revokeAllSessions } = require('../services/sessionService.js');
+const { unlockAccount } = require('../services/loginGuardService.js');
+const { checkPassword, hashPassword } = require('../services/passwordPolicyService.js');
+const { PERFIL_CAMPOS, updateProfile } = require('../services/userProfileService.js');
+const userStatus = require('../services/userStatusService.js');
+const borrowingPolicy = require('../services/borrowingPolicyService.js');
+const { listUsers } = require('../services/userListService.js');
 
 // Jerarquía de roles: SuperAdmin > Admin > Comun
 const ROLE_HIERARCHY = { SuperAdmin: 3, Admin: 2, Comun: 1 };
@@ -8,14 +14,30 @@ const ROLE_HIERARCHY = { SuperAdmin: 3, Admin: 2, Comun: 1 };
 const canManage = (actorRol, targetRol) =>
     (ROLE_HIERARCHY[actorRol] ?? 0) > (ROLE_HIERARCHY[targetRol] ?? 0);
 
+// Carga el usuario objetivo si el actor puede gestionarlo; si no, responde
+// el error y devuelve null
+const findManageable = async (req, res, accion) => {
+    if (req.user._id.toString() === req.params.id) {
+        res.status(400).json({ message: `No puedes ${accion} tu propia cuenta` });
+        return null;
+    }
+    const target = await User.findById(req.params.id).select('rol');
+    if (!target) {
+        res.status(404).json({ message: 'Usuario no encontrado' });
+        return null;
+    }
+    if (!canManage(req.user.rol, target.rol)) {
+        res.status(403).json({ message: `No tienes permiso para ${accion} usuarios con rol "${target.rol}"` });
+        return null;
+    }
+    return target;
+};
+
 // ── GET /users ─────────────────────────────────────────────────────────────────
+// Incluye prestamos_activos, prestamos_vencidos y prestamos_total por usuario
 const getUsers = async (req, res, next) => {
     try {
-        const users = await User.find()
-            .select('-passwordHash')
-            .populate('ambientes_asignados', 'nombre descripcion zona')
-            .sort({ createdAt: -1 });
-        res.json(users);
+        res.json(await listUsers(req.query));
     } catch (error) {
         next(error);
     }
@@ -49,15 +71,44 @@ const createUser = async (req, res, next) => {
             });
         }
 
-        const passwordHash = await bcrypt.hash(password, 10);
-        const user = await User.create({ nombre, email, passwordHash, rol: rolSolicitado });
-        const { passwordHash: _, ...userData } = user.toObject();
+        const errores = await checkPassword(password, { email });
+        if (errores.length) return res.status(422).json({ message: 'La contraseña no cumple la política', errores });
+
+        const perfil = {};
+        for (const campo of PERFIL_CAMPOS) {
+            if (campo !== 'nombre' && req.body[campo]) perfil[campo] = req.body[campo];
+        }
+
+        const passwordHash = await hashPassword(password);
+        const user = await User.create({
+            ...perfil, nombre, email, passwordHash, rol: rolSolicitado, password_cambiado_en: new Date()
+        });
+        const { passwordHash: _, password_historial: __, ...userData } = user.toObject();
         res.status(201).json(userData);
     } catch (error) {
         next(error);
     }
 };
 
+// ── PATCH /users/:id ───────────────────────────────────────────────────────────
+/**
+ * Edita los datos de perfil de un usuario de rol inferior al del actor.
+ */
+const updateUser = async (req, res, next) => {
+    try {
+        const target = await User.findById(req.params.id).select('rol');
+        if (!target) return res.status(404).json({ message: 'Usuario no encontrado' });
+        if (!canManage(req.user.rol, target.rol)) {
+            return res.status(403).json({
+                message: `No tienes permiso para editar usuarios con rol "${target.rol}"`
+            });
+        }
+        res.json(await updateProfile(target._id, req.body));
+    } catch (error) {
+        next(error);
+    }
+};
+
 // ── PATCH /users/:id/role ──────────────────────────────────────────────────────
 const updateUserRole = async (req, res, next) => {
     try {
@@ -87,8 +138,11 @@ const updateUserRole = async (req, res, next) => {
             target.ambientes_asignados = [];
         }
 
+        const cambiaRol = target.rol !== rol;
         target.rol = rol;
         await target.save();
+        // Con el rol nuevo debe volver a iniciar sesión en todos sus dispositivos
+        if (cambiaRol) await revokeAllSessions(target._id, 'cambio_rol');
         res.json(target);
     } catch (error) {
         next(error);
@@ -138,10 +192,138 @@ const updateUserAmbientes = async (req, res, next) => {
     }
 };
 
+// ── PATCH /users/:id/activo ────────────────────────────────────────────────────
+/**
+ * Body: { activo: boolean, motivo? }. Desactivar cierra sus sesiones y no se
+ * permite mientras tenga préstamos activos.
+ */
+const setUserActive = async (req, res, next) => {
+    try {
+        const target = await findManageable(req, res, 'cambiar el estado de');
+        if (!target) return;
+        res.json(await userStatus.setActive(target._id, req.body.activo, req.body.motivo));
+    } catch (error) {
+        next(error);
+    }
+};
+
+// ── PATCH /users/:id/bloqueo ───────────────────────────────────────────────────
+/**
+ * Body: { bloqueado: boolean, motivo? }. Un usuario bloqueado no puede
+ * solicitar préstamos.
+ */
+const setUserBlocked = async (req, res, next) => {
+    try {
+        const target = await findManageable(req, res, 'bloquear o desbloquear');
+        if (!target) return;
+        res.json(await userStatus.setBlocked(target._id, req.body.bloqueado, req.body.motivo));
+    } catch (error) {
+        next(error);
+    }
+};
+
+// ── DELETE /users/:id ──────────────────────────────────────────────────────────
+const deleteUser = async (req, res, next) => {
+    try {
+        const target = await findManageable(req, res, 'eliminar');
+        if (!target) return;
+        await userStatus.deleteUser(target._id);
+        res.json({ message: 'Usuario eliminado' });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// ── GET /users/:id/restricciones-prestamo ──────────────────────────────────────
+/**
+ * Reglas de la política de préstamos que el usuario incumple hoy y su
+ * excepción vigente, si tiene.
+ */
+const getBorrowingRestrictions = async (req, res, next) => {
+    try {
+        const user = await User.findById(req.params.id).select('excepcion_prestamo').lean();
+        if (!user) return res.status(404).json({ message: 'Usuario no encontrado' });
+        const restricciones = await borrowingPolicy.evaluateUser(user._id);
+        res.json({ restricciones, excepcion: user.excepcion_prestamo?.hasta ? user.excepcion_prestamo : null });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// ── POST / DELETE /users/:id/excepcion-prestamo ────────────────────────────────
+/**
+ * Autoriza al usuario a solicitar un préstamo pese a las reglas en modo
+ * 'autorizacion'. Body: { motivo, horas? (24) }. Solo SuperAdmin.
+ */
+const grantBorrowingException = async (req, res, next) => {
+    try {
+        const { motivo, horas } = req.body;
+        res.json(await borrowingPolicy.grantException(req.params.id, { motivo, horas }, req.user._id));
+    } catch (error) {
+        next(error);
+    }
+};
+
+const revokeBorrowingException = async (req, res, next) => {
+    try {
+        await borrowingPolicy.revokeException(req.params.id);
+        res.json({ message: 'Excepción revocada' });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// ── POST /users/:id/logout-all ─────────────────────────────────────────────────
+/**
+ * Cierra todas las sesiones de un usuario (p. ej. dispositivo perdido o robo
+ * de credenciales). Solo SuperAdmin.
+ */
+const revokeUserSessions = async (req, res, next) => {
+    try {
+        if (req.user.rol !== 'SuperAdmin') {
+            return res.status(403).json({ message: 'Solo el SuperAdmin puede cerrar sesiones de otros usuarios' });
+        }
+
+        const target = await User.findById(req.params.id).select('_id');
+        if (!target) return res.status(404).json({ message: 'Usuario no encontrado' });
+
+        const sesiones = await revokeAllSessions(target._id, 'admin');
+        res.json({ message: 'Sesiones del usuario cerradas', sesiones });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// ── PATCH /users/:id/desbloquear ───────────────────────────────────────────────
+/**
+ * Levanta el bloqueo por intentos fallidos de login. Solo SuperAdmin.
+ */
+const unlockUser = async (req, res, next) => {
+    try {
+        if (req.user.rol !== 'SuperAdmin') {
+            return res.status(403).json({ message: 'Solo el SuperAdmin puede desbloquear cuentas' });
+        }
+        const user = await unlockAccount(req.params.id);
+        if (!user) return res.status(404).json({ message: 'Usuario no encontrado' });
+        res.json(user);
+    } catch (error) {
+        next(error);
+    }
+};
+
 module.exports = {
     getUsers,
     createUser,
+    updateUser,
     updateUserRole,
     updateUserAmbientes,
+    setUserActive,
+    setUserBlocked,
+    deleteUser,
+    getBorrowingRestrictions,
+    grantBorrowingException,
+    revokeBorrowingException,
+    revokeUserSessions,
+    unlockUser,
     getUser
 };
\ No newline at end of file
@@ -0,0 +1,39 @@
+const cron = require('node-cron');
+const Item = require('../models/Item.js');
+const { listDueItems } = require('../services/maintenanceService.js');
+const { notifyMaintenanceDue } = require('../services/mailService.js');
+
+// Mientras siga vencido, un ítem se vuelve a avisar cada semana
+const DIAS_ENTRE_AVISOS = 7;
+
+/**
+ * Avisa al cuentadante y a los admins del ambiente de los ítems con el
+ * mantenimiento vencido que no se hayan avisado en los últimos días.
+ * Devuelve los ítems avisados.
+ */
+const notifyDueMaintenance = async (ahora = new Date()) => {
+    const limite = new Date(ahora.getTime() - DIAS_ENTRE_AVISOS * 24 * 60 * 60 * 1000);
+    const pendientes = (await listDueItems({}, ahora))
+        .filter(item => !item.aviso_mantenimiento_en || new Date(item.aviso_mantenimiento_en) <= limite);
+    if (pendientes.length === 0) return [];
+
+    await notifyMaintenanceDue(pendientes);
+    await Item.updateMany(
+        { _id: { $in: pendientes.map(item => item._id) } },
+        { $set: { aviso_mantenimiento_en: ahora } }
+    );
+    return pendientes;
+};
+
+const scheduleMaintenanceAlerts = () => {
+    // Mantenimientos vencidos (8am diario)
+    cron.schedule('0 8 * * *', async () => {
+        try {
+            await notifyDueMaintenance();
+        } catch (err) {
+            console.error('Error en job de mantenimientos:', err);
+        }
+    }, { timezone: process.env.TZ || 'America/Bogota' });
+};
+
+module.exports = { scheduleMaintenanceAlerts, notifyDueMaintenance };
\ No newline at end of file
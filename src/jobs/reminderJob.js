@@ -1,6 +1,7 @@
 const cron = require('node-cron');
 const Loan = require('../models/Loan.js');
-const { sendRecordatorio, sendVencimiento, notifyAdminsOverdueLoans } = require('../services/mailService.js');
+const { listLowStockItems } = require('../services/lowStockService.js');
+const { sendRecordatorio, sendVencimiento, notifyAdminsOverdueLoans, notifyAdminsLowStock } = require('../services/mailService.js');
 
 const scheduleLoanReminders = () => {
     // Recordatorio 24h antes de vencer (9am diario)
@@ -63,4 +64,16 @@ const scheduleLoanReminders = () => {
     }, { timezone: process.env.TZ || 'America/Bogota' });
 };
 
-module.exports = { scheduleLoanReminders };
\ No newline at end of file
+// Resumen diario de consumibles bajo su stock mínimo (7am) para los admins de cada ambiente
+const scheduleLowStockDigest = () => {
+    cron.schedule('0 7 * * *', async () => {
+        try {
+            const items = await listLowStockItems();
+            await notifyAdminsLowStock(items);
+        } catch (err) {
+            console.error('Error en job de bajo stock:', err);
+        }
+    }, { timezone: process.env.TZ || 'America/Bogota' });
+};
+
+module.exports = { scheduleLoanReminders, scheduleLowStockDigest };
\ No newline at end of file
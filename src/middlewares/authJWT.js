@@ -1,7 +1,14 @@
 const jwt = require ('jsonwebtoken');
 const User = require('../models/User.js');
+const { isSessionActive } = require('../services/sessionService.js');
+const { isRequiredFor } = require('../services/twoFactorService.js');
 
-const authJWT = async (req, res, next) => {
+/**
+ * Quien debe configurar 2FA y aún no lo ha hecho solo pasa por las rutas
+ * montadas con `permitirSinEnrolamiento` (authJWT.enrolamiento2FA): se marcan
+ * en el router y no dependen de la URL donde se monte la API.
+ */
+const autenticar = ({ permitirSinEnrolamiento = false } = {}) => async (req, res, next) => {
     try {
         const header = req.headers.authorization || '';
         const [type, token] = header.split(' ');
@@ -9,15 +16,35 @@ const authJWT = async (req, res, next) => {
             return res.status(401).json({ message: 'Token requerido' });
         }
         const payload = jwt.verify(token, process.env.JWT_SECRET);
+        // Solo se aceptan tokens ligados a una sesión vigente (no revocada)
+        if (!payload.sid || !(await isSessionActive(payload.sid, payload.sub))) {
+            return res.status(401).json({ message: 'Sesión expirada o revocada' });
+        }
         const user = await User.findById(payload.sub).lean();
         if (!user){
             return res.status(401).json({ message: 'Usuario no encontrado' });
         }
+        // Las sesiones se revocan al desactivar; esto cubre cualquier carrera
+        if (user.activo === false) {
+            return res.status(403).json({ message: 'Cuenta desactivada. Contacte al administrador' });
+        }
         req.user = user;
+        req.sessionId = payload.sid;
+
+        if (!permitirSinEnrolamiento && !user.two_factor?.activo && await isRequiredFor(user)) {
+            return res.status(403).json({
+                message: 'Debe activar la verificación en dos pasos para continuar',
+                requiereEnrolamiento2FA: true
+            });
+        }
         next();
     } catch (error) {
         return res.status(401).json({ message: 'Token inválido' });
     }
 };
 
+const authJWT = autenticar();
+// Perfil, cierre de sesión y el propio enrolamiento
+authJWT.enrolamiento2FA = autenticar({ permitirSinEnrolamiento: true });
+
 module.exports = authJWT;
\ No newline at end of file
@@ -0,0 +1,50 @@
+// Contadores en memoria de este proceso. Con varias instancias detrás de un
+// balanceador cada una limita por separado.
+const stores = new Set();
+
+/**
+ * Limita las peticiones por clave (IP por defecto) en una ventana fija.
+ * Responde 429 con Retry-After al superar `max`.
+ *
+ * @param {Object}   opts
+ * @param {number}   opts.windowMs      Duración de la ventana
+ * @param {number}   opts.max           Peticiones permitidas por ventana
+ * @param {string}   opts.message       Mensaje de la respuesta 429
+ * @param {Function} [opts.keyGenerator] (req) => clave; por defecto req.ip
+ */
+const rateLimit = ({ windowMs, max, message, keyGenerator = (req) => req.ip }) => {
+    const hits = new Map();
+    stores.add(hits);
+
+    return (req, res, next) => {
+        const ahora = Date.now();
+        const clave = keyGenerator(req);
+
+        if (hits.size > 10000) {
+            for (const [k, v] of hits) if (v.resetAt <= ahora) hits.delete(k);
+        }
+
+        let entrada = hits.get(clave);
+        if (!entrada || entrada.resetAt <= ahora) {
+            entrada = { count: 0, resetAt: ahora + windowMs };
+            hits.set(clave, entrada);
+        }
+        entrada.count++;
+
+        const segundos = Math.ceil((entrada.resetAt - ahora) / 1000);
+        res.set('RateLimit-Limit', String(max));
+        res.set('RateLimit-Remaining', String(Math.max(0, max - entrada.count)));
+        res.set('RateLimit-Reset', String(segundos));
+
+        if (entrada.count > max) {
+            res.set('Retry-After', String(segundos));
+            return res.status(429).json({ message });
+        }
+        next();
+    };
+};
+
+// Vacía todos los contadores (pruebas)
+const resetRateLimits = () => stores.forEach(s => s.clear());
+
+module.exports = { rateLimit, resetRateLimits };
\ No newline at end of file
@@ -15,6 +15,7 @@
 const Item      = require('../models/Item.js');
 const Loan      = require('../models/Loan.js');
 const Classroom = require('../models/Classroom.js');
+const Asset     = require('../models/Asset.js');
 
 // ── Helpers ────────────────────────────────────────────────────────────────────
 
@@ -109,6 +110,28 @@ const loanScope = async (req, res, next) => {
     }
 };
 
+/**
+ * Para rutas de unidades físicas (/unidades/:id).
+ * El ámbito lo da el aula del ítem al que pertenece la unidad.
+ */
+const assetScope = async (req, res, next) => {
+    try {
+        if (req.user.rol === 'SuperAdmin') return next();
+
+        const asset = await Asset.findById(req.params.id).populate('item', 'aula').lean();
+        if (!asset) return res.status(404).json({ message: 'Unidad no encontrada' });
+
+        if (!hasAmbiente(req.user, asset.item?.aula)) {
+            return res.status(403).json({
+                message: 'No tienes permiso para gestionar unidades de este ambiente'
+            });
+        }
+        next();
+    } catch (err) {
+        next(err);
+    }
+};
+
 /**
  * Para listar: inyecta en req.adminScope los ambientes del admin
  * para que los controladores filtren correctamente.
@@ -124,4 +147,4 @@ const injectScope = (req, res, next) => {
     next();
 };
 
-module.exports = { itemScope, loanScope, injectScope };
\ No newline at end of file
+module.exports = { itemScope, loanScope, assetScope, injectScope };
\ No newline at end of file
@@ -0,0 +1,32 @@
+const multer = require('multer');
+const path = require('path');
+
+const MAX_SIZE_MB = 5;
+const EXTENSIONES_HOJA = ['.csv', '.xlsx'];
+
+// El archivo se procesa en memoria: no se guarda en disco
+const uploadHoja = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_SIZE_MB * 1024 * 1024, files: 1 },
+    fileFilter: (req, file, cb) => {
+        const ext = path.extname(file.originalname || '').toLowerCase();
+        if (EXTENSIONES_HOJA.includes(ext)) return cb(null, true);
+        cb(Object.assign(new Error('Formato no soportado. Use un archivo .csv o .xlsx'), { status: 400 }));
+    }
+}).single('archivo');
+
+/**
+ * Acepta un archivo CSV/XLSX opcional en el campo `archivo` (multipart).
+ * Las peticiones JSON pasan sin cambios.
+ */
+const sheetUpload = (req, res, next) => {
+    uploadHoja(req, res, (err) => {
+        if (!err) return next();
+        const message = err.code === 'LIMIT_FILE_SIZE'
+            ? `El archivo supera el tamaño máximo de ${MAX_SIZE_MB} MB`
+            : err.message;
+        return res.status(400).json({ message });
+    });
+};
+
+module.exports = { sheetUpload };
\ No newline at end of file
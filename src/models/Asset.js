@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+// Unidad física de un ítem (p. ej. cada portátil de un lote de cinco).
+// El stock del ítem sigue mandando sobre las cantidades; las unidades
+// registradas permiten saber cuál se entregó y cuál volvió en cada préstamo.
+const assetSchema = new mongoose.Schema({
+    item: { type: mongoose.Schema.Types.ObjectId, ref: 'Item', required: true, index: true },
+
+    numero_placa: { type: String, trim: true, uppercase: true, maxlength: 50 },
+    serial:       { type: String, trim: true, maxlength: 100 },
+
+    condicion: {
+        type: String,
+        enum: ['Bueno', 'Regular', 'Dañado'],
+        default: 'Bueno'
+    },
+
+    // 'Disponible'    → en el ambiente, se puede entregar
+    // 'Prestado'      → entregada en el préstamo `prestamo_actual`
+    // 'En reparación' → devuelta dañada o incompleta (cuenta en Item.cantidad_danada)
+    // 'Perdido'       → no volvió; ya no cuenta en el stock total
+    // 'Baja'          → retirada al resolver un incidente (ver incidentService)
+    // 'Mantenimiento' → en mantenimiento o calibración (cuenta en Item.cantidad_mantenimiento)
+    estado: {
+        type: String,
+        enum: ['Disponible', 'Prestado', 'En reparación', 'Perdido', 'Baja', 'Mantenimiento'],
+        default: 'Disponible'
+    },
+    prestamo_actual: { type: mongoose.Schema.Types.ObjectId, ref: 'Loan', default: null },
+
+    // Ubicación dentro del ambiente del ítem (estante, locker, mesa…)
+    ubicacion:   { type: String, trim: true, maxlength: 120 },
+    observacion: { type: String, trim: true, maxlength: 500 },
+}, { timestamps: true });
+
+// No todas las unidades tienen placa o serial: sólo se exige unicidad cuando existen
+assetSchema.index({ numero_placa: 1 }, { unique: true, sparse: true });
+assetSchema.index({ item: 1, serial: 1 }, { unique: true, partialFilterExpression: { serial: { $type: 'string' } } });
+assetSchema.index({ item: 1, estado: 1 });
+
+module.exports = mongoose.model('Asset', assetSchema);
\ No newline at end of file
@@ -14,6 +14,13 @@ const cuentadanteSchema = new mongoose.Schema({
         minlength: 8,
         maxlength: 20
     },
+    // Opcional: recibe los avisos de mantenimiento de sus ítems
+    email: {
+        type: String,
+        trim: true,
+        lowercase: true,
+        maxlength: 150
+    },
     activo: {
         type: Boolean,
         default: true,
@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+const emailVerificationSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    token: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    expiresAt: {
+        type: Date,
+        required: true,
+        default: () => new Date(Date.now() + 24 * 60 * 60 * 1000)
+    },
+    used: {
+        type: Boolean,
+        default: false
+    }
+}, {
+    timestamps: true
+});
+
+emailVerificationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('EmailVerification', emailVerificationSchema);
\ No newline at end of file
@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+// Lote de importación masiva identificado por una clave de idempotencia.
+// Reenviar el mismo archivo con la misma clave devuelve el resultado guardado
+// en lugar de volver a sumar stock. Sin cabecera Idempotency-Key la clave se
+// deriva del contenido y el lote caduca (expiresAt) a las 24 horas.
+const importBatchSchema = new mongoose.Schema({
+    clave:   { type: String, required: true, trim: true, maxlength: 200 },
+    usuario: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+
+    // Huella SHA-256 de las filas enviadas
+    hash: { type: String, required: true },
+
+    // 'en_proceso' → importación en curso (si no avanza en 15 min se da por interrumpida)
+    // 'completado' → terminó; `resultado` guarda la respuesta enviada
+    // 'fallido'    → error inesperado o interrupción en modo no atómico (pudo quedar a medias)
+    estado: {
+        type: String,
+        enum: ['en_proceso', 'completado', 'fallido'],
+        default: 'en_proceso'
+    },
+
+    atomic:    { type: Boolean, default: false },
+    total:     { type: Number, min: 0 },
+    resultado: { type: mongoose.Schema.Types.Mixed },
+    error:     { type: String },
+    expiresAt: { type: Date },
+}, { timestamps: true });
+
+importBatchSchema.index({ usuario: 1, clave: 1 }, { unique: true });
+importBatchSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('ImportBatch', importBatchSchema);
\ No newline at end of file
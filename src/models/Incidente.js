@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+// Ciclo de vida: abierto → en investigación → repuesto | dado de baja
+const ESTADOS_INCIDENTE = ['abierto', 'en investigación', 'repuesto', 'dado de baja'];
+
+const incidenteHistorySchema = new mongoose.Schema({
+    de:          { type: String, enum: [...ESTADOS_INCIDENTE, null], default: null },
+    a:           { type: String, enum: ESTADOS_INCIDENTE, required: true },
+    usuario:     { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    fecha:       { type: Date, default: Date.now },
+    observacion: { type: String, trim: true, maxlength: 500 }
+}, { _id: false });
+
+// Daño, pérdida o robo de unidades prestadas, con el responsable y el
+// préstamo en que ocurrió. Se abre al confirmar una devolución con unidades
+// dañadas, incompletas o perdidas, al forzar el cierre de un préstamo con
+// unidades sin devolver o al reportarlo un admin sobre una línea activa.
+const incidenteSchema = new mongoose.Schema({
+    tipo: {
+        type: String,
+        enum: ['daño', 'pérdida', 'robo'],
+        required: true
+    },
+    estado: {
+        type: String,
+        enum: ESTADOS_INCIDENTE,
+        default: 'abierto'
+    },
+
+    prestamo:    { type: mongoose.Schema.Types.ObjectId, ref: 'Loan', required: true },
+    linea:       { type: mongoose.Schema.Types.ObjectId, required: true },   // _id de la línea en Loan.items
+    item:        { type: mongoose.Schema.Types.ObjectId, ref: 'Item', required: true },
+    aula:        { type: mongoose.Schema.Types.ObjectId, ref: 'Classroom' },
+    usuario:     { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },   // responsable (solicitante)
+    cuentadante: { type: mongoose.Schema.Types.ObjectId, ref: 'Cuentadante' },           // responsable del ítem
+
+    // Código de recepción que lo originó: dañado, incompleto o perdido
+    condicion: { type: String, enum: ['dañado', 'incompleto', 'perdido'], required: true },
+    cantidad:  { type: Number, required: true, min: 1 },
+    unidades:  [{ type: mongoose.Schema.Types.ObjectId, ref: 'Asset' }],
+
+    descripcion:   { type: String, trim: true, maxlength: 500 },
+    reportado_por: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+
+    resuelto_en:            { type: Date },
+    observacion_resolucion: { type: String, trim: true, maxlength: 500 },
+    historial:              { type: [incidenteHistorySchema], default: [] },
+}, { timestamps: true });
+
+incidenteSchema.index({ prestamo: 1 });
+incidenteSchema.index({ usuario: 1, estado: 1 });
+incidenteSchema.index({ item: 1, estado: 1 });
+incidenteSchema.index({ aula: 1, estado: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Incidente', incidenteSchema);
\ No newline at end of file
@@ -32,6 +32,20 @@ const itemSchema = new mongoose.Schema({
     required: true,
     min: 0
   },
+  // Unidades devueltas dañadas o incompletas: siguen en el total pero no se
+  // prestan hasta repararlas (ajuste-stock tipo 'reparacion')
+  cantidad_danada: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  // Unidades retiradas para mantenimiento o calibración: tampoco se prestan
+  // hasta finalizarlo (ver maintenanceService)
+  cantidad_mantenimiento: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
   imagen: {
     type: String,
     trim: true
@@ -48,9 +62,10 @@ const itemSchema = new mongoose.Schema({
     enum: ['Consumible', 'De Uso Controlado', 'Equipo O Maquinaria'],
     required: true
   },
+  // 'Bajo stock' solo aplica a consumibles con stock_minimo (ver calcularEstado)
   estado: {
     type: String,
-    enum: ['Disponible', 'Agotado'],
+    enum: ['Disponible', 'Bajo stock', 'Agotado'],
     required: true,
     default: 'Disponible'
   },
@@ -79,14 +94,71 @@ const itemSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Cuentadante',
     required: true
+  },
+  // Límites de préstamo del ítem; null = sin límite (ver borrowingPolicyService)
+  limite_por_prestamo: {
+    type: Number,
+    min: 1,
+    default: null
+  },
+  limite_por_usuario: {
+    type: Number,
+    min: 1,
+    default: null
+  },
+  max_dias_prestamo: {
+    type: Number,
+    min: 1,
+    default: null
+  },
+  // Consumibles: punto de reorden. Con el disponible en este valor o por
+  // debajo el ítem pasa a 'Bajo stock'; null = sin umbral
+  stock_minimo: {
+    type: Number,
+    min: 0,
+    default: null
+  },
+  // Plan de mantenimiento: vence cada N días desde el último y/o cada N
+  // unidades entregadas en préstamo; null = sin plan
+  mantenimiento_cada_dias: {
+    type: Number,
+    min: 1,
+    default: null
+  },
+  mantenimiento_cada_usos: {
+    type: Number,
+    min: 1,
+    default: null
+  },
+  ultimo_mantenimiento: {
+    type: Date,
+    default: null
+  },
+  usos_desde_mantenimiento: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  // Último aviso de mantenimiento vencido (jobs/maintenanceJob)
+  aviso_mantenimiento_en: {
+    type: Date,
+    default: null
   }
 }, {
   timestamps: true
 });
 
+const calcularEstado = ({ cantidad_disponible, tipo_categoria, stock_minimo }) => {
+  if (!(cantidad_disponible > 0)) return 'Agotado';
+  if (tipo_categoria === 'Consumible' && typeof stock_minimo === 'number' && cantidad_disponible <= stock_minimo) {
+    return 'Bajo stock';
+  }
+  return 'Disponible';
+};
+
 const syncEstado = (doc) => {
   if (!doc) return;
-  doc.estado = doc.cantidad_disponible > 0 ? 'Disponible' : 'Agotado';
+  doc.estado = calcularEstado(doc);
 };
 
 itemSchema.pre('save', function (next) {
@@ -94,23 +166,38 @@ itemSchema.pre('save', function (next) {
   next();
 });
 
-itemSchema.pre('findOneAndUpdate', function (next) {
-  const update = this.getUpdate();
-  if (!update) return next();
-  if (update.$set) {
-    if (typeof update.$set.cantidad_disponible === 'number') {
-      update.$set.estado = update.$set.cantidad_disponible > 0 ? 'Disponible' : 'Agotado';
-    }
-  }
-  if (typeof update.cantidad_disponible === 'number') {
-    update.estado = update.cantidad_disponible > 0 ? 'Disponible' : 'Agotado';
-  }
-  next();
+// Campos de los que depende el estado
+const CAMPOS_ESTADO = ['cantidad_disponible', 'tipo_categoria', 'stock_minimo'];
+
+// findOneAndUpdate (incluidos los $inc de préstamos y mantenimientos) no pasa
+// por el hook de save: se recalcula el estado con el documento ya actualizado.
+itemSchema.post('findOneAndUpdate', async function (doc) {
+  if (!doc) return;
+  const update = this.getUpdate() || {};
+  const tocaEstado = [update, update.$set, update.$inc]
+    .some(parte => parte && CAMPOS_ESTADO.some(campo => campo in parte));
+  if (!tocaEstado) return;
+
+  const { session, new: devuelveNuevo } = this.getOptions();
+  const actual = devuelveNuevo ? doc : await this.model.findById(doc._id).session(session || null).lean();
+  if (!actual) return;
+  const estado = calcularEstado(actual);
+  if (actual.estado === estado) return;
+
+  await this.model.updateOne({ _id: doc._id }, { $set: { estado } }, { session });
+  if (devuelveNuevo) doc.estado = estado;
 });
 
 // Índice compuesto de ubicación — un ítem no puede repetir nombre en el mismo ambiente y sede
 itemSchema.index({ aula: 1, zona: 1, nombre: 1 }, { unique: true });
 
+// Búsqueda del catálogo (?q=): diacritic-insensitive por ser índice de texto v3,
+// así "microscopio" encuentra "Microscópio"
+itemSchema.index(
+  { nombre: 'text', descripcion: 'text', presentacion: 'text' },
+  { name: 'item_text_search', default_language: 'spanish', weights: { nombre: 10, presentacion: 3, descripcion: 1 } }
+);
+
 // Unicidad de placa SENA — sparse: true para que null no cuente como duplicado
 // (los materiales no tienen placa, solo los equipos)
 itemSchema.index({ numero_placa: 1 }, { unique: true, sparse: true });
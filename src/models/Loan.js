@@ -26,6 +26,25 @@ const loanItemSchema = new mongoose.Schema({
     cantidad_confirmada: { type: Number, default: 0, min: 0 },
     notificacion_devolucion_enviada: { type: Boolean, default: false },
 
+    // Unidades físicas entregadas (sólo ítems con unidades registradas, ver Asset)
+    unidades: [{
+        asset:                  { type: mongoose.Schema.Types.ObjectId, ref: 'Asset', required: true },
+        entregada_en:           { type: Date, default: Date.now },
+        condicion_entrega:      { type: String },
+        devuelta_en:            { type: Date },
+        condicion_devolucion:   { type: String },   // código de recepción: bueno, dañado, incompleto, perdido
+        observacion_devolucion: { type: String, trim: true, maxlength: 500 }
+    }],
+
+    // Unidades recibidas con novedad (todo lo no listado llegó en buen estado)
+    novedades: [{
+        condicion:   { type: String, enum: ['dañado', 'incompleto', 'perdido'], required: true },
+        cantidad:    { type: Number, required: true, min: 1 },
+        observacion: { type: String, trim: true, maxlength: 500 },
+        fecha:       { type: Date, default: Date.now },
+        incidente:   { type: mongoose.Schema.Types.ObjectId, ref: 'Incidente' }
+    }],
+
     devoluciones_parciales: [{
         cantidad:              { type: Number, required: true, min: 0 },
         observacion:           { type: String, trim: true, maxlength: 500 },
@@ -37,6 +56,19 @@ const loanItemSchema = new mongoose.Schema({
     }]
 }, { _id: true });
 
+// ── Sub-esquema del historial de estados ──────────────────────────────────────
+// Una entrada por cada transición (o acción relevante) del préstamo:
+// quién la hizo, cuándo y con qué observación.
+const ESTADOS_PRESTAMO = ['Pendiente', 'Aprobado', 'Rechazado', 'Devuelto', 'Aplazado', 'Cerrado', 'Reservado'];
+
+const loanHistorySchema = new mongoose.Schema({
+    de:          { type: String, enum: [...ESTADOS_PRESTAMO, null], default: null },
+    a:           { type: String, enum: ESTADOS_PRESTAMO, required: true },
+    usuario:     { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    fecha:       { type: Date, default: Date.now },
+    observacion: { type: String, trim: true, maxlength: 500 }
+}, { _id: false });
+
 // ── Esquema principal ─────────────────────────────────────────────────────────
 const loanSchema = new mongoose.Schema({
     usuario: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
@@ -55,21 +87,33 @@ const loanSchema = new mongoose.Schema({
     fecha_estimada:         { type: Date },
     fecha_retorno:          { type: Date },
 
+    // Reserva: ventana de uso solicitada (p. ej. la fecha de una clase).
+    // Un préstamo aprobado con fecha_inicio futura queda 'Reservado' y no
+    // descuenta stock hasta que el admin registra la entrega.
+    fecha_inicio:           { type: Date },
+    fecha_fin:              { type: Date },
+
     estado: {
         type: String,
-        enum: ['Pendiente', 'Aprobado', 'Rechazado', 'Devuelto', 'Aplazado', 'Cerrado'],
+        enum: ESTADOS_PRESTAMO,
         default: 'Pendiente'
     },
 
+    historial: { type: [loanHistorySchema], default: [] },
+
     observacion_solicitud:  { type: String, trim: true, maxlength: 500 },
     destino_salida:         { type: String, trim: true, maxlength: 120 },
     observacion_rechazo:    { type: String, trim: true, maxlength: 500 },
     observacion_aprobacion: { type: String, trim: true, maxlength: 500 },
+    observacion_cierre:     { type: String, trim: true, maxlength: 500 },
     // Cuentadante seleccionado por el admin al aprobar (cuando hay múltiples en el préstamo)
     cuentadante_principal:  { type: mongoose.Schema.Types.ObjectId, ref: 'Cuentadante' },
 }, { timestamps: true });
 
 loanSchema.index({ usuario: 1, estado: 1 });
 loanSchema.index({ fecha_estimada: 1 });
+loanSchema.index({ fecha_solicitud: -1 });
+loanSchema.index({ 'items.item': 1, estado: 1, fecha_inicio: 1, fecha_fin: 1 });
+loanSchema.index({ 'items.unidades.asset': 1 });
 
 module.exports = mongoose.model('Loan', loanSchema);
\ No newline at end of file
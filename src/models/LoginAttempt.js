@@ -0,0 +1,21 @@
+const mongoose = require('mongoose');
+
+// Intentos de login fallidos por IP. El documento caduca 24 h después del
+// último fallo, con lo que también se olvida el nivel de bloqueo progresivo.
+const loginAttemptSchema = new mongoose.Schema({
+    ip: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    fallos:          { type: Number, default: 0 },
+    bloqueos:        { type: Number, default: 0 },
+    bloqueado_hasta: { type: Date, default: null },
+    expiresAt:       { type: Date, required: true }
+}, {
+    timestamps: true
+});
+
+loginAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('LoginAttempt', loginAttemptSchema);
\ No newline at end of file
@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+// Mantenimiento o calibración de unidades de un ítem. Al iniciarlo las
+// unidades salen del disponible (Item.cantidad_mantenimiento) y al
+// finalizarlo vuelven al disponible o, si el resultado no es conforme,
+// quedan como dañadas (ver maintenanceService).
+const mantenimientoSchema = new mongoose.Schema({
+    item: { type: mongoose.Schema.Types.ObjectId, ref: 'Item', required: true },
+    aula: { type: mongoose.Schema.Types.ObjectId, ref: 'Classroom' },
+
+    tipo: {
+        type: String,
+        enum: ['preventivo', 'calibración', 'correctivo'],
+        required: true
+    },
+    estado: {
+        type: String,
+        enum: ['en curso', 'finalizado'],
+        default: 'en curso'
+    },
+
+    cantidad: { type: Number, required: true, min: 1 },
+    unidades: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Asset' }],
+
+    // Técnico o empresa que realiza el servicio
+    tecnico:     { type: String, required: true, trim: true, maxlength: 150 },
+    descripcion: { type: String, trim: true, maxlength: 500 },
+
+    iniciado_en:  { type: Date, default: Date.now },
+    iniciado_por: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+
+    resultado:             { type: String, enum: ['conforme', 'no conforme'] },
+    observacion_resultado: { type: String, trim: true, maxlength: 500 },
+    finalizado_en:         { type: Date },
+    finalizado_por:        { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+}, { timestamps: true });
+
+mantenimientoSchema.index({ item: 1, iniciado_en: -1 });
+mantenimientoSchema.index({ aula: 1, estado: 1, iniciado_en: -1 });
+
+module.exports = mongoose.model('Mantenimiento', mantenimientoSchema);
\ No newline at end of file
@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+// Sesión de un dispositivo. El refresh token no se guarda en claro: solo su
+// hash SHA-256. Cada uso lo rota; el hash anterior se conserva para detectar
+// la reutilización de un token ya rotado (posible robo) y revocar la sesión.
+const sessionSchema = new mongoose.Schema({
+    usuario: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    refreshTokenHash:    { type: String, required: true },
+    refreshTokenPrevio:  { type: String },
+
+    userAgent: { type: String, maxlength: 500 },
+    ip:        { type: String, maxlength: 100 },
+
+    ultimoUso: { type: Date, default: Date.now },
+    expiresAt: { type: Date, required: true },
+
+    // 'logout' | 'logout_todos' | 'reutilizacion' | 'cambio_rol' | 'cambio_password' | 'admin'
+    revocadaEn:     { type: Date, default: null },
+    motivoRevocada: { type: String }
+}, {
+    timestamps: true
+});
+
+sessionSchema.index({ usuario: 1, revocadaEn: 1 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('Session', sessionSchema);
\ No newline at end of file
@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+
+// Configuración del sistema editable en caliente (clave → valor).
+// Ej: { clave: 'politica_2fa', valor: { admin_obligatorio: true } }
+const settingSchema = new mongoose.Schema({
+    clave: {
+        type: String,
+        required: true,
+        unique: true,
+        trim: true
+    },
+    valor: {
+        type: mongoose.Schema.Types.Mixed
+    },
+    actualizado_por: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+module.exports = mongoose.model('Setting', settingSchema);
\ No newline at end of file
@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+// Kardex: un documento por cada cambio en el stock de un ítem.
+// Los totales "antes" y "después" permiten reconstruir el histórico sin
+// depender del orden de inserción ni de los préstamos asociados.
+const stockMovementSchema = new mongoose.Schema({
+    item: { type: mongoose.Schema.Types.ObjectId, ref: 'Item', required: true },
+
+    // 'registro'       → alta del ítem (stock inicial)
+    // 'entrada'        → ingreso manual de unidades
+    // 'baja'           → salida definitiva de unidades
+    // 'ajuste'         → corrección manual del disponible
+    // 'edicion'        → cambio del total desde la edición del ítem
+    // 'importacion'    → alta o suma desde la carga masiva
+    // 'prestamo'       → unidades entregadas al aprobar un préstamo
+    // 'devolucion'     → unidades recibidas al confirmar una devolución
+    // 'cierre_forzado' → unidades liberadas al forzar el cierre de un préstamo
+    // 'dano'           → unidades devueltas dañadas/incompletas (pasan a cantidad_danada)
+    // 'perdida'        → unidades reportadas como perdidas en una devolución (salen del total)
+    // 'reparacion'     → unidades reparadas (de cantidad_danada al disponible)
+    // 'mantenimiento'  → unidades enviadas a mantenimiento (a cantidad_mantenimiento)
+    // 'fin_mantenimiento' → unidades que vuelven de mantenimiento (al disponible o a cantidad_danada)
+    tipo: {
+        type: String,
+        enum: ['registro', 'entrada', 'baja', 'ajuste', 'edicion', 'importacion', 'prestamo', 'devolucion', 'cierre_forzado',
+            'dano', 'perdida', 'reparacion', 'mantenimiento', 'fin_mantenimiento'],
+        required: true
+    },
+
+    cantidad: { type: Number, required: true, min: 0 },
+
+    disponible_antes:   { type: Number, required: true, min: 0 },
+    disponible_despues: { type: Number, required: true, min: 0 },
+    total_antes:        { type: Number, required: true, min: 0 },
+    total_despues:      { type: Number, required: true, min: 0 },
+
+    motivo:   { type: String, trim: true, maxlength: 500 },
+    usuario:  { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    prestamo: { type: mongoose.Schema.Types.ObjectId, ref: 'Loan' },
+}, { timestamps: true });
+
+stockMovementSchema.index({ item: 1, createdAt: -1 });
+stockMovementSchema.index({ prestamo: 1 });
+
+module.exports = mongoose.model('StockMovement', stockMovementSchema);
\ No newline at end of file
@@ -19,19 +19,141 @@ const userSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  // Hashes de contraseñas anteriores (más reciente primero) para impedir
+  // reutilizarlas; ver passwordPolicyService
+  password_historial: {
+    type: [String],
+    select: false
+  },
+  password_cambiado_en: {
+    type: Date,
+    default: null
+  },
   rol: {
     type: String,
     enum: ['SuperAdmin', 'Admin', 'Comun'],
     default: 'Comun'
   },
+  // Estado administrativo (ver userStatusService). Una cuenta inactiva no
+  // puede iniciar sesión; una bloqueada entra pero no puede pedir préstamos.
+  activo: {
+    type: Boolean,
+    default: true
+  },
+  motivo_inactivo: {
+    type: String,
+    trim: true,
+    maxlength: 300,
+    default: null
+  },
+  desactivado_en: {
+    type: Date,
+    default: null
+  },
+  bloqueado: {
+    type: Boolean,
+    default: false
+  },
+  motivo_bloqueo: {
+    type: String,
+    trim: true,
+    maxlength: 300,
+    default: null
+  },
+  bloqueado_en: {
+    type: Date,
+    default: null
+  },
+  // Autorización de un SuperAdmin para solicitar un préstamo pese a la
+  // política (ver borrowingPolicyService). Se consume al usarla.
+  excepcion_prestamo: {
+    hasta:        { type: Date },
+    motivo:       { type: String, trim: true, maxlength: 300 },
+    otorgada_por: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+  },
+  // Datos de perfil de aprendices e instructores (quién tiene el equipo)
+  tipo_documento: {
+    type: String,
+    enum: ['CC', 'TI', 'CE', 'PPT', 'PEP', 'Pasaporte', null],
+    default: null
+  },
+  numero_documento: {
+    type: String,
+    trim: true,
+    maxlength: 20,
+    default: null
+  },
+  telefono: {
+    type: String,
+    trim: true,
+    maxlength: 20,
+    default: null
+  },
+  ficha: {
+    type: String,
+    trim: true,
+    maxlength: 20,
+    default: null
+  },
+  programa: {
+    type: String,
+    trim: true,
+    maxlength: 150,
+    default: null
+  },
+  instructor_responsable: {
+    type: String,
+    trim: true,
+    maxlength: 100,
+    default: null
+  },
+  // Las cuentas creadas con /auth/register quedan pendientes hasta confirmar
+  // el correo. El valor por defecto cubre usuarios creados por un admin y los
+  // ya existentes antes de este campo.
+  email_verificado: {
+    type: Boolean,
+    default: true
+  },
+  email_verificado_en: {
+    type: Date,
+    default: null
+  },
   ambientes_asignados: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Classroom'
-  }]
+  }],
+  // Protección contra fuerza bruta (ver loginGuardService)
+  intentos_fallidos: {
+    type: Number,
+    default: 0
+  },
+  bloqueos_login: {
+    type: Number,
+    default: 0
+  },
+  bloqueo_login_hasta: {
+    type: Date,
+    default: null
+  },
+  // Verificación en dos pasos (TOTP). Los secretos van cifrados y no se
+  // devuelven en las consultas salvo que se pidan con select('+...')
+  two_factor: {
+    activo:               { type: Boolean, default: false },
+    secreto:              { type: String, select: false },
+    secreto_pendiente:    { type: String, select: false },
+    codigos_recuperacion: { type: [String], select: false },
+    ultimo_paso:          { type: Number, select: false },
+    activado_en:          { type: Date }
+  }
 }, {
   timestamps: true
 });
 
 userSchema.index({ email: 1 }, { unique: true });
+userSchema.index(
+  { tipo_documento: 1, numero_documento: 1 },
+  { unique: true, partialFilterExpression: { numero_documento: { $type: 'string' } } }
+);
+userSchema.index({ ficha: 1 });
 
 module.exports = mongoose.model('User', userSchema);
\ No newline at end of file
@@ -0,0 +1,18 @@
+const express = require('express');
+const { updateAsset, getAssetHistory } = require('../controllers/assetController.js');
+const authJWT    = require('../middlewares/authJWT.js');
+const roleGuard  = require('../middlewares/roleGuard.js');
+const validate   = require('../middlewares/validate.js');
+const { assetScope } = require('../middlewares/scopeGuard.js');
+const { assetBody } = require('../validators/assetValidator.js');
+
+const router = express.Router();
+
+// Unidades físicas: Admin restringido al ambiente del ítem de la unidad
+// (el alta y el listado cuelgan de /items/:id/unidades)
+router.use(authJWT, roleGuard(['Admin']));
+
+router.put('/:id',          assetScope, assetBody, validate, updateAsset);
+router.get('/:id/historial', assetScope, getAssetHistory);
+
+module.exports = router;
\ No newline at end of file
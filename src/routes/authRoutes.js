@@ -1,32 +1,113 @@
 const express = require('express');
-const { register, login, me, requestPasswordReset, verifyResetToken, resetPassword, hintEmail, sendEmailHint } = require('../controllers/authController.js');
+const {
+    register, login, login2FA, refresh, logout, logoutAll, me, updateMe, requestPasswordReset, verifyResetToken, resetPassword,
+    changePassword, getPasswordPolicy, updatePasswordPolicy, verifyEmail, resendVerification,
+    hintEmail, sendEmailHint
+} = require('../controllers/authController.js');
+const {
+    setup2FA, verify2FA, disable2FA, regenerateRecoveryCodes, getPolicy2FA, updatePolicy2FA
+} = require('../controllers/twoFactorController.js');
 const authJWT = require('../middlewares/authJWT.js');
+const roleGuard = require('../middlewares/roleGuard.js');
 const validate = require('../middlewares/validate.js');
+const { rateLimit } = require('../middlewares/rateLimit.js');
 const { registerValidator, loginValidator } = require('../validators/authValidator.js');
+const { profileValidator } = require('../validators/userValidator.js');
 const { body } = require('express-validator');
 
 const router = express.Router();
 
+// Límites por IP para endpoints públicos sensibles a fuerza bruta y enumeración
+const MIN = 60 * 1000;
+const loginLimiter = rateLimit({
+    windowMs: 15 * MIN, max: 30,
+    message: 'Demasiados intentos de inicio de sesión. Intente más tarde.'
+});
+const resetLimiter = rateLimit({
+    windowMs: 60 * MIN, max: 5,
+    message: 'Demasiadas solicitudes de recuperación. Intente más tarde.'
+});
+const hintLimiter = rateLimit({
+    windowMs: 60 * MIN, max: 10,
+    message: 'Demasiadas búsquedas de cuenta. Intente más tarde.'
+});
+const verificationLimiter = rateLimit({
+    windowMs: 60 * MIN, max: 5,
+    message: 'Demasiados envíos de verificación. Intente más tarde.'
+});
+const sendHintLimiter = rateLimit({
+    windowMs: 60 * MIN, max: 5,
+    message: 'Demasiados envíos de correo. Intente más tarde.'
+});
+
 const resetRequestValidator = [
     body('email').trim().isEmail().withMessage('Email inválido')
 ];
 
 const resetPasswordValidator = [
     body('token').notEmpty().withMessage('Token requerido'),
-    body('newPassword').isLength({ min: 8 }).withMessage('Password mínimo 8 caracteres')
+    body('newPassword').isString().notEmpty().withMessage('Password requerido')
+];
+
+// Longitud, tipos de caracteres e historial los comprueba passwordPolicyService
+const changePasswordValidator = [
+    body('passwordActual').isString().notEmpty().withMessage('Contraseña actual requerida'),
+    body('passwordNueva').isString().notEmpty().withMessage('Contraseña nueva requerida')
+];
+
+const passwordPolicyValidator = [
+    body('longitud_minima').optional().isInt({ min: 6, max: 128 }).withMessage('longitud_minima debe estar entre 6 y 128').toInt(),
+    body(['requiere_mayuscula', 'requiere_minuscula', 'requiere_numero', 'requiere_simbolo'])
+        .optional().isBoolean().withMessage('Debe ser true o false').toBoolean(),
+    body('historial').optional().isInt({ min: 0, max: 24 }).withMessage('historial debe estar entre 0 y 24').toInt()
 ];
 
 router.post('/register', registerValidator, validate, register);
-router.post('/login', loginValidator, validate, login);
-router.get('/me', authJWT, me);
+router.post('/login', loginLimiter, loginValidator, validate, login);
+// Verificación en dos pasos (TOTP)
+const codigoValidator = body('codigo').trim().notEmpty().withMessage('Código requerido');
+
+router.post('/2fa/login', loginLimiter, [
+    body('tokenDesafio').notEmpty().withMessage('tokenDesafio requerido'),
+    codigoValidator
+], validate, login2FA);
+// authJWT.enrolamiento2FA: rutas abiertas a quien aún debe configurar el 2FA obligatorio
+router.post('/2fa/setup', authJWT.enrolamiento2FA, setup2FA);
+router.post('/2fa/verify', authJWT.enrolamiento2FA, [codigoValidator], validate, verify2FA);
+router.post('/2fa/disable', authJWT, [
+    body('password').notEmpty().withMessage('Password requerido'),
+    codigoValidator
+], validate, disable2FA);
+router.post('/2fa/recovery-codes', authJWT, [codigoValidator], validate, regenerateRecoveryCodes);
+router.get('/2fa/politica', authJWT, roleGuard(['SuperAdmin']), getPolicy2FA);
+router.put('/2fa/politica', authJWT, roleGuard(['SuperAdmin']), [
+    body('roles_obligatorios').isArray().withMessage('roles_obligatorios debe ser un array'),
+    body('roles_obligatorios.*').isIn(['Admin', 'SuperAdmin']).withMessage('Solo se puede exigir 2FA a Admin o SuperAdmin')
+], validate, updatePolicy2FA);
+
+router.post('/verify-email', [
+    body('token').isString().notEmpty().withMessage('Token requerido')
+], validate, verifyEmail);
+router.post('/resend-verification', authJWT, verificationLimiter, resendVerification);
+
+router.post('/refresh', [
+    body('refreshToken').isString().notEmpty().withMessage('refreshToken requerido')
+], validate, refresh);
+router.post('/logout', authJWT.enrolamiento2FA, logout);
+router.post('/logout-all', authJWT.enrolamiento2FA, logoutAll);
+router.get('/me', authJWT.enrolamiento2FA, me);
+router.patch('/me', authJWT.enrolamiento2FA, profileValidator, validate, updateMe);
 
-router.post('/request-password-reset', resetRequestValidator, validate, requestPasswordReset);
+router.post('/request-password-reset', resetLimiter, resetRequestValidator, validate, requestPasswordReset);
 router.get('/verify-reset-token/:token', verifyResetToken);
 router.post('/reset-password', resetPasswordValidator, validate, resetPassword);
-router.post('/hint-email', [
+router.patch('/password', authJWT, changePasswordValidator, validate, changePassword);
+router.get('/password/politica', getPasswordPolicy);
+router.put('/password/politica', authJWT, roleGuard(['SuperAdmin']), passwordPolicyValidator, validate, updatePasswordPolicy);
+router.post('/hint-email', hintLimiter, [
     body('nombre').trim().notEmpty().withMessage('Nombre requerido')
 ], validate, hintEmail);
-router.post('/send-email-hint', [
+router.post('/send-email-hint', sendHintLimiter, [
     body('userId').notEmpty().withMessage('userId requerido')
 ], validate, sendEmailHint);
 
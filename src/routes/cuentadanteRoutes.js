@@ -8,7 +8,8 @@ const validate  = require('../middlewares/validate.js');
 const router = express.Router();
 
 const bodyValidator = [
-    body('nombre').trim().notEmpty().withMessage('El nombre es obligatorio').isLength({ max: 150 })
+    body('nombre').trim().notEmpty().withMessage('El nombre es obligatorio').isLength({ max: 150 }),
+    body('email').optional({ nullable: true, checkFalsy: true }).trim().isEmail().withMessage('Email inválido')
 ];
 
 router.use(authJWT);
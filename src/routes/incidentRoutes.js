@@ -0,0 +1,28 @@
+const express = require('express');
+const {
+    getIncidents,
+    getIncident,
+    startInvestigation,
+    resolveIncident,
+} = require('../controllers/incidentController.js');
+const authJWT   = require('../middlewares/authJWT.js');
+const roleGuard = require('../middlewares/roleGuard.js');
+const validate  = require('../middlewares/validate.js');
+const {
+    resolveIncidentValidator,
+    investigationValidator,
+    listIncidentsQuery,
+} = require('../validators/incidentValidator.js');
+
+const router = express.Router();
+
+// Admin ve y gestiona los incidentes de sus ambientes (el servicio aplica el scope).
+// Se crean desde la devolución, el cierre forzado o POST /prestamos/:id/incidentes.
+router.use(authJWT, roleGuard(['Admin']));
+
+router.get('/',                 listIncidentsQuery, validate, getIncidents);
+router.get('/:id',              getIncident);
+router.patch('/:id/investigacion', investigationValidator, validate, startInvestigation);
+router.post('/:id/resolver',    resolveIncidentValidator, validate, resolveIncident);
+
+module.exports = router;
\ No newline at end of file
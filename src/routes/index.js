@@ -6,6 +6,9 @@ const itemRoutes = require('./itemRoutes.js');
 const loanRoutes = require('./loanRoutes.js');
 const userRoutes = require('./userRoutes.js');
 const cuentadanteRoutes = require('./cuentadanteRoutes.js');
+const assetRoutes = require('./assetRoutes.js');
+const incidentRoutes = require('./incidentRoutes.js');
+const maintenanceRoutes = require('./maintenanceRoutes.js');
 
 const router = express.Router();
 
@@ -16,5 +19,8 @@ router.use('/items', itemRoutes);
 router.use('/prestamos', loanRoutes);
 router.use('/users', userRoutes);
 router.use('/cuentadantes', cuentadanteRoutes);
+router.use('/unidades', assetRoutes);
+router.use('/incidentes', incidentRoutes);
+router.use('/mantenimientos', maintenanceRoutes);
 
 module.exports = router;
\ No newline at end of file
@@ -2,33 +2,57 @@ const express = require('express');
 const {
     getItems,
     getItem,
+    exportItems,
+    getLowStockItems,
     getItemStockInfo,
+    getItemAvailability,
     adjustStock,
+    getItemMovements,
     createItem,
     updateItem,
     deleteItem,
     reactivarItem,
     bulkCreateItems,
 } = require('../controllers/itemController.js');
+const { getItemAssets, createAsset } = require('../controllers/assetController.js');
+const { getItemMaintenance, startMaintenance } = require('../controllers/maintenanceController.js');
 const authJWT    = require('../middlewares/authJWT.js');
 const roleGuard  = require('../middlewares/roleGuard.js');
 const validate   = require('../middlewares/validate.js');
 const { itemScope, injectScope } = require('../middlewares/scopeGuard.js');
-const { itemBody, itemsQuery }   = require('../validators/itemValidator.js');
+const { sheetUpload } = require('../middlewares/upload.js');
+const { itemBody, itemsQuery, exportQuery, lowStockQuery, movementsQuery, availabilityQuery, bulkQuery } = require('../validators/itemValidator.js');
+const { assetBody, assetsQuery } = require('../validators/assetValidator.js');
+const { startMaintenanceValidator } = require('../validators/maintenanceValidator.js');
 
 const router = express.Router();
 
 // Lectura pública para usuarios autenticados (todos los roles)
 // injectScope filtra automáticamente para Admins
 router.get('/',    authJWT, injectScope, itemsQuery, validate, getItems);
+// Exportación (antes de /:id para que "export" no se tome como ID)
+router.get('/export', authJWT, roleGuard(['Admin']), injectScope, exportQuery, validate, exportItems);
+// Consumibles bajo su stock mínimo (también antes de /:id)
+router.get('/bajo-stock', authJWT, roleGuard(['Admin']), injectScope, lowStockQuery, validate, getLowStockItems);
 router.get('/:id', authJWT, getItem);
+router.get('/:id/disponibilidad', authJWT, availabilityQuery, validate, getItemAvailability);
 
 // Stock info y ajuste: Admin restringido a su scope
 router.get( '/:id/stock-info',   authJWT, roleGuard(['Admin']), itemScope, getItemStockInfo);
 router.post('/:id/ajuste-stock', authJWT, roleGuard(['Admin']), itemScope, adjustStock);
+router.get( '/:id/movimientos',  authJWT, roleGuard(['Admin']), itemScope, movementsQuery, validate, getItemMovements);
 
-// Importación masiva: Admin restringido a sus ambientes
-router.post('/bulk', authJWT, roleGuard(['Admin']), injectScope, bulkCreateItems);
+// Unidades físicas (placa/serial) del ítem
+router.get( '/:id/unidades', authJWT, roleGuard(['Admin']), itemScope, assetsQuery, validate, getItemAssets);
+router.post('/:id/unidades', authJWT, roleGuard(['Admin']), itemScope, assetBody, validate, createAsset);
+
+// Plan y registros de mantenimiento/calibración del ítem
+router.get( '/:id/mantenimientos', authJWT, roleGuard(['Admin']), itemScope, getItemMaintenance);
+router.post('/:id/mantenimientos', authJWT, roleGuard(['Admin']), itemScope, startMaintenanceValidator, validate, startMaintenance);
+
+// Importación masiva: Admin restringido a sus ambientes (?dryRun=true solo previsualiza)
+// Acepta JSON { items } o un archivo CSV/XLSX en el campo multipart `archivo`
+router.post('/bulk', authJWT, roleGuard(['Admin']), injectScope, sheetUpload, bulkQuery, validate, bulkCreateItems);
 
 // CRUD: Admin restringido a sus ambientes via itemScope
 router.post('/',    authJWT, roleGuard(['Admin']), itemBody, validate, itemScope, createItem);
@@ -1,35 +1,49 @@
 const express = require('express');
 const {
   getLoans,
+  getBorrowingPolicy,
+  updateBorrowingPolicy,
   createLoan,
   approveLoan,
   rejectLoan,
   returnLoan,
   confirmPartialReturn,
   delayLoan,
+  deliverReservation,
   getLoan,
+  getLoanHistory,
   deleteLoan,
   notifyReturn,
-  forceCloseLoan
+  forceCloseLoan,
+  reportIncident
 } = require('../controllers/loanController.js');
 const authJWT    = require('../middlewares/authJWT.js');
 const roleGuard  = require('../middlewares/roleGuard.js');
 const validate   = require('../middlewares/validate.js');
 const { loanScope, injectScope } = require('../middlewares/scopeGuard.js');
 const {
+  listLoansQuery,
+  borrowingPolicyValidator,
   createLoanValidator,
   approveLoanValidator,
+  deliverReservationValidator,
+  confirmReturnValidator,
   delayLoanValidator,
   rejectLoanValidator
 } = require('../validators/loanValidator.js');
+const { reportIncidentValidator } = require('../validators/incidentValidator.js');
 
 const router = express.Router();
 
 router.use(authJWT);
 
 // Listar: injectScope inyecta filtro para Admins automáticamente
-router.get('/',    injectScope, getLoans);
+router.get('/',    injectScope, listLoansQuery, validate, getLoans);
+// Política de restricciones (vencidos, devoluciones tardías)
+router.get('/politica', roleGuard(['Admin']), getBorrowingPolicy);
+router.put('/politica', roleGuard(['SuperAdmin']), borrowingPolicyValidator, validate, updateBorrowingPolicy);
 router.get('/:id', getLoan);
+router.get('/:id/historial', getLoanHistory);
 
 // Crear préstamo (usuarios comunes)
 router.post('/', createLoanValidator, validate, createLoan);
@@ -39,8 +53,10 @@ router.post('/:id/aprobar',         roleGuard(['Admin']), loanScope, approveLoan
 router.post('/:id/rechazar',        roleGuard(['Admin']), loanScope, rejectLoanValidator,  validate, rejectLoan);
 router.post('/:id/devolver',        roleGuard(['Admin']), loanScope, returnLoan);
 router.post('/:id/forzar-cierre',   roleGuard(['Admin']), loanScope, forceCloseLoan);
-router.post('/:id/confirmar-parcial', roleGuard(['Admin']), loanScope, confirmPartialReturn);
+router.post('/:id/confirmar-parcial', roleGuard(['Admin']), loanScope, confirmReturnValidator, validate, confirmPartialReturn);
 router.post('/:id/aplazar',         roleGuard(['Admin']), loanScope, delayLoanValidator, validate, delayLoan);
+router.post('/:id/incidentes',      roleGuard(['Admin']), loanScope, reportIncidentValidator, validate, reportIncident);
+router.post('/:id/entregar',        roleGuard(['Admin']), loanScope, deliverReservationValidator, validate, deliverReservation);
 
 // Notificación de devolución (usuario común)
 router.post('/:id/notificar-devolucion', roleGuard(['Comun']), notifyReturn);
@@ -0,0 +1,22 @@
+const express = require('express');
+const {
+    getMaintenance,
+    getDueItems,
+    finishMaintenance,
+} = require('../controllers/maintenanceController.js');
+const authJWT   = require('../middlewares/authJWT.js');
+const roleGuard = require('../middlewares/roleGuard.js');
+const validate  = require('../middlewares/validate.js');
+const { finishMaintenanceValidator, listMaintenanceQuery } = require('../validators/maintenanceValidator.js');
+
+const router = express.Router();
+
+// Admin ve y gestiona los mantenimientos de sus ambientes (el servicio aplica el scope).
+// Se inician desde POST /items/:id/mantenimientos.
+router.use(authJWT, roleGuard(['Admin']));
+
+router.get('/',              listMaintenanceQuery, validate, getMaintenance);
+router.get('/vencidos',      getDueItems);
+router.post('/:id/finalizar', finishMaintenanceValidator, validate, finishMaintenance);
+
+module.exports = router;
\ No newline at end of file
@@ -2,22 +2,44 @@ const express = require('express');
 const {
     getUsers,
     createUser,
+    updateUser,
     updateUserRole,
     updateUserAmbientes,
+    setUserActive,
+    setUserBlocked,
+    deleteUser,
+    getBorrowingRestrictions,
+    grantBorrowingException,
+    revokeBorrowingException,
+    revokeUserSessions,
+    unlockUser,
     getUser
 } = require('../controllers/userController.js');
 const authJWT = require('../middlewares/authJWT.js');
 const roleGuard = require('../middlewares/roleGuard.js');
 const validate = require('../middlewares/validate.js');
-const { body } = require('express-validator');
+const { profileValidator } = require('../validators/userValidator.js');
+const { body, query } = require('express-validator');
 
 const router = express.Router();
 
 const createUserValidator = [
     body('nombre').trim().notEmpty().withMessage('Nombre requerido').isLength({ max: 100 }),
     body('email').trim().isEmail().withMessage('Email inválido').isLength({ max: 350 }),
-    body('password').isLength({ min: 8 }).withMessage('Password mínimo 8 caracteres'),
-    body('rol').optional().isIn(['SuperAdmin', 'Admin', 'Comun']).withMessage('Rol inválido')
+    body('password').isString().notEmpty().withMessage('Password requerido'),
+    body('rol').optional().isIn(['SuperAdmin', 'Admin', 'Comun']).withMessage('Rol inválido'),
+    ...profileValidator
+];
+
+const listUsersValidator = [
+    query('q').optional().isString().isLength({ max: 100 }).withMessage('Búsqueda máximo 100 caracteres'),
+    query('ficha').optional().isString().isLength({ max: 20 }).withMessage('Ficha inválida'),
+    query('rol').optional().isIn(['SuperAdmin', 'Admin', 'Comun']).withMessage('Rol inválido'),
+    query('ambiente').optional().isMongoId().withMessage('Ambiente inválido'),
+    query(['activo', 'bloqueado', 'con_vencidos']).optional().isIn(['true', 'false']).withMessage('Debe ser true o false'),
+    query('page').optional().isInt({ min: 1 }).withMessage('page debe ser un entero >= 1'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('limit debe estar entre 1 y 100'),
+    query('sort').optional().isString().trim()
 ];
 
 const updateRoleValidator = [
@@ -31,14 +53,38 @@ const updateAmbientesValidator = [
         .withMessage('Todos los IDs de ambientes deben ser válidos')
 ];
 
+const setActiveValidator = [
+    body('activo').isBoolean().withMessage('activo debe ser true o false').toBoolean(),
+    body('motivo').optional({ nullable: true }).isString().trim().isLength({ max: 300 }).withMessage('Motivo máximo 300 caracteres')
+];
+
+const setBlockedValidator = [
+    body('bloqueado').isBoolean().withMessage('bloqueado debe ser true o false').toBoolean(),
+    body('motivo').optional({ nullable: true }).isString().trim().isLength({ max: 300 }).withMessage('Motivo máximo 300 caracteres')
+];
+
+const borrowingExceptionValidator = [
+    body('motivo').isString().trim().notEmpty().withMessage('Motivo requerido').isLength({ max: 300 }),
+    body('horas').optional().isInt({ min: 1, max: 168 }).withMessage('horas debe estar entre 1 y 168').toInt()
+];
+
 router.use(authJWT, roleGuard(['SuperAdmin', 'Admin']));
 
-router.get('/', getUsers);
+router.get('/', listUsersValidator, validate, getUsers);
 router.get('/:id', getUser);
 router.post('/', createUserValidator, validate, createUser);
+router.patch('/:id', profileValidator, validate, updateUser);
+router.patch('/:id/activo', setActiveValidator, validate, setUserActive);
+router.patch('/:id/bloqueo', setBlockedValidator, validate, setUserBlocked);
+router.delete('/:id', roleGuard(['SuperAdmin']), deleteUser);
+router.get('/:id/restricciones-prestamo', getBorrowingRestrictions);
+router.post('/:id/excepcion-prestamo', roleGuard(['SuperAdmin']), borrowingExceptionValidator, validate, grantBorrowingException);
+router.delete('/:id/excepcion-prestamo', roleGuard(['SuperAdmin']), revokeBorrowingException);
 
 // Solo SuperAdmin puede cambiar roles y asignar ambientes
 router.patch('/:id/role', roleGuard(['SuperAdmin']), updateRoleValidator, validate, updateUserRole);
 router.patch('/:id/ambientes', roleGuard(['SuperAdmin']), updateAmbientesValidator, validate, updateUserAmbientes);
+router.post('/:id/logout-all', roleGuard(['SuperAdmin']), revokeUserSessions);
+router.patch('/:id/desbloquear', roleGuard(['SuperAdmin']), unlockUser);
 
 module.exports = router;
\ No newline at end of file
@@ -3,7 +3,8 @@ const http = require('http');
 const app = require('./app.js');
 const { connectDB } = require('./config/db.js');
 const logger = require('./config/logger.js');
-const { scheduleLoanReminders } = require('./jobs/reminderJob.js')
+const { scheduleLoanReminders, scheduleLowStockDigest } = require('./jobs/reminderJob.js')
+const { scheduleMaintenanceAlerts } = require('./jobs/maintenanceJob.js');
 
 const PORT = process.env.PORT || 3000;
 
@@ -15,6 +16,8 @@ const start = async () => {
             logger.info(`Servidor escuchando en puerto ${PORT}`);
         });
         scheduleLoanReminders();
+        scheduleLowStockDigest();
+        scheduleMaintenanceAlerts();
     } catch (error) {
         logger.error('No se pudo iniciar el servidor', error);
         process.exit(1);
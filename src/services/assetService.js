@@ -0,0 +1,201 @@
+const Asset = require('../models/Asset.js');
+const Item  = require('../models/Item.js');
+const Loan  = require('../models/Loan.js');
+const { CONDICIONES_DEVOLUCION } = require('./incidentService.js');
+
+const ASSET_CAMPOS = ['numero_placa', 'serial', 'condicion', 'ubicacion', 'observacion'];
+
+const httpError = (message, status) => Object.assign(new Error(message), { status });
+
+const _guardar = async (asset) => {
+    if (asset.numero_placa && await Item.exists({ numero_placa: asset.numero_placa }))
+        throw httpError(`La placa ${asset.numero_placa} ya está asignada a un ítem`, 409);
+    try {
+        return await asset.save();
+    } catch (error) {
+        if (error.code === 11000) {
+            const campo = error.keyPattern?.numero_placa ? 'placa' : 'serial';
+            throw httpError(`Ya existe una unidad con ese ${campo}`, 409);
+        }
+        throw error;
+    }
+};
+
+const listAssets = (itemId, { estado } = {}) => {
+    const filtro = { item: itemId };
+    if (estado) filtro.estado = estado;
+    return Asset.find(filtro).sort({ numero_placa: 1, serial: 1, createdAt: 1 }).lean();
+};
+
+/**
+ * Registra una unidad física del ítem. Los consumibles no se rastrean por
+ * unidad y no puede haber más unidades registradas (sin contar las
+ * perdidas ni las dadas de baja) que stock total.
+ */
+const createAsset = async (itemId, datos) => {
+    const item = await Item.findById(itemId).lean();
+    if (!item) throw httpError('Ítem no encontrado', 404);
+    if (item.tipo_categoria === 'Consumible')
+        throw httpError('Los consumibles no se registran por unidad', 400);
+
+    const registradas = await Asset.countDocuments({ item: item._id, estado: { $nin: ['Perdido', 'Baja'] } });
+    if (registradas >= item.cantidad_total_stock)
+        throw httpError(`El ítem ya tiene registradas sus ${item.cantidad_total_stock} unidad(es) de stock`, 409);
+
+    const asset = new Asset({ item: item._id });
+    for (const campo of ASSET_CAMPOS) if (datos[campo] !== undefined) asset[campo] = datos[campo] || undefined;
+    return _guardar(asset);
+};
+
+// El estado y el préstamo actual solo cambian con el flujo de préstamos
+const updateAsset = async (assetId, datos) => {
+    const asset = await Asset.findById(assetId);
+    if (!asset) throw httpError('Unidad no encontrada', 404);
+    for (const campo of ASSET_CAMPOS) if (datos[campo] !== undefined) asset[campo] = datos[campo] || undefined;
+    return _guardar(asset);
+};
+
+// Préstamos en los que se entregó la unidad, del más reciente al más antiguo
+const getAssetHistory = async (assetId) => {
+    const asset = await Asset.findById(assetId).populate('item', 'nombre aula').lean();
+    if (!asset) throw httpError('Unidad no encontrada', 404);
+
+    const loans = await Loan.find({ 'items.unidades.asset': asset._id })
+        .select('usuario estado fecha_prestamo fecha_retorno items')
+        .populate('usuario', 'nombre email ficha')
+        .sort({ fecha_prestamo: -1 })
+        .lean();
+
+    const historial = [];
+    for (const loan of loans) {
+        for (const li of loan.items) {
+            for (const u of li.unidades || []) {
+                if (String(u.asset) !== String(asset._id)) continue;
+                historial.push({
+                    prestamo: loan._id, estado: loan.estado, usuario: loan.usuario,
+                    entregada_en: u.entregada_en, condicion_entrega: u.condicion_entrega,
+                    devuelta_en: u.devuelta_en, condicion_devolucion: u.condicion_devolucion,
+                    observacion_devolucion: u.observacion_devolucion,
+                });
+            }
+        }
+    }
+    return { asset, historial };
+};
+
+// Un ítem se rastrea por unidad en cuanto tiene alguna unidad registrada
+const isUnitTracked = async (itemId, session = null) =>
+    Boolean(await Asset.exists({ item: itemId }).session(session));
+
+/**
+ * Marca como prestadas las unidades `assetIds` de la línea `li` y las anota
+ * en li.unidades. Deben ser exactamente `cantidad`, del ítem de la línea y
+ * estar disponibles. Devuelve los IDs marcados para poder revertirlos sin
+ * transacción (ver revertAssignment).
+ */
+const assignUnits = async (session, li, assetIds, { cantidad, loanId }) => {
+    const itemId = li.item._id || li.item;
+    const nombre = li.item?.nombre || itemId;
+    const ids = [...new Set((assetIds || []).map(String))];
+    if (ids.length !== cantidad)
+        throw httpError(`Debes indicar ${cantidad} unidad(es) de "${nombre}" (recibidas ${ids.length})`, 400);
+
+    const res = await Asset.updateMany(
+        { _id: { $in: ids }, item: itemId, estado: 'Disponible' },
+        { $set: { estado: 'Prestado', prestamo_actual: loanId } },
+        { session }
+    );
+    if (res.modifiedCount !== ids.length) {
+        if (!session) await revertAssignment(ids, loanId);
+        throw httpError(`Alguna de las unidades indicadas de "${nombre}" no existe o no está disponible`, 409);
+    }
+
+    const assets = await Asset.find({ _id: { $in: ids } }).session(session).select('condicion').lean();
+    const ahora = new Date();
+    for (const a of assets) li.unidades.push({ asset: a._id, entregada_en: ahora, condicion_entrega: a.condicion });
+    return ids;
+};
+
+const revertAssignment = (assetIds, loanId) =>
+    Asset.updateMany(
+        { _id: { $in: assetIds }, estado: 'Prestado', prestamo_actual: loanId },
+        { $set: { estado: 'Disponible', prestamo_actual: null } }
+    );
+
+/**
+ * Valida las unidades recibidas en una devolución: `cantidad` entradas
+ * { asset, condicion, observacion } de unidades entregadas en la línea y
+ * aún no devueltas. `condicion` es un código de recepción (bueno por
+ * defecto); un asset suelto (string) equivale a { asset, condicion: 'bueno' }.
+ */
+const checkReturnedUnits = (li, unidades, cantidad) => {
+    const pendientes = new Map(
+        (li.unidades || []).filter(u => !u.devuelta_en).map(u => [String(u.asset), u])
+    );
+    const lista = (unidades || []).map(u => (typeof u === 'string' ? { asset: u } : { ...u }));
+    if (lista.length !== cantidad)
+        throw httpError(`Debes indicar las ${cantidad} unidad(es) recibidas`, 400);
+
+    const vistas = new Set();
+    for (const u of lista) {
+        const id = String(u.asset);
+        if (!pendientes.has(id) || vistas.has(id))
+            throw httpError(`La unidad ${id} no está pendiente de devolución en esta línea`, 400);
+        u.condicion = u.condicion || 'bueno';
+        if (!CONDICIONES_DEVOLUCION.includes(u.condicion))
+            throw httpError(`Condición inválida: ${u.condicion}`, 400);
+        vistas.add(id);
+    }
+    return lista;
+};
+
+// Estado en que queda la unidad según el código de recepción
+const ESTADO_POR_CONDICION = {
+    bueno:      { estado: 'Disponible' },
+    dañado:     { estado: 'En reparación', condicion: 'Dañado' },
+    incompleto: { estado: 'En reparación', condicion: 'Dañado' },
+    perdido:    { estado: 'Perdido' },
+};
+
+// Cierra la entrega de las unidades recibidas según su código de recepción
+const releaseUnits = async (li, devueltas) => {
+    const ahora = new Date();
+    for (const d of devueltas) {
+        const entrega = li.unidades.find(u => String(u.asset) === String(d.asset) && !u.devuelta_en);
+        const condicion = d.condicion || 'bueno';
+        await Asset.updateOne(
+            { _id: d.asset },
+            { $set: { ...ESTADO_POR_CONDICION[condicion], prestamo_actual: null } }
+        );
+        entrega.devuelta_en = ahora;
+        entrega.condicion_devolucion = condicion;
+        if (d.observacion) entrega.observacion_devolucion = String(d.observacion).trim().slice(0, 500);
+    }
+};
+
+// Valida que `assetIds` sean `cantidad` unidades en reparación del ítem
+const checkRepairUnits = async (itemId, cantidad, assetIds) => {
+    const ids = [...new Set((assetIds || []).map(String))];
+    if (ids.length !== cantidad)
+        throw httpError(`Debes indicar las ${cantidad} unidad(es) reparadas (recibidas ${ids.length})`, 400);
+    if (await Asset.countDocuments({ item: itemId, estado: 'En reparación', _id: { $in: ids } }) !== ids.length)
+        throw httpError('Alguna de las unidades indicadas no está en reparación', 400);
+    return ids;
+};
+
+const repairUnits = (ids) =>
+    Asset.updateMany({ _id: { $in: ids } }, { $set: { estado: 'Disponible', condicion: 'Bueno' } });
+
+module.exports = {
+    listAssets,
+    createAsset,
+    updateAsset,
+    getAssetHistory,
+    isUnitTracked,
+    assignUnits,
+    revertAssignment,
+    checkReturnedUnits,
+    releaseUnits,
+    checkRepairUnits,
+    repairUnits,
+};
\ No newline at end of file
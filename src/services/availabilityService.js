@@ -0,0 +1,107 @@
+const Loan = require('../models/Loan.js');
+
+const ESTADOS_ACTIVOS = ['Aprobado', 'Aplazado'];
+
+/**
+ * Unidades de un ítem que están en manos de usuarios: líneas 'Aprobado' de
+ * préstamos activos menos lo ya confirmado como devuelto.
+ * Es el mismo cálculo que usan stock-info, ajuste-stock y la edición del ítem.
+ */
+const getUnitsInLoan = async (itemId, { session } = {}) => {
+    const prestamosActivos = await Loan.find({
+        estado: { $in: ESTADOS_ACTIVOS },
+        'items.item': itemId,
+    }).session(session || null).lean();
+
+    let unidadesEnPrestamo = 0;
+    for (const loan of prestamosActivos) {
+        for (const li of loan.items) {
+            if (String(li.item) === String(itemId) && li.estado_item === 'Aprobado') {
+                unidadesEnPrestamo += (li.cantidad_prestamo - (li.cantidad_confirmada || 0));
+            }
+        }
+    }
+    return unidadesEnPrestamo;
+};
+
+/**
+ * Disponibilidad de un ítem en la ventana [desde, hasta].
+ *
+ * Ocupan la ventana:
+ *   - Préstamos activos cuya fecha estimada de devolución es >= desde, no tiene
+ *     fecha o ya venció (siguen fuera y no se sabe cuándo vuelven).
+ *   - Reservas ('Reservado') cuyo rango fecha_inicio–fecha_fin se cruza con la ventana.
+ *
+ * El tope es cantidad_total_stock menos las unidades fuera de servicio: dañadas
+ * (cantidad_danada) y en mantenimiento (cantidad_mantenimiento).
+ *
+ * @param {Object} itemDoc  Ítem (lean o documento) con _id, cantidad_total_stock, cantidad_danada y cantidad_mantenimiento
+ * @param {Date}   desde
+ * @param {Date}   hasta
+ * @param {Object} [opts]   { excludeLoanId, session }
+ */
+const getWindowAvailability = async (itemDoc, desde, hasta, { excludeLoanId, session } = {}) => {
+    const itemId = itemDoc._id;
+    const ahora  = new Date();
+    const excluir = excludeLoanId ? { _id: { $ne: excludeLoanId } } : {};
+
+    const [activos, reservas] = await Promise.all([
+        Loan.find({
+            ...excluir,
+            estado: { $in: ESTADOS_ACTIVOS },
+            'items.item': itemId,
+            $or: [
+                { fecha_estimada: { $exists: false } },
+                { fecha_estimada: null },
+                { fecha_estimada: { $gte: desde } },
+                { fecha_estimada: { $lt: ahora } },
+            ],
+        }).session(session || null).lean(),
+        Loan.find({
+            ...excluir,
+            estado: 'Reservado',
+            'items.item': itemId,
+            fecha_inicio: { $lte: hasta },
+            fecha_fin:    { $gte: desde },
+        }).session(session || null).lean(),
+    ]);
+
+    let enPrestamo = 0;
+    for (const loan of activos) {
+        for (const li of loan.items) {
+            if (String(li.item) === String(itemId) && li.estado_item === 'Aprobado') {
+                enPrestamo += (li.cantidad_prestamo - (li.cantidad_confirmada || 0));
+            }
+        }
+    }
+
+    let reservado = 0;
+    const detalleReservas = [];
+    for (const loan of reservas) {
+        for (const li of loan.items) {
+            if (String(li.item) === String(itemId) && li.estado_item === 'Aprobado') {
+                reservado += li.cantidad_prestamo;
+                detalleReservas.push({
+                    prestamo:     loan._id,
+                    fecha_inicio: loan.fecha_inicio,
+                    fecha_fin:    loan.fecha_fin,
+                    cantidad:     li.cantidad_prestamo,
+                });
+            }
+        }
+    }
+
+    const danadas = itemDoc.cantidad_danada || 0;
+    const enMantenimiento = itemDoc.cantidad_mantenimiento || 0;
+    return {
+        cantidad_total_stock:      itemDoc.cantidad_total_stock,
+        unidades_danadas:          danadas,
+        unidades_en_mantenimiento: enMantenimiento,
+        unidades_en_prestamo:      enPrestamo,
+        unidades_reservadas:       reservado,
+        disponible:                Math.max(0, itemDoc.cantidad_total_stock - danadas - enMantenimiento - enPrestamo - reservado),
+        reservas:                  detalleReservas,
+    };
+};
+
+module.exports = { getUnitsInLoan, getWindowAvailability };
\ No newline at end of file
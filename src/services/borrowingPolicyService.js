@@ -0,0 +1,264 @@
+const Loan = require('../models/Loan.js');
+const Item = require('../models/Item.js');
+const User = require('../models/User.js');
+const Incidente = require('../models/Incidente.js');
+const { getSetting, setSetting } = require('./settingService.js');
+const { ESTADOS_ABIERTOS: INCIDENTES_ABIERTOS } = require('./incidentService.js');
+
+/**
+ * Política de préstamos (Setting `politica_prestamos`). Cada regla tiene una
+ * acción:
+ *   'permitir'     → no se aplica
+ *   'bloquear'     → no puede solicitar préstamos
+ *   'autorizacion' → necesita una excepción vigente otorgada por un SuperAdmin
+ *
+ * Todas las reglas vienen en 'permitir': hasta que un SuperAdmin las active
+ * con PUT /prestamos/politica nadie pierde acceso a los préstamos.
+ *
+ * `limites_rol` fija topes por rol que se combinan con los del ítem
+ * (se aplica el menor). null = sin tope.
+ */
+const POLITICA_CLAVE = 'politica_prestamos';
+const ACCIONES = ['permitir', 'bloquear', 'autorizacion'];
+const POLITICA_DEFAULT = {
+    prestamos_vencidos:         'permitir',
+    devoluciones_tardias:       'permitir',
+    max_devoluciones_tardias:   3,
+    meses_devoluciones_tardias: 6,
+    incidentes_abiertos:        'permitir',
+    limites_rol: {
+        Comun:      { max_por_prestamo: null, max_por_usuario: null, max_dias: null },
+        Admin:      { max_por_prestamo: null, max_por_usuario: null, max_dias: null },
+        SuperAdmin: { max_por_prestamo: null, max_por_usuario: null, max_dias: null },
+    },
+};
+
+const ESTADOS_ACTIVOS = ['Aprobado', 'Aplazado'];
+const ESTADOS_FINALIZADOS = ['Devuelto', 'Cerrado'];
+// Préstamos que comprometen unidades del usuario (incluye solicitudes en curso)
+const ESTADOS_EN_CURSO = ['Pendiente', 'Aprobado', 'Aplazado', 'Reservado'];
+const DIA_MS = 24 * 60 * 60 * 1000;
+const CAMPOS_LIMITE_ROL = ['max_por_prestamo', 'max_por_usuario', 'max_dias'];
+
+const httpError = (message, status) => Object.assign(new Error(message), { status });
+
+const getPolicy = () => getSetting(POLITICA_CLAVE, POLITICA_DEFAULT);
+
+const setPolicy = async (cambios, actorId) => {
+    const actual = await getPolicy();
+    const nueva = { ...actual, ...cambios };
+    // limites_rol se combina por rol para poder cambiar uno sin reenviar los demás
+    if (cambios.limites_rol) {
+        nueva.limites_rol = { ...actual.limites_rol };
+        for (const [rol, limites] of Object.entries(cambios.limites_rol)) {
+            const validos = Object.fromEntries(
+                CAMPOS_LIMITE_ROL.filter(c => limites?.[c] !== undefined).map(c => [c, limites[c]])
+            );
+            nueva.limites_rol[rol] = { ...actual.limites_rol?.[rol], ...validos };
+        }
+    }
+    return setSetting(POLITICA_CLAVE, nueva, actorId);
+};
+
+const countLateReturns = (userId, meses, ahora = new Date()) => {
+    const desde = new Date(ahora);
+    desde.setMonth(desde.getMonth() - meses);
+    return Loan.countDocuments({
+        usuario: userId,
+        estado: { $in: ESTADOS_FINALIZADOS },
+        fecha_retorno: { $gte: desde },
+        // Los préstamos solo de consumibles no tienen fecha estimada: nunca son tardíos
+        fecha_estimada: { $type: 'date' },
+        $expr: { $gt: ['$fecha_retorno', '$fecha_estimada'] },
+    });
+};
+
+/**
+ * Reglas de la política que el usuario incumple hoy:
+ * [{ regla, accion, motivo }]. Las reglas en 'permitir' no se evalúan.
+ */
+const evaluateUser = async (userId, ahora = new Date()) => {
+    const p = await getPolicy();
+    const restricciones = [];
+
+    if (p.prestamos_vencidos !== 'permitir') {
+        const vencidos = await Loan.countDocuments({
+            usuario: userId,
+            estado: { $in: ESTADOS_ACTIVOS },
+            fecha_estimada: { $lt: ahora },
+        });
+        if (vencidos > 0) restricciones.push({
+            regla: 'prestamos_vencidos',
+            accion: p.prestamos_vencidos,
+            motivo: `Tienes ${vencidos} préstamo(s) vencido(s) sin devolver`,
+        });
+    }
+
+    if (p.devoluciones_tardias !== 'permitir' && p.max_devoluciones_tardias > 0) {
+        const tardias = await countLateReturns(userId, p.meses_devoluciones_tardias, ahora);
+        if (tardias >= p.max_devoluciones_tardias) restricciones.push({
+            regla: 'devoluciones_tardias',
+            accion: p.devoluciones_tardias,
+            motivo: `Registras ${tardias} devolución(es) tardía(s) en los últimos ${p.meses_devoluciones_tardias} meses`,
+        });
+    }
+
+    if (p.incidentes_abiertos !== 'permitir') {
+        const abiertos = await Incidente.countDocuments({ usuario: userId, estado: { $in: INCIDENTES_ABIERTOS } });
+        if (abiertos > 0) restricciones.push({
+            regla: 'incidentes_abiertos',
+            accion: p.incidentes_abiertos,
+            motivo: `Tienes ${abiertos} incidente(s) por daño o pérdida sin resolver`,
+        });
+    }
+
+    return restricciones;
+};
+
+// El menor de dos límites, ignorando los nulos
+const menorLimite = (a, b) => {
+    const validos = [a, b].filter(v => Number.isInteger(v) && v > 0);
+    return validos.length ? Math.min(...validos) : null;
+};
+
+/**
+ * Unidades de cada ítem que el usuario tiene comprometidas en préstamos en
+ * curso (pendientes de aprobar o aún sin devolver). Map itemId → cantidad.
+ */
+const unitsHeldByUser = async (userId, itemIds, { excluirPrestamo, session } = {}) => {
+    const filtro = { usuario: userId, estado: { $in: ESTADOS_EN_CURSO }, 'items.item': { $in: itemIds } };
+    if (excluirPrestamo) filtro._id = { $ne: excluirPrestamo };
+    const loans = await Loan.find(filtro).select('items').session(session || null).lean();
+
+    const ids = new Set(itemIds.map(String));
+    const enPoder = new Map();
+    for (const loan of loans) {
+        for (const li of loan.items) {
+            if (!ids.has(String(li.item)) || !['Pendiente', 'Aprobado'].includes(li.estado_item)) continue;
+            const cantidad = li.cantidad_prestamo - (li.cantidad_confirmada || 0);
+            enPoder.set(String(li.item), (enPoder.get(String(li.item)) || 0) + Math.max(0, cantidad));
+        }
+    }
+    return enPoder;
+};
+
+/**
+ * Verifica los límites por ítem y por rol para las líneas de un préstamo:
+ * unidades por préstamo, unidades simultáneas por usuario y duración.
+ * `lineas` = [{ item, cantidad }]; `desde`/`hasta` delimitan el préstamo
+ * (sin `hasta` no se valida la duración). Al aprobar, `excluirPrestamo`
+ * evita contar el propio préstamo. Lanza 400 con todos los incumplimientos.
+ */
+const assertWithinLimits = async (user, lineas, { desde = new Date(), hasta, excluirPrestamo, session } = {}) => {
+    const { limites_rol } = await getPolicy();
+    const rol = limites_rol?.[user.rol] || {};
+
+    const itemIds = [...new Set(lineas.map(l => String(l.item)))];
+    const items = await Item.find({ _id: { $in: itemIds } })
+        .select('nombre limite_por_prestamo limite_por_usuario max_dias_prestamo')
+        .session(session || null).lean();
+    const itemsPorId = new Map(items.map(i => [String(i._id), i]));
+
+    // Cantidad total por ítem dentro del propio préstamo
+    const solicitadas = new Map();
+    for (const l of lineas) solicitadas.set(String(l.item), (solicitadas.get(String(l.item)) || 0) + Number(l.cantidad));
+
+    const enPoder = await unitsHeldByUser(user._id, itemIds, { excluirPrestamo, session });
+    const dias = hasta ? Math.ceil((new Date(hasta) - new Date(desde)) / DIA_MS) : null;
+
+    const errores = [];
+    for (const [itemId, cantidad] of solicitadas) {
+        const item = itemsPorId.get(itemId);
+        if (!item) continue;
+
+        const porPrestamo = menorLimite(item.limite_por_prestamo, rol.max_por_prestamo);
+        if (porPrestamo && cantidad > porPrestamo)
+            errores.push(`"${item.nombre}": máximo ${porPrestamo} unidad(es) por préstamo`);
+
+        const porUsuario = menorLimite(item.limite_por_usuario, rol.max_por_usuario);
+        const actuales = enPoder.get(itemId) || 0;
+        if (porUsuario && actuales + cantidad > porUsuario)
+            errores.push(`"${item.nombre}": máximo ${porUsuario} unidad(es) a la vez por usuario (ya tiene ${actuales})`);
+
+        const maxDias = menorLimite(item.max_dias_prestamo, rol.max_dias);
+        if (maxDias && dias !== null && dias > maxDias)
+            errores.push(`"${item.nombre}": el préstamo no puede durar más de ${maxDias} día(s)`);
+    }
+
+    if (errores.length) throw httpError(`Se superan los límites de préstamo: ${errores.join('; ')}`, 400);
+};
+
+const hasValidException = (user, ahora = new Date()) =>
+    Boolean(user?.excepcion_prestamo?.hasta && new Date(user.excepcion_prestamo.hasta) > ahora);
+
+/**
+ * Lanza 403 si la política impide que el usuario solicite un préstamo.
+ * Devuelve true si solo se permite gracias a su excepción (que el llamador
+ * debe consumir con consumeException).
+ */
+const assertCanBorrow = async (user, ahora = new Date()) => {
+    const restricciones = await evaluateUser(user._id, ahora);
+    if (restricciones.length === 0) return false;
+
+    const bloqueo = restricciones.find(r => r.accion === 'bloquear');
+    if (bloqueo) throw httpError(`No puedes solicitar préstamos: ${bloqueo.motivo}`, 403);
+
+    if (!hasValidException(user, ahora)) {
+        throw httpError(
+            `No puedes solicitar préstamos sin autorización de un SuperAdmin: ${restricciones.map(r => r.motivo).join('; ')}`,
+            403
+        );
+    }
+    return true;
+};
+
+/**
+ * Consume la excepción de forma atómica (sirve para un solo préstamo).
+ */
+const consumeException = async (userId, ahora = new Date()) => {
+    const user = await User.findOneAndUpdate(
+        { _id: userId, 'excepcion_prestamo.hasta': { $gt: ahora } },
+        { $unset: { excepcion_prestamo: 1 } }
+    ).select('excepcion_prestamo').lean();
+    if (!user) throw httpError('La autorización para solicitar el préstamo ya fue usada o expiró', 403);
+    return user.excepcion_prestamo;
+};
+
+// Devuelve la excepción consumida si el préstamo no llegó a crearse
+// (salvo que entretanto se haya otorgado otra)
+const restoreException = (userId, excepcion) =>
+    User.updateOne(
+        { _id: userId, excepcion_prestamo: { $exists: false } },
+        { $set: { excepcion_prestamo: excepcion } }
+    );
+
+const grantException = async (userId, { horas = 24, motivo }, actorId) => {
+    const user = await User.findByIdAndUpdate(userId, {
+        excepcion_prestamo: {
+            hasta: new Date(Date.now() + horas * 60 * 60 * 1000),
+            motivo,
+            otorgada_por: actorId,
+        },
+    }, { new: true }).select('nombre email excepcion_prestamo').lean();
+    if (!user) throw httpError('Usuario no encontrado', 404);
+    return user;
+};
+
+const revokeException = async (userId) => {
+    const user = await User.findByIdAndUpdate(userId, { $unset: { excepcion_prestamo: 1 } }).select('_id').lean();
+    if (!user) throw httpError('Usuario no encontrado', 404);
+};
+
+module.exports = {
+    ACCIONES,
+    POLITICA_DEFAULT,
+    getPolicy,
+    setPolicy,
+    evaluateUser,
+    assertCanBorrow,
+    assertWithinLimits,
+    consumeException,
+    restoreException,
+    grantException,
+    revokeException,
+};
\ No newline at end of file
@@ -0,0 +1,74 @@
+const crypto            = require('crypto');
+const User              = require('../models/User.js');
+const EmailVerification = require('../models/EmailVerification.js');
+const logger            = require('../config/logger.js');
+const { sendEmailVerification } = require('./mailService.js');
+
+const httpError = (message, status) => Object.assign(new Error(message), { status });
+
+/**
+ * Dominios permitidos para el auto-registro, desde REGISTER_EMAIL_DOMAINS
+ * (p. ej. "sena.edu.co,misena.edu.co"). Vacío = cualquier dominio.
+ */
+const allowedDomains = () => (process.env.REGISTER_EMAIL_DOMAINS || '')
+    .split(',')
+    .map(d => d.trim().toLowerCase().replace(/^@/, ''))
+    .filter(Boolean);
+
+const isAllowedEmail = (email) => {
+    const dominios = allowedDomains();
+    if (dominios.length === 0) return true;
+    const dominio = String(email || '').toLowerCase().split('@')[1];
+    return dominios.includes(dominio);
+};
+
+/**
+ * Genera un enlace de verificación (invalida los anteriores) y lo envía en
+ * segundo plano. `frontendUrl` es la base para armar el enlace.
+ */
+const sendVerification = async (user, frontendUrl) => {
+    const token = crypto.randomBytes(32).toString('hex');
+    await EmailVerification.updateMany({ userId: user._id, used: false }, { used: true });
+    await EmailVerification.create({ userId: user._id, token });
+
+    const verifyLink = `${frontendUrl}/verify-email?token=${token}`;
+    logger.info(`🔗 Verify link: ${verifyLink}`);
+    setImmediate(async () => {
+        try { await sendEmailVerification(user, verifyLink); } catch (e) { logger.error(e.message); }
+    });
+};
+
+const resendVerification = async (userId, frontendUrl) => {
+    const user = await User.findById(userId);
+    if (!user) throw httpError('Usuario no encontrado', 404);
+    if (user.email_verificado) throw httpError('El correo ya está verificado', 400);
+    await sendVerification(user, frontendUrl);
+};
+
+/**
+ * Consume el token (una sola vez) y marca el correo del usuario como verificado.
+ */
+const verifyEmail = async (token) => {
+    const registro = await EmailVerification.findOneAndUpdate(
+        { token, used: false, expiresAt: { $gt: new Date() } },
+        { used: true }
+    );
+    if (!registro) throw httpError('Token inválido o expirado.', 400);
+
+    const user = await User.findByIdAndUpdate(
+        registro.userId,
+        { email_verificado: true, email_verificado_en: new Date() },
+        { new: true }
+    );
+    if (!user) throw httpError('Usuario no encontrado', 404);
+    logger.info(`Correo verificado: ${user.email}`);
+    return user;
+};
+
+module.exports = {
+    allowedDomains,
+    isAllowedEmail,
+    sendVerification,
+    resendVerification,
+    verifyEmail,
+};
\ No newline at end of file
@@ -0,0 +1,241 @@
+const Incidente = require('../models/Incidente.js');
+const Item      = require('../models/Item.js');
+const Asset     = require('../models/Asset.js');
+const { recordMovement } = require('./stockMovementService.js');
+const { parsePagination, buildPage, emptyResult } = require('../utils/pagination.js');
+const { buildDateRange } = require('../utils/date.js');
+
+// Códigos con que el admin registra cada unidad recibida en una devolución
+const CONDICIONES_DEVOLUCION = ['bueno', 'dañado', 'incompleto', 'perdido'];
+
+const TIPO_POR_CONDICION = { dañado: 'daño', incompleto: 'daño', perdido: 'pérdida' };
+
+// Estados en que el incidente sigue pendiente (cuentan para la política de préstamos)
+const ESTADOS_ABIERTOS = ['abierto', 'en investigación'];
+const RESOLUCIONES = ['repuesto', 'dado de baja'];
+
+const INCIDENT_SORT_FIELDS = ['createdAt', 'estado', 'tipo', 'resuelto_en'];
+
+const httpError = (message, status) => Object.assign(new Error(message), { status });
+
+const populateIncident = (query) =>
+    query
+        .populate('usuario', 'nombre email ficha programa')
+        .populate('item', 'nombre numero_placa tipo_categoria')
+        .populate('aula', 'nombre')
+        .populate('cuentadante', 'nombre')
+        .populate('unidades', 'numero_placa serial estado')
+        .populate('reportado_por', 'nombre email')
+        .populate('historial.usuario', 'nombre email rol');
+
+/**
+ * Abre un incidente por las unidades de la línea `li` recibidas con
+ * `condicion` (dañado, incompleto o perdido). El responsable es el
+ * solicitante del préstamo; `tipo` (daño, pérdida, robo) se deduce de la
+ * condición si no se indica.
+ */
+const openReturnIncident = ({ loan, li, tipo, condicion, cantidad, unidades = [], descripcion, actorId }) =>
+    Incidente.create({
+        tipo:          tipo || TIPO_POR_CONDICION[condicion],
+        prestamo:      loan._id,
+        linea:         li._id,
+        item:          li.item._id || li.item,
+        aula:          li.aula?._id || li.aula,
+        usuario:       loan.usuario._id || loan.usuario,
+        cuentadante:   li.item?.cuentadante?._id || li.item?.cuentadante || undefined,
+        condicion,
+        cantidad,
+        unidades,
+        descripcion:   descripcion || undefined,
+        reportado_por: actorId || undefined,
+        historial:     [{ a: 'abierto', usuario: actorId || undefined, observacion: descripcion || undefined }],
+    });
+
+// Admin: solo incidentes de ítems de sus ambientes
+const _fueraDeScope = ({ rol, ambientes_asignados }, incidente) =>
+    rol === 'Admin' && !(ambientes_asignados || []).map(String).includes(String(incidente.aula?._id || incidente.aula));
+
+/**
+ * Filtros: estado (o abiertos=true), tipo, usuario, item, prestamo, aula,
+ * desde/hasta sobre createdAt. Admin ve solo sus ambientes.
+ * Sin page/limit devuelve el array completo.
+ */
+const listIncidents = async ({ rol, ambientes_asignados }, filtros = {}) => {
+    const pagination = parsePagination(filtros, {
+        allowedSort: INCIDENT_SORT_FIELDS, defaultSort: { createdAt: -1 },
+    });
+    const query = {};
+
+    if (rol === 'Admin') {
+        const aulaIds = (ambientes_asignados || []).map(String);
+        if (aulaIds.length === 0) return emptyResult(pagination);
+        if (filtros.aula && !aulaIds.includes(String(filtros.aula))) return emptyResult(pagination);
+        query.aula = filtros.aula || { $in: aulaIds };
+    } else if (filtros.aula) {
+        query.aula = filtros.aula;
+    }
+
+    if (filtros.estado) query.estado = filtros.estado;
+    else if (filtros.abiertos === 'true' || filtros.abiertos === true) query.estado = { $in: ESTADOS_ABIERTOS };
+    for (const campo of ['tipo', 'usuario', 'item', 'prestamo']) {
+        if (filtros[campo]) query[campo] = filtros[campo];
+    }
+    const rango = buildDateRange(filtros.desde, filtros.hasta);
+    if (rango) query.createdAt = rango;
+
+    if (!pagination.paginate) return populateIncident(Incidente.find(query)).sort(pagination.sort);
+
+    const [data, total] = await Promise.all([
+        populateIncident(Incidente.find(query))
+            .sort({ ...pagination.sort, _id: -1 })
+            .skip(pagination.skip)
+            .limit(pagination.limit),
+        Incidente.countDocuments(query),
+    ]);
+    return buildPage(data, total, pagination);
+};
+
+const getIncident = async (user, incidenteId) => {
+    const incidente = await populateIncident(Incidente.findById(incidenteId));
+    if (!incidente) throw httpError('Incidente no encontrado', 404);
+    if (_fueraDeScope(user, incidente)) throw httpError('No autorizado', 403);
+    return incidente;
+};
+
+const _cargarAbierto = async (user, incidenteId) => {
+    const incidente = await Incidente.findById(incidenteId);
+    if (!incidente) throw httpError('Incidente no encontrado', 404);
+    if (_fueraDeScope(user, incidente)) throw httpError('No autorizado', 403);
+    if (!ESTADOS_ABIERTOS.includes(incidente.estado))
+        throw httpError(`El incidente ya está cerrado (${incidente.estado})`, 409);
+    return incidente;
+};
+
+const _entradaHistorial = (de, a, actorId, observacion) => ({
+    de, a, usuario: actorId || undefined, fecha: new Date(),
+    observacion: observacion ? String(observacion).trim().slice(0, 500) : undefined,
+});
+
+const startInvestigation = async (user, incidenteId, observacion) => {
+    const incidente = await _cargarAbierto(user, incidenteId);
+    if (incidente.estado === 'en investigación')
+        throw httpError('El incidente ya está en investigación', 409);
+    const actualizado = await Incidente.findOneAndUpdate(
+        { _id: incidente._id, estado: 'abierto' },
+        { $set: { estado: 'en investigación' },
+          $push: { historial: _entradaHistorial('abierto', 'en investigación', user._id, observacion) } }
+    );
+    if (!actualizado) throw httpError('El incidente cambió de estado. Consúltalo de nuevo', 409);
+    return getIncident(user, incidente._id);
+};
+
+/**
+ * Cierra el incidente y ajusta el stock según la resolución:
+ *
+ *   daño     + repuesto     → reparado o repuesto: de cantidad_danada al disponible
+ *   daño     + dado de baja → sale de cantidad_danada y del total
+ *   pérdida/robo + repuesto → el responsable lo repuso: entra al total y al disponible
+ *   pérdida/robo + dado de baja → sin cambios (ya salió del total al reportarse)
+ *
+ * Las unidades físicas dañadas vuelven a 'Disponible' o pasan a 'Baja'; las
+ * perdidas quedan de baja (la reposición se registra como una unidad nueva).
+ *
+ * En un daño solo se ajustan las unidades que siguen dañadas: las que ya se
+ * repararon con ajuste-stock 'reparacion' volvieron al disponible y no se tocan.
+ */
+const resolveIncident = async (user, incidenteId, { resolucion, observacion }) => {
+    if (!RESOLUCIONES.includes(resolucion))
+        throw httpError(`La resolución debe ser una de: ${RESOLUCIONES.join(', ')}`, 400);
+    await _cargarAbierto(user, incidenteId);
+
+    // Se reclama el incidente antes de tocar el stock: de dos resoluciones
+    // simultáneas solo una lo encuentra abierto
+    const cierre = { estado: resolucion, resuelto_en: new Date() };
+    if (observacion) cierre.observacion_resolucion = String(observacion).trim();
+    const incidente = await Incidente.findOneAndUpdate(
+        { _id: incidenteId, estado: { $in: ESTADOS_ABIERTOS } },
+        { $set: cierre }
+    );
+    if (!incidente) throw httpError('El incidente ya está cerrado', 409);
+
+    try {
+        await _aplicarResolucion(user, incidente, resolucion, observacion);
+    } catch (err) {
+        await Incidente.updateOne(
+            { _id: incidente._id, estado: resolucion },
+            { $set: { estado: incidente.estado }, $unset: { resuelto_en: 1, observacion_resolucion: 1 } }
+        );
+        throw err;
+    }
+
+    await Incidente.updateOne({ _id: incidente._id }, {
+        $push: { historial: _entradaHistorial(incidente.estado, resolucion, user._id, observacion) },
+    });
+    return getIncident(user, incidente._id);
+};
+
+// Ajuste de stock y de unidades físicas de una resolución, con $inc guardado
+// para no pisar préstamos o reparaciones concurrentes del mismo ítem
+const _aplicarResolucion = async (user, incidente, resolucion, observacion) => {
+    let cantidad = incidente.cantidad;
+    let unidades = incidente.unidades;
+    let inc = null;
+    let filtro = { _id: incidente.item };
+    let movimiento = null;
+
+    if (incidente.tipo === 'daño') {
+        if (unidades.length) {
+            unidades = (await Asset.find({ _id: { $in: unidades }, estado: 'En reparación' }).select('_id').lean())
+                .map(a => a._id);
+            cantidad = unidades.length;
+        }
+        const actual = await Item.findById(incidente.item).select('cantidad_danada').lean();
+        if (!actual) throw httpError('Ítem no encontrado', 404);
+        cantidad = Math.min(cantidad, actual.cantidad_danada || 0);
+        if (cantidad > 0) {
+            filtro = { ...filtro, cantidad_danada: { $gte: cantidad } };
+            inc = resolucion === 'repuesto'
+                ? { cantidad_danada: -cantidad, cantidad_disponible: cantidad }
+                : { cantidad_danada: -cantidad, cantidad_total_stock: -cantidad };
+            movimiento = resolucion === 'repuesto' ? 'reparacion' : 'baja';
+        }
+    } else if (resolucion === 'repuesto') {
+        inc = { cantidad_total_stock: cantidad, cantidad_disponible: cantidad };
+        movimiento = 'entrada';
+    }
+
+    if (inc) {
+        const itemDoc = await Item.findOneAndUpdate(filtro, { $inc: inc }, { new: true });
+        if (!itemDoc) {
+            if (!await Item.exists({ _id: incidente.item })) throw httpError('Ítem no encontrado', 404);
+            throw httpError('Las unidades dañadas del ítem cambiaron mientras se resolvía el incidente. Intenta de nuevo', 409);
+        }
+        const antes = {
+            disponible: itemDoc.cantidad_disponible - (inc.cantidad_disponible || 0),
+            total:      itemDoc.cantidad_total_stock - (inc.cantidad_total_stock || 0),
+        };
+        await recordMovement(itemDoc, antes, {
+            tipo: movimiento, cantidad, usuario: user._id, prestamo: incidente.prestamo,
+            motivo: `Incidente ${incidente.tipo} ${resolucion}${observacion ? `: ${observacion}` : ''}`.slice(0, 500),
+        });
+    }
+
+    if (unidades.length) {
+        const reparada = incidente.tipo === 'daño' && resolucion === 'repuesto';
+        await Asset.updateMany(
+            { _id: { $in: unidades } },
+            { $set: reparada ? { estado: 'Disponible', condicion: 'Bueno' } : { estado: 'Baja' } }
+        );
+    }
+};
+
+module.exports = {
+    CONDICIONES_DEVOLUCION,
+    ESTADOS_ABIERTOS,
+    RESOLUCIONES,
+    openReturnIncident,
+    listIncidents,
+    getIncident,
+    startInvestigation,
+    resolveIncident,
+};
\ No newline at end of file
@@ -0,0 +1,62 @@
+const ExcelJS = require('exceljs');
+
+/**
+ * Columnas del archivo exportado.
+ * Los encabezados coinciden con los campos que espera POST /items/bulk: el
+ * archivo se edita y se vuelve a importar con `?modo=actualizar`, que fija el
+ * total de cada ítem existente en vez de sumarlo (con el modo por defecto el
+ * stock se duplicaría y los equipos fallarían por placa repetida).
+ * La importación usa `cuentadante_nombre` solo si la celda `cuentadante` está vacía.
+ */
+const EXPORT_COLUMNS = [
+    { header: 'nombre',               width: 40, value: i => i.nombre },
+    { header: 'descripcion',          width: 50, value: i => i.descripcion },
+    { header: 'tipo_categoria',       width: 22, value: i => i.tipo_categoria },
+    { header: 'cantidad_total_stock', width: 12, value: i => i.cantidad_total_stock },
+    { header: 'zona',                 width: 25, value: i => i.zona?.nombre },
+    { header: 'aula',                 width: 25, value: i => i.aula?.nombre },
+    { header: 'numero_placa',         width: 16, value: i => i.numero_placa },
+    { header: 'codigo_unspsc',        width: 12, value: i => i.codigo_unspsc },
+    { header: 'unidad_medida',        width: 16, value: i => i.unidad_medida },
+    { header: 'presentacion',         width: 30, value: i => i.presentacion },
+    { header: 'cuentadante',          width: 26, value: i => i.cuentadante?._id ? String(i.cuentadante._id) : i.cuentadante },
+    { header: 'cuentadante_nombre',   width: 30, value: i => i.cuentadante?.nombre },
+];
+
+const toRow = (item) => EXPORT_COLUMNS.map(c => {
+    const v = c.value(item);
+    return v === undefined || v === null ? '' : v;
+});
+
+// RFC 4180: comillas si el valor tiene separador, comillas o saltos de línea
+const csvCell = (v) => {
+    const s = String(v);
+    return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+/**
+ * CSV con BOM UTF-8 para que Excel respete las tildes al abrirlo.
+ */
+const buildCsv = (items) => {
+    const lineas = [
+        EXPORT_COLUMNS.map(c => c.header).join(','),
+        ...items.map(i => toRow(i).map(csvCell).join(',')),
+    ];
+    return '\uFEFF' + lineas.join('\r\n') + '\r\n';
+};
+
+const buildXlsx = async (items) => {
+    const workbook = new ExcelJS.Workbook();
+    workbook.creator = 'Sistema de Inventario';
+    workbook.created = new Date();
+
+    const sheet = workbook.addWorksheet('Inventario');
+    sheet.columns = EXPORT_COLUMNS.map(c => ({ header: c.header, key: c.header, width: c.width }));
+    sheet.getRow(1).font = { bold: true };
+    sheet.views = [{ state: 'frozen', ySplit: 1 }];
+    for (const item of items) sheet.addRow(toRow(item));
+
+    return workbook.xlsx.writeBuffer();
+};
+
+module.exports = { EXPORT_COLUMNS, buildCsv, buildXlsx };
\ No newline at end of file
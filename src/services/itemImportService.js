@@ -0,0 +1,475 @@
+/**
+ * itemImportService.js
+ *
+ * Importación masiva de ítems (POST /items/bulk) en tres pasos:
+ *   1. validateRows  → valida cada fila y resuelve sede/ambiente por nombre
+ *   2. planImport    → decide qué haría cada fila (insertar / fusionar / actualizar)
+ *   3. executePlan   → aplica el plan en la BD
+ *
+ * El modo dryRun ejecuta solo 1 y 2, sin tocar la BD.
+ * importItems orquesta los tres pasos con los modos atómico e idempotente.
+ *
+ * Con `modo: 'sumar'` (por defecto) las filas de ítems existentes suman sus
+ * unidades. Con `modo: 'actualizar'` el archivo es el inventario editado (por
+ * ejemplo el de GET /items/export): las filas de ítems existentes fijan su
+ * total y sus datos en lugar de sumar.
+ */
+
+const crypto        = require('crypto');
+const Item          = require('../models/Item.js');
+const Zone          = require('../models/Zone.js');
+const Classroom     = require('../models/Classroom.js');
+const Cuentadante   = require('../models/Cuentadante.js');
+const StockMovement = require('../models/StockMovement.js');
+const ImportBatch   = require('../models/ImportBatch.js');
+const logger        = require('../config/logger.js');
+const { normalizeText } = require('../utils/text.js');
+const { withTransaction } = require('../utils/transaction.js');
+const { snapshotStock, recordMovement } = require('./stockMovementService.js');
+
+const MAX_FILAS = 500;
+const LOTE_INTERRUMPIDO_MS = 15 * 60 * 1000;      // 'en_proceso' sin avanzar: el proceso se cayó
+const CLAVE_AUTOMATICA_MS  = 24 * 60 * 60 * 1000; // vigencia de la clave derivada del contenido
+const TIPOS_VALIDOS = ['Consumible', 'De Uso Controlado', 'Equipo O Maquinaria'];
+
+const escapeRegex = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Clave de fusión: mismo nombre (sin distinguir mayúsculas) en la misma sede y ambiente
+const mergeKey = (campos) => `${campos.nombre.toLowerCase()}|${campos.zona}|${campos.aula}`;
+
+/**
+ * Resuelve el cuentadante de una fila por ObjectId, numero_identificacion o
+ * nombre (sin distinguir mayúsculas ni tildes).
+ * Devuelve { id } o { error }.
+ */
+const resolverCuentadante = (valor, cuentadantes) => {
+    const v = String(valor).trim();
+    let candidatos = /^[a-f\d]{24}$/i.test(v)
+        ? cuentadantes.filter(c => String(c._id) === v)
+        : cuentadantes.filter(c => c.numero_identificacion === v);
+    if (candidatos.length === 0)
+        candidatos = cuentadantes.filter(c => normalizeText(c.nombre) === normalizeText(v));
+
+    if (candidatos.length === 0) return { error: `Cuentadante "${v}" no encontrado` };
+    if (candidatos.length > 1)
+        return { error: `Hay varios cuentadantes llamados "${v}"; use su número de identificación` };
+    if (candidatos[0].activo === false) return { error: `El cuentadante "${candidatos[0].nombre}" está inactivo` };
+    return { id: candidatos[0]._id };
+};
+
+/**
+ * Valida las filas crudas. La fila reportada es `_fila` si viene de un archivo
+ * subido; si no, idx + 2 (encabezado = fila 1). Sede y ambiente se buscan por
+ * nombre sin distinguir mayúsculas, tildes ni espacios repetidos.
+ *
+ * En modo 'actualizar' una placa existente no es un error: la fila actualiza
+ * ese equipo, siempre que siga en la sede y el ambiente de la fila.
+ *
+ * @returns {{ validos: Object[], fallidos: Object[] }}
+ */
+const validateRows = async (items, { adminScope = null, modo = 'sumar' } = {}) => {
+    const [todasZonas, todasAulas, cuentadantes] = await Promise.all([
+        Zone.find({}).lean(),
+        Classroom.find({}).lean(),
+        Cuentadante.find({}).lean()
+    ]);
+
+    const placasExistentes = new Map(
+        (await Item.find({ numero_placa: { $exists: true, $ne: null } }, 'numero_placa aula').lean())
+            .map(i => [i.numero_placa, i])
+    );
+    const placasEnLote = new Set();
+    const validos  = [];
+    const fallidos = [];
+
+    for (let idx = 0; idx < items.length; idx++) {
+        const raw  = items[idx];
+        const fila = raw._fila || idx + 2;
+        const errores = [];
+
+        const nombre = (raw.nombre || '').trim();
+        if (!nombre) errores.push('nombre es obligatorio');
+
+        const tipo_categoria = (raw.tipo_categoria || '').trim();
+        if (!TIPOS_VALIDOS.includes(tipo_categoria))
+            errores.push(`tipo_categoria inválido: "${tipo_categoria}"`);
+
+        const cantidad_total_stock = parseInt(raw.cantidad_total_stock, 10);
+        if (isNaN(cantidad_total_stock) || cantidad_total_stock < 0)
+            errores.push('cantidad debe ser un número mayor o igual a 0');
+
+        const nombreZona = (raw.zona || '').trim();
+        const zonaDoc = todasZonas.find(z => normalizeText(z.nombre) === normalizeText(nombreZona));
+        if (!zonaDoc) errores.push(`Sede "${nombreZona}" no encontrada`);
+
+        const nombreAula = (raw.aula || '').trim();
+        let aulaDoc = null;
+        if (zonaDoc) {
+            aulaDoc = todasAulas.find(a =>
+                normalizeText(a.nombre) === normalizeText(nombreAula) &&
+                String(a.zona) === String(zonaDoc._id)
+            );
+            if (!aulaDoc) errores.push(`Ambiente "${nombreAula}" no encontrado en la sede "${nombreZona}"`);
+        }
+
+        // Validar scope del admin
+        if (aulaDoc && adminScope && !adminScope.includes(String(aulaDoc._id))) {
+            errores.push(`No tienes permiso para importar ítems al ambiente "${nombreAula}"`);
+        }
+
+        let numero_placa = null;
+        if (tipo_categoria === 'Equipo O Maquinaria') {
+            numero_placa = (raw.numero_placa || '').trim().toUpperCase();
+            const existente = placasExistentes.get(numero_placa);
+            if (!numero_placa) errores.push('numero_placa es obligatorio para Equipos O Maquinaria');
+            else if (placasEnLote.has(numero_placa)) errores.push(`La placa "${numero_placa}" está duplicada en el archivo`);
+            else if (existente && modo !== 'actualizar') errores.push(`La placa "${numero_placa}" ya existe`);
+            else if (existente && aulaDoc && String(existente.aula) !== String(aulaDoc._id))
+                errores.push(`La placa "${numero_placa}" pertenece a otro ambiente`);
+            if (numero_placa) placasEnLote.add(numero_placa);
+        }
+
+        let cuentadanteId = null;
+        if (!raw.cuentadante) errores.push('cuentadante es obligatorio');
+        else {
+            const { id, error } = resolverCuentadante(raw.cuentadante, cuentadantes);
+            if (error) errores.push(error);
+            cuentadanteId = id;
+        }
+
+        if (errores.length > 0) { fallidos.push({ fila, nombre: nombre || `Fila ${fila}`, errores }); continue; }
+
+        const campos = {
+            nombre,
+            descripcion:          (raw.descripcion   || '').trim() || undefined,
+            codigo_unspsc:        (raw.codigo_unspsc || '').trim() || undefined,
+            unidad_medida:        (raw.unidad_medida || '').trim() || undefined,
+            presentacion:         (raw.presentacion  || '').trim() || undefined,
+            zona:                 zonaDoc._id,
+            aula:                 aulaDoc._id,
+            cantidad_total_stock,
+            tipo_categoria,
+            numero_placa:         numero_placa || undefined,
+            cuentadante:          cuentadanteId,
+        };
+
+        // Validaciones del esquema (UNSPSC, longitudes...)
+        // para que el dry-run anticipe también los errores de inserción
+        const errSchema = new Item({ ...campos, cantidad_disponible: cantidad_total_stock }).validateSync();
+        if (errSchema) {
+            fallidos.push({ fila, nombre, errores: Object.values(errSchema.errors).map(e => e.message) });
+            continue;
+        }
+
+        validos.push({ fila, campos });
+    }
+
+    return { validos, fallidos };
+};
+
+/**
+ * Decide la acción de cada fila válida sin escribir en la BD:
+ *   - 'insertar'   → ítem nuevo (en modo 'sumar', siempre para Equipo O Maquinaria)
+ *   - 'fusionar'   → suma unidades a un ítem existente con el mismo nombre en el
+ *                    mismo ambiente, o a uno que se inserta antes en el mismo lote
+ *   - 'actualizar' → solo en modo 'actualizar': fija el total y los datos del
+ *                    ítem existente (equipos por placa, el resto por nombre + sede + ambiente)
+ */
+const planImport = async (validos, { modo = 'sumar' } = {}) => {
+    const plan = [];
+    const insertadosEnLote = new Map(); // mergeKey → fila que lo inserta
+
+    for (const { fila, campos } of validos) {
+        if (campos.tipo_categoria === 'Equipo O Maquinaria') {
+            const existente = modo === 'actualizar'
+                ? await Item.findOne({ numero_placa: campos.numero_placa }).lean()
+                : null;
+            plan.push(existente ? { fila, accion: 'actualizar', campos, existente } : { fila, accion: 'insertar', campos });
+            continue;
+        }
+
+        const key = mergeKey(campos);
+        if (insertadosEnLote.has(key)) {
+            plan.push({ fila, accion: 'fusionar', campos, filaDestino: insertadosEnLote.get(key) });
+            continue;
+        }
+
+        const existente = await Item.findOne({
+            nombre: { $regex: `^${escapeRegex(campos.nombre)}$`, $options: 'i' },
+            zona: campos.zona, aula: campos.aula,
+        }).lean();
+
+        if (existente) {
+            plan.push({ fila, accion: modo === 'actualizar' ? 'actualizar' : 'fusionar', campos, existente });
+        } else {
+            plan.push({ fila, accion: 'insertar', campos });
+            insertadosEnLote.set(key, fila);
+        }
+    }
+    return plan;
+};
+
+/**
+ * Resumen por fila del plan, para la respuesta del dry-run.
+ */
+const describePlan = (plan, fallidos) => {
+    const filas = [
+        ...plan.map(p => {
+            const base = { fila: p.fila, nombre: p.campos.nombre, cantidad: p.campos.cantidad_total_stock };
+            if (p.accion === 'insertar') return { ...base, resultado: 'insertar' };
+            if (p.accion === 'actualizar') {
+                return {
+                    ...base,
+                    resultado: 'actualizar',
+                    item: {
+                        _id: p.existente._id,
+                        nombre: p.existente.nombre,
+                        cantidad_total_stock: p.existente.cantidad_total_stock,
+                        cantidad_total_resultante: p.campos.cantidad_total_stock,
+                    },
+                };
+            }
+            if (p.existente) {
+                return {
+                    ...base,
+                    resultado: 'fusionar',
+                    item: {
+                        _id: p.existente._id,
+                        nombre: p.existente.nombre,
+                        cantidad_total_stock: p.existente.cantidad_total_stock,
+                        cantidad_total_resultante: p.existente.cantidad_total_stock + p.campos.cantidad_total_stock,
+                    },
+                };
+            }
+            return { ...base, resultado: 'fusionar', fila_destino: p.filaDestino };
+        }),
+        ...fallidos.map(f => ({ ...f, resultado: 'error' })),
+    ].sort((a, b) => a.fila - b.fila);
+
+    return {
+        insertaria:   plan.filter(p => p.accion === 'insertar').length,
+        fusionaria:   plan.filter(p => p.accion === 'fusionar').length,
+        actualizaria: plan.filter(p => p.accion === 'actualizar').length,
+        fallaria:     fallidos.length,
+        filas,
+    };
+};
+
+/**
+ * Aplica el plan.
+ *
+ * Modo normal: cada fila se procesa de forma independiente; un error se
+ * reporta en `errores` y la importación continúa con la siguiente.
+ *
+ * Modo atómico (`atomic: true`): el primer error aborta la importación.
+ * Con `session` la transacción deshace lo escrito; sin ella (mongod standalone)
+ * se compensa a mano lo ya aplicado. El error lleva `fila` y `nombre`.
+ */
+const executePlan = async (plan, { actorId, session = null, atomic = false } = {}) => {
+    let insertados = 0, actualizados = 0;
+    const errores = [];
+    const insertadosEnLote = new Map(); // fila → _id del ítem insertado
+    const aplicados = [];               // para compensar sin transacción
+
+    for (const { fila, accion, campos, existente, filaDestino } of plan) {
+        try {
+            if (accion === 'insertar') {
+                const nuevo = new Item({ ...campos, cantidad_disponible: campos.cantidad_total_stock,
+                    estado: campos.cantidad_total_stock > 0 ? 'Disponible' : 'Agotado' });
+                await nuevo.save({ session });
+                const mov = await recordMovement(nuevo, { disponible: 0, total: 0 }, {
+                    tipo: 'importacion', cantidad: nuevo.cantidad_total_stock,
+                    motivo: `Importación masiva (fila ${fila})`, usuario: actorId,
+                }, { session });
+                aplicados.push({ accion, itemId: nuevo._id, movimientoId: mov._id });
+                insertadosEnLote.set(fila, nuevo._id);
+                insertados++;
+                continue;
+            }
+
+            const destinoId = existente ? existente._id : insertadosEnLote.get(filaDestino);
+            const item = destinoId ? await Item.findById(destinoId).session(session) : null;
+            if (!item) throw new Error('No se encontró el ítem con el que fusionar la fila');
+
+            const antes  = snapshotStock(item);
+            const previo = { nombre: item.nombre, descripcion: item.descripcion, codigo_unspsc: item.codigo_unspsc,
+                unidad_medida: item.unidad_medida, presentacion: item.presentacion, cuentadante: item.cuentadante };
+
+            // Unidades que se suman (o restan, al actualizar a un total menor)
+            const cantidad = accion === 'actualizar'
+                ? campos.cantidad_total_stock - item.cantidad_total_stock
+                : campos.cantidad_total_stock;
+            if (item.cantidad_disponible + cantidad < 0) {
+                const ocupadas = item.cantidad_total_stock - item.cantidad_disponible;
+                throw new Error(`El total no puede ser menor que ${ocupadas}: ` +
+                    'hay unidades en préstamo, dañadas o en mantenimiento');
+            }
+            item.cantidad_total_stock += cantidad;
+            item.cantidad_disponible  += cantidad;
+            item.estado = item.cantidad_disponible > 0 ? 'Disponible' : 'Agotado';
+            if (accion === 'actualizar') {
+                item.nombre      = campos.nombre;
+                item.cuentadante = campos.cuentadante;
+            }
+            if (campos.descripcion)   item.descripcion   = campos.descripcion;
+            if (campos.codigo_unspsc) item.codigo_unspsc = campos.codigo_unspsc;
+            if (campos.unidad_medida) item.unidad_medida = campos.unidad_medida;
+            if (campos.presentacion)  item.presentacion  = campos.presentacion;
+            await item.save({ session });
+            if (cantidad !== 0) {
+                await recordMovement(item, antes, {
+                    tipo: 'importacion', cantidad: Math.abs(cantidad),
+                    motivo: `Importación masiva (fila ${fila})`, usuario: actorId,
+                }, { session });
+            }
+            aplicados.push({ accion, itemId: item._id, cantidad, previo });
+            actualizados++;
+        } catch (err) {
+            logger.error(`[bulkCreate] Error fila ${fila}: ${err.message}`);
+            if (atomic) {
+                if (!session) await _revertirImportacion(aplicados, actorId);
+                // Se relanza el error original: withTransaction necesita su código
+                // para detectar un mongod sin soporte de transacciones
+                throw Object.assign(err, { fila, nombre: campos.nombre });
+            }
+            errores.push({ fila, nombre: campos.nombre, errores: [err.message] });
+        }
+    }
+
+    return { insertados, actualizados, errores };
+};
+
+// Compensación de una importación atómica sin transacción, en orden inverso:
+// los ítems creados se eliminan con su kardex; a los fusionados o actualizados
+// se les deshace la diferencia de unidades y se deja constancia en el kardex.
+const _revertirImportacion = async (aplicados, actorId) => {
+    for (const a of [...aplicados].reverse()) {
+        try {
+            if (a.accion === 'insertar') {
+                await Item.deleteOne({ _id: a.itemId });
+                await StockMovement.deleteOne({ _id: a.movimientoId });
+                continue;
+            }
+            const item = await Item.findById(a.itemId);
+            if (!item) continue;
+            Object.assign(item, a.previo);
+            if (a.cantidad === 0) { await item.save(); continue; }
+            const antes = snapshotStock(item);
+            item.cantidad_total_stock -= a.cantidad;
+            item.cantidad_disponible   = Math.max(0, item.cantidad_disponible - a.cantidad);
+            await item.save();
+            await recordMovement(item, antes, {
+                tipo: 'importacion', cantidad: Math.abs(a.cantidad),
+                motivo: 'Reversión de importación atómica fallida', usuario: actorId,
+            });
+        } catch (e) { logger.error(`[bulkCreate] Error revirtiendo ítem ${a.itemId}: ${e.message}`); }
+    }
+};
+
+// Huella del lote: detecta si una clave de idempotencia se reutiliza con otro archivo.
+// El modo forma parte de la huella: el mismo archivo suma o actualiza distinto
+const hashItems = (items, modo = 'sumar') => crypto.createHash('sha256')
+    .update(JSON.stringify(modo === 'sumar' ? items : { modo, items })).digest('hex');
+
+/**
+ * Importación completa (validar → planificar → aplicar).
+ *
+ * `clave` es la clave de idempotencia del lote: si ya se procesó un lote con
+ * la misma clave y el mismo contenido, se devuelve el resultado guardado sin
+ * volver a sumar stock. Sin clave se deriva una del contenido, válida 24 horas
+ * por usuario: reenviar el mismo archivo en ese plazo no lo aplica dos veces.
+ *
+ * @returns {{ repetido: boolean, aplicado: boolean, resultado: Object }}
+ *          `aplicado` es false cuando una importación atómica se canceló.
+ */
+const importItems = async (items, { adminScope = null, actorId, atomic = false, clave = null, modo = 'sumar' } = {}) => {
+    const lote = await _reservarClave(clave || `auto:${hashItems(items, modo)}`, items,
+        { actorId, atomic, modo, automatica: !clave });
+    if (lote.repetido) return { repetido: true, aplicado: true, resultado: lote.resultado };
+
+    try {
+        const { validos, fallidos } = await validateRows(items, { adminScope, modo });
+        let resultado;
+
+        if (atomic && fallidos.length > 0) {
+            resultado = { total: items.length, insertados: 0, actualizados: 0, fallidos: fallidos.length, errores: fallidos };
+        } else if (atomic) {
+            const plan = await planImport(validos, { modo });
+            try {
+                const r = await withTransaction(session => executePlan(plan, { actorId, session, atomic: true }));
+                resultado = { total: items.length, insertados: r.insertados, actualizados: r.actualizados, fallidos: 0, errores: [] };
+            } catch (err) {
+                if (!err.fila) throw err;
+                resultado = { total: items.length, insertados: 0, actualizados: 0, fallidos: 1,
+                    errores: [{ fila: err.fila, nombre: err.nombre, errores: [err.message] }] };
+            }
+        } else {
+            const plan = await planImport(validos, { modo });
+            const r = await executePlan(plan, { actorId });
+            resultado = { total: items.length, insertados: r.insertados, actualizados: r.actualizados,
+                fallidos: fallidos.length + r.errores.length, errores: [...fallidos, ...r.errores] };
+        }
+
+        const aplicado = !(atomic && resultado.fallidos > 0);
+        // Una importación atómica cancelada no escribió nada: se libera la
+        // clave para poder reenviar el archivo corregido
+        if (aplicado) await ImportBatch.updateOne({ _id: lote._id }, { estado: 'completado', resultado });
+        else          await ImportBatch.deleteOne({ _id: lote._id });
+        return { repetido: false, aplicado, resultado };
+    } catch (err) {
+        // En modo atómico no quedó nada escrito; en modo normal puede haber
+        // filas aplicadas, así que la clave queda bloqueada
+        if (atomic) await ImportBatch.deleteOne({ _id: lote._id });
+        else        await ImportBatch.updateOne({ _id: lote._id }, { estado: 'fallido', error: err.message });
+        throw err;
+    }
+};
+
+const enCurso = () => Object.assign(new Error('Ya hay una importación en curso con esta clave'), { status: 409 });
+const terminoConError = () => Object.assign(
+    new Error('La importación con esta clave terminó con error. Revise el inventario y use una clave nueva'), { status: 409 });
+
+// Registra la clave del lote o devuelve el resultado de un lote ya completado
+const _reservarClave = async (clave, items, { actorId, atomic, modo, automatica }) => {
+    const hash = hashItems(items, modo);
+    const previo = await ImportBatch.findOne({ usuario: actorId, clave }).lean();
+
+    if (previo) {
+        if (previo.hash !== hash)
+            throw Object.assign(new Error('La clave de idempotencia ya se usó con un archivo distinto'), { status: 422 });
+        if (previo.estado === 'completado') return { repetido: true, resultado: previo.resultado };
+        if (previo.estado === 'fallido') throw terminoConError();
+        if (Date.now() - new Date(previo.updatedAt).getTime() < LOTE_INTERRUMPIDO_MS) throw enCurso();
+        return _retomarLote(previo, { atomic, total: items.length });
+    }
+
+    try {
+        return await ImportBatch.create({
+            clave, usuario: actorId, hash, atomic, total: items.length,
+            expiresAt: automatica ? new Date(Date.now() + CLAVE_AUTOMATICA_MS) : undefined,
+        });
+    } catch (err) {
+        // Dos envíos simultáneos con la misma clave: el índice único deja pasar solo uno
+        if (err.code === 11000)
+            throw Object.assign(new Error('Ya hay una importación en curso con esta clave'), { status: 409 });
+        throw err;
+    }
+};
+
+// Lote 'en_proceso' cuyo proceso se cayó. Si era atómico no dejó cambios y se
+// retoma con la misma clave; si no, pudo aplicar parte de las filas y se marca
+// 'fallido'. El filtro por updatedAt evita que dos reenvíos lo retomen a la vez.
+const _retomarLote = async (previo, { atomic, total }) => {
+    const filtro = { _id: previo._id, estado: 'en_proceso', updatedAt: previo.updatedAt };
+    if (previo.atomic) {
+        const lote = await ImportBatch.findOneAndUpdate(filtro, { $set: { atomic, total } }, { new: true });
+        if (!lote) throw enCurso();
+        return lote;
+    }
+    await ImportBatch.updateOne(filtro, {
+        $set: { estado: 'fallido', error: 'La importación se interrumpió antes de terminar' },
+    });
+    throw terminoConError();
+};
+
+module.exports = { MAX_FILAS, validateRows, planImport, describePlan, executePlan, importItems };
\ No newline at end of file
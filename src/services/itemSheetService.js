@@ -0,0 +1,126 @@
+const path    = require('path');
+const ExcelJS = require('exceljs');
+const { normalizeText } = require('../utils/text.js');
+
+/**
+ * Alias de encabezados aceptados en la hoja de importación.
+ * Se comparan normalizados (sin tildes, minúsculas, "_" y espacios equivalentes),
+ * así "Sede", "SEDE" y "sede" apuntan a `zona`.
+ */
+const HEADER_ALIASES = {
+    nombre:               ['nombre', 'item', 'elemento', 'articulo', 'nombre del item', 'nombre del elemento'],
+    descripcion:          ['descripcion'],
+    tipo_categoria:       ['tipo_categoria', 'tipo', 'categoria', 'tipo de categoria'],
+    cantidad_total_stock: ['cantidad_total_stock', 'cantidad', 'stock', 'cantidad total', 'unidades'],
+    zona:                 ['zona', 'sede'],
+    aula:                 ['aula', 'ambiente', 'salon'],
+    numero_placa:         ['numero_placa', 'placa', 'no placa', 'n placa', 'numero de placa', 'nro placa'],
+    codigo_unspsc:        ['codigo_unspsc', 'unspsc', 'codigo unspsc'],
+    unidad_medida:        ['unidad_medida', 'unidad', 'unidad de medida'],
+    presentacion:         ['presentacion'],
+    cuentadante:          ['cuentadante', 'responsable', 'documento cuentadante', 'identificacion cuentadante'],
+    cuentadante_nombre:   ['cuentadante_nombre', 'nombre cuentadante', 'nombre del cuentadante'],
+};
+
+const COLUMNAS_OBLIGATORIAS = ['nombre', 'tipo_categoria', 'cantidad_total_stock', 'zona', 'aula'];
+
+const headerKey = (h) => normalizeText(String(h).replace(/[_.#°º]/g, ' '));
+
+const ALIAS_INDEX = new Map(
+    Object.entries(HEADER_ALIASES).flatMap(([campo, alias]) => alias.map(a => [headerKey(a), campo]))
+);
+
+// Separador del CSV: Excel en español exporta con ";"
+const detectDelimiter = (primeraLinea) => {
+    const sinComillas = primeraLinea.replace(/"[^"]*"/g, '');
+    const pc = (sinComillas.match(/;/g) || []).length;
+    const c  = (sinComillas.match(/,/g) || []).length;
+    return pc > c ? ';' : ',';
+};
+
+// Parser RFC 4180: campos entre comillas con separadores, comillas dobles y saltos de línea
+const parseCsv = (texto) => {
+    const limpio = texto.replace(/^\uFEFF/, '');
+    const delim = detectDelimiter(limpio.split(/\r?\n/, 1)[0]);
+    const filas = [];
+    let fila = [], campo = '', enComillas = false;
+
+    for (let i = 0; i < limpio.length; i++) {
+        const ch = limpio[i];
+        if (enComillas) {
+            if (ch === '"' && limpio[i + 1] === '"') { campo += '"'; i++; }
+            else if (ch === '"') enComillas = false;
+            else campo += ch;
+        } else if (ch === '"') {
+            enComillas = true;
+        } else if (ch === delim) {
+            fila.push(campo); campo = '';
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && limpio[i + 1] === '\n') i++;
+            fila.push(campo); filas.push(fila);
+            fila = []; campo = '';
+        } else {
+            campo += ch;
+        }
+    }
+    if (campo !== '' || fila.length > 0) { fila.push(campo); filas.push(fila); }
+    return filas;
+};
+
+const parseXlsx = async (buffer) => {
+    const workbook = new ExcelJS.Workbook();
+    try {
+        await workbook.xlsx.load(buffer);
+    } catch {
+        throw Object.assign(new Error('El archivo XLSX está dañado o no es válido'), { status: 400 });
+    }
+    const sheet = workbook.worksheets[0];
+    if (!sheet) return [];
+
+    const filas = [];
+    for (let r = 1; r <= sheet.rowCount; r++) {
+        const row = sheet.getRow(r);
+        const valores = [];
+        for (let c = 1; c <= sheet.columnCount; c++) valores.push(row.getCell(c).text);
+        filas.push(valores);
+    }
+    return filas;
+};
+
+/**
+ * Convierte un archivo CSV/XLSX subido (multer) en filas para validateRows.
+ *
+ * La primera fila son los encabezados. Las filas vacías se omiten y cada fila
+ * conserva su número real en la hoja (`_fila`) para reportar los errores.
+ * Si no hay columna `cuentadante` se usa `cuentadante_nombre`.
+ */
+const parseItemSheet = async (file) => {
+    const ext = path.extname(file.originalname || '').toLowerCase();
+    const filas = ext === '.xlsx'
+        ? await parseXlsx(file.buffer)
+        : parseCsv(file.buffer.toString('utf8'));
+
+    if (filas.length === 0)
+        throw Object.assign(new Error('El archivo está vacío'), { status: 400 });
+
+    const columnas = filas[0].map(h => ALIAS_INDEX.get(headerKey(h)) || null);
+    const faltantes = COLUMNAS_OBLIGATORIAS.filter(c => !columnas.includes(c));
+    if (!columnas.includes('cuentadante') && !columnas.includes('cuentadante_nombre')) faltantes.push('cuentadante');
+    if (faltantes.length > 0)
+        throw Object.assign(new Error(`Faltan columnas obligatorias: ${faltantes.join(', ')}`), { status: 400 });
+
+    const items = [];
+    for (let i = 1; i < filas.length; i++) {
+        if (filas[i].every(v => String(v ?? '').trim() === '')) continue;
+        const raw = { _fila: i + 1 };
+        columnas.forEach((campo, idx) => {
+            if (campo && raw[campo] === undefined) raw[campo] = String(filas[i][idx] ?? '').trim();
+        });
+        if (!raw.cuentadante) raw.cuentadante = raw.cuentadante_nombre;
+        delete raw.cuentadante_nombre;
+        items.push(raw);
+    }
+    return items;
+};
+
+module.exports = { HEADER_ALIASES, parseItemSheet };
\ No newline at end of file
@@ -2,6 +2,14 @@ const Loan   = require('../models/Loan.js');
 const Item   = require('../models/Item.js');
 const User   = require('../models/User.js');
 const logger = require('../config/logger.js');
+const { snapshotStock, recordMovement } = require('./stockMovementService.js');
+const { withTransaction } = require('../utils/transaction.js');
+const { getWindowAvailability } = require('./availabilityService.js');
+const { assertCanBorrow, assertWithinLimits, consumeException, restoreException } = require('./borrowingPolicyService.js');
+const { isUnitTracked, assignUnits, revertAssignment, checkReturnedUnits, releaseUnits } = require('./assetService.js');
+const { CONDICIONES_DEVOLUCION, openReturnIncident } = require('./incidentService.js');
+const { parsePagination, buildPage, emptyResult } = require('../utils/pagination.js');
+const { buildDateRange } = require('../utils/date.js');
 const {
     sendAprobacion, sendDevolucion, sendConfirmacionParcialUsuario,
     sendAplazado, sendRechazo, notifyAdminsNewLoan, notifyAdminsReturnRequest
@@ -17,7 +25,7 @@ const populateLoan = (query) =>
 // ─── CREATE ───────────────────────────────────────────────────────────────────
 const createLoan = async (userId, body) => {
     logger.info(`Creando prestamo para usuario: ${userId}`);
-    const { items, fecha_sugerida_usuario, observacion_solicitud, destino_salida } = body;
+    const { items, fecha_sugerida_usuario, observacion_solicitud, destino_salida, fecha_inicio, fecha_fin } = body;
     if (!Array.isArray(items) || items.length === 0)
         throw Object.assign(new Error('Debes incluir al menos un item'), { status: 400 });
     for (const li of items) {
@@ -26,8 +34,35 @@ const createLoan = async (userId, body) => {
         if (!Number.isInteger(Number(li.cantidad_prestamo)) || li.cantidad_prestamo < 1)
             throw Object.assign(new Error('La cantidad debe ser un entero >= 1'), { status: 400 });
     }
+    const solicitante = await User.findById(userId)
+        .select('rol email_verificado bloqueado motivo_bloqueo excepcion_prestamo').lean();
+    // lean() no aplica defaults: las cuentas anteriores al campo no lo tienen
+    if (solicitante?.email_verificado === false)
+        throw Object.assign(new Error('Debes verificar tu correo antes de solicitar préstamos'), { status: 403 });
+    if (solicitante?.bloqueado) {
+        const motivo = solicitante.motivo_bloqueo ? `: ${solicitante.motivo_bloqueo}` : '';
+        throw Object.assign(new Error(`Tu cuenta está bloqueada para solicitar préstamos${motivo}`), { status: 403 });
+    }
+    // Vencidos / devoluciones tardías según la política configurada
+    const usaExcepcion = solicitante ? await assertCanBorrow(solicitante) : false;
+    if (Boolean(fecha_inicio) !== Boolean(fecha_fin))
+        throw Object.assign(new Error('Una reserva requiere fecha_inicio y fecha_fin'), { status: 400 });
+    if (fecha_inicio && new Date(fecha_fin) <= new Date(fecha_inicio))
+        throw Object.assign(new Error('fecha_fin debe ser posterior a fecha_inicio'), { status: 400 });
+    if (fecha_inicio) {
+        await _validarVentana(null, { fecha_inicio: new Date(fecha_inicio), fecha_fin: new Date(fecha_fin) },
+            items.map(li => ({ item: li.item, cantidad_prestamo: Number(li.cantidad_prestamo) })));
+    }
+    // Límites por ítem y por rol; la duración se mide hasta fecha_fin o la fecha sugerida
+    if (solicitante) {
+        await assertWithinLimits(solicitante, items.map(li => ({ item: li.item, cantidad: Number(li.cantidad_prestamo) })), {
+            desde: fecha_inicio ? new Date(fecha_inicio) : new Date(),
+            hasta: fecha_fin || fecha_sugerida_usuario || undefined,
+        });
+    }
     const loanData = {
         usuario: userId,
+        historial: [{ de: null, a: 'Pendiente', usuario: userId, observacion: observacion_solicitud || undefined }],
         items: items.map(li => ({
             item: li.item, aula: li.aula,
             cantidad_prestamo: Number(li.cantidad_prestamo),
@@ -38,7 +73,23 @@ const createLoan = async (userId, body) => {
     if (fecha_sugerida_usuario) loanData.fecha_sugerida_usuario = fecha_sugerida_usuario;
     if (observacion_solicitud)  loanData.observacion_solicitud  = observacion_solicitud;
     if (destino_salida)         loanData.destino_salida         = destino_salida.trim();
-    const loan = await Loan.create(loanData);
+    if (fecha_inicio)           loanData.fecha_inicio           = fecha_inicio;
+    if (fecha_fin)              loanData.fecha_fin              = fecha_fin;
+    // La excepción se consume antes de crear el préstamo (atómico: dos solicitudes
+    // simultáneas no pueden usarla ambas) y se devuelve si la creación falla
+    let excepcion = null;
+    if (usaExcepcion) {
+        excepcion = await consumeException(userId);
+        const nota = `[Autorizado por excepción]${excepcion.motivo ? ` ${excepcion.motivo}` : ''}`;
+        loanData.historial[0].observacion = [observacion_solicitud, nota].filter(Boolean).join(' | ').slice(0, 500);
+    }
+    let loan;
+    try {
+        loan = await Loan.create(loanData);
+    } catch (err) {
+        if (excepcion) await restoreException(userId, excepcion);
+        throw err;
+    }
     setImmediate(async () => {
         try {
             const [user, populated] = await Promise.all([
@@ -52,9 +103,30 @@ const createLoan = async (userId, body) => {
 };
 
 // ─── APPROVE ──────────────────────────────────────────────────────────────────
-const approveLoan = async (loanId, fechaEstimada, { approvals = [], itemsToRemove = [], observacion_aprobacion, cuentadante_principal } = {}) => {
+// Descuenta el stock de forma atómica: cada línea usa un $inc condicionado a
+// cantidad_disponible >= n y todo el préstamo corre en una transacción, de modo
+// que dos aprobaciones concurrentes no sobrevenden y un fallo en cualquier
+// línea revierte las anteriores.
+// Si el préstamo tiene fecha_inicio futura se aprueba como reserva: se valida
+// la disponibilidad de la ventana y el stock se descuenta al entregar.
+const approveLoan = async (loanId, fechaEstimada, opciones = {}) => {
     logger.info(`Aprobando prestamo: ${loanId}`);
-    const loan = await populateLoan(Loan.findById(loanId));
+    const loan = await withTransaction(session => _approveLoanTx(session, loanId, fechaEstimada, opciones));
+
+    setImmediate(async () => {
+        try {
+            const p = await populateLoan(Loan.findById(loan._id));
+            if (p?.usuario?.email?.includes('@')) await sendAprobacion(p.usuario, p);
+        } catch (e) { logger.error('Error email aprobacion:', e.message); }
+    });
+    return loan;
+};
+
+// Fin de ventana para préstamos sin fecha de devolución (fecha máxima de JS)
+const SIN_DEVOLUCION = new Date(8.64e15);
+
+const _approveLoanTx = async (session, loanId, fechaEstimada, { approvals = [], itemsToRemove = [], observacion_aprobacion, cuentadante_principal, actorId } = {}) => {
+    const loan = await populateLoan(Loan.findById(loanId).session(session));
     if (!loan) throw Object.assign(new Error('Prestamo no encontrado'), { status: 404 });
     if (loan.estado !== 'Pendiente') throw Object.assign(new Error('El prestamo no esta pendiente'), { status: 400 });
 
@@ -64,71 +136,212 @@ const approveLoan = async (loanId, fechaEstimada, { approvals = [], itemsToRemov
     }
 
     const approvalMap = {};
-    for (const a of approvals) approvalMap[String(a.loanItemId)] = Number(a.cantidad_aprobada);
+    const unidadesMap = {};
+    for (const a of approvals) {
+        if (a.cantidad_aprobada !== undefined) approvalMap[String(a.loanItemId)] = Number(a.cantidad_aprobada);
+        if (a.unidades) unidadesMap[String(a.loanItemId)] = a.unidades;
+    }
 
     const pending = loan.items.filter(li => li.estado_item === 'Pendiente');
     if (pending.length === 0)
         throw Object.assign(new Error('Todos los items fueron eliminados'), { status: 400 });
 
-    for (const li of pending) {
-        const itemDoc = await Item.findById(li.item._id || li.item);
-        if (!itemDoc) throw Object.assign(new Error(`Item no encontrado: ${li.item}`), { status: 404 });
+    const esReserva = Boolean(loan.fecha_inicio && loan.fecha_inicio > new Date());
+    // En préstamos con ventana, fecha_fin hace las veces de fecha estimada por defecto
+    const fechaDevolucion = fechaEstimada || loan.fecha_fin;
+
+    // Sin transacción (mongod standalone) se revierten a mano los descuentos
+    // y las unidades ya asignadas
+    const descontados = [];
+    const asignadas = [];
+    try {
+        for (const li of pending) {
+            const cantSolicitada = li.cantidad_prestamo;
+            const cantPropuesta  = approvalMap[String(li._id)] !== undefined
+                ? approvalMap[String(li._id)] : cantSolicitada;
+            const cantFinal = Math.min(Math.max(0, Math.floor(cantPropuesta)), cantSolicitada);
+
+            if (cantFinal < 1) { li.estado_item = 'Eliminado'; continue; }
+
+            if (!esReserva) {
+                await _descontarLinea(session, li, cantFinal, { actorId, loanId: loan._id, motivo: 'Aprobación de préstamo' });
+                descontados.push({ itemId: li.item._id || li.item, cantidad: cantFinal });
+                if (await isUnitTracked(li.item._id || li.item, session)) {
+                    asignadas.push(...await assignUnits(session, li, unidadesMap[String(li._id)],
+                        { cantidad: cantFinal, loanId: loan._id }));
+                }
+            }
 
-        const cantSolicitada = li.cantidad_prestamo;
-        const cantPropuesta  = approvalMap[String(li._id)] !== undefined
-            ? approvalMap[String(li._id)] : cantSolicitada;
-        const cantFinal = Math.min(Math.max(0, Math.floor(cantPropuesta)), cantSolicitada);
+            li.cantidad_aprobada = cantFinal;
+            li.cantidad_prestamo = cantFinal;
+            li.estado_item = 'Aprobado';
+        }
 
-        if (cantFinal < 1) { li.estado_item = 'Eliminado'; continue; }
+        const aprobados = loan.items.filter(li => li.estado_item === 'Aprobado');
+        if (aprobados.length === 0)
+            throw Object.assign(new Error('No quedo ningun item aprobado en el prestamo'), { status: 400 });
 
-        if (cantFinal > itemDoc.cantidad_disponible)
-            throw Object.assign(
-                new Error(`Stock insuficiente para "${itemDoc.nombre}". Disponible: ${itemDoc.cantidad_disponible}`),
-                { status: 400 }
-            );
+        const tieneNoConsumible = aprobados.some(li => {
+            const tipo = li.item?.tipo_categoria;
+            return tipo !== 'Consumible';
+        });
+        if (tieneNoConsumible && !fechaDevolucion)
+            throw Object.assign(new Error('La fecha estimada es obligatoria para préstamos con ítems no consumibles'), { status: 400 });
+
+        // Se revalidan los límites con las cantidades y la fecha definitivas
+        if (loan.usuario) {
+            await assertWithinLimits(loan.usuario,
+                aprobados.map(li => ({ item: li.item._id || li.item, cantidad: li.cantidad_prestamo })), {
+                    desde: esReserva ? loan.fecha_inicio : new Date(),
+                    hasta: fechaDevolucion,
+                    excluirPrestamo: loan._id,
+                    session,
+                });
+        }
+
+        if (esReserva) {
+            await _validarVentana(session, loan, aprobados);
+            _registrarTransicion(loan, 'Reservado', actorId, observacion_aprobacion);
+        } else {
+            // Las unidades ya reservadas para una ventana que se cruza con este
+            // préstamo no se pueden prestar. Sin fecha (solo consumibles) no vuelven.
+            await _validarVentana(session, loan, aprobados, { desde: new Date(), hasta: fechaDevolucion || SIN_DEVOLUCION });
+            _registrarTransicion(loan, 'Aprobado', actorId, observacion_aprobacion);
+            loan.fecha_prestamo = new Date();
+        }
+        if (fechaDevolucion) loan.fecha_estimada = fechaDevolucion;
+        if (observacion_aprobacion) loan.observacion_aprobacion = String(observacion_aprobacion).trim();
+        if (cuentadante_principal) loan.cuentadante_principal = cuentadante_principal;
+        await loan.save({ session });
+        return loan;
+    } catch (err) {
+        if (!session) {
+            await _revertirDescuentos(descontados, loan._id);
+            if (asignadas.length) await revertAssignment(asignadas, loan._id);
+        }
+        throw err;
+    }
+};
 
-        itemDoc.cantidad_disponible -= cantFinal;
-        await itemDoc.save();
+// ─── DELIVER RESERVATION ──────────────────────────────────────────────────────
+// El usuario recoge una reserva: se descuenta el stock (misma ruta atómica que
+// la aprobación) y el préstamo pasa a 'Aprobado'. `entregas` indica, por
+// línea ({ loanItemId, unidades }), las unidades físicas que se entregan.
+// Solo se entrega dentro de la ventana reservada: antes de fecha_inicio el
+// stock puede estar prestado a otros y después de fecha_fin ya se liberó.
+const deliverReservation = async (loanId, actorId, { entregas = [] } = {}) => {
+    logger.info(`Entregando reserva: ${loanId}`);
+    return withTransaction(async (session) => {
+        const loan = await populateLoan(Loan.findById(loanId).session(session));
+        if (!loan) throw Object.assign(new Error('Prestamo no encontrado'), { status: 404 });
+        if (loan.estado !== 'Reservado')
+            throw Object.assign(new Error('El prestamo no es una reserva pendiente de entrega'), { status: 400 });
+        const ahora = new Date();
+        if (loan.fecha_inicio && ahora < loan.fecha_inicio)
+            throw Object.assign(new Error(`La reserva se puede entregar a partir del ${loan.fecha_inicio.toISOString().slice(0, 10)}`), { status: 400 });
+        if (loan.fecha_fin && ahora > loan.fecha_fin)
+            throw Object.assign(new Error(`La reserva venció el ${loan.fecha_fin.toISOString().slice(0, 10)}; recházala y crea una nueva solicitud`), { status: 400 });
+
+        const unidadesMap = {};
+        for (const e of entregas) unidadesMap[String(e.loanItemId)] = e.unidades;
+
+        const descontados = [];
+        const asignadas = [];
+        try {
+            for (const li of loan.items.filter(l => l.estado_item === 'Aprobado')) {
+                await _descontarLinea(session, li, li.cantidad_prestamo, { actorId, loanId: loan._id, motivo: 'Entrega de reserva' });
+                descontados.push({ itemId: li.item._id || li.item, cantidad: li.cantidad_prestamo });
+                if (await isUnitTracked(li.item._id || li.item, session)) {
+                    asignadas.push(...await assignUnits(session, li, unidadesMap[String(li._id)],
+                        { cantidad: li.cantidad_prestamo, loanId: loan._id }));
+                }
+            }
+            _registrarTransicion(loan, 'Aprobado', actorId, 'Entrega de reserva');
+            loan.fecha_prestamo = new Date();
+            await loan.save({ session });
+            return loan;
+        } catch (err) {
+            if (!session) {
+                await _revertirDescuentos(descontados, loan._id);
+                if (asignadas.length) await revertAssignment(asignadas, loan._id);
+            }
+            throw err;
+        }
+    });
+};
 
-        li.cantidad_aprobada = cantFinal;
-        li.cantidad_prestamo = cantFinal;
-        li.estado_item = 'Aprobado';
+// Descuenta `cantidad` unidades del ítem de la línea sólo si hay disponible suficiente.
+// Cada unidad entregada cuenta como un uso para el plan de mantenimiento.
+const _descontarLinea = async (session, li, cantidad, { actorId, loanId, motivo }) => {
+    const itemId = li.item._id || li.item;
+    const itemDoc = await Item.findOneAndUpdate(
+        { _id: itemId, cantidad_disponible: { $gte: cantidad } },
+        { $inc: { cantidad_disponible: -cantidad, usos_desde_mantenimiento: cantidad } },
+        { new: true, session }
+    );
+    if (!itemDoc) {
+        const actual = await Item.findById(itemId).session(session).lean();
+        if (!actual) throw Object.assign(new Error(`Item no encontrado: ${itemId}`), { status: 404 });
+        throw Object.assign(
+            new Error(`Stock insuficiente para "${actual.nombre}". Disponible: ${actual.cantidad_disponible}`),
+            { status: 400 }
+        );
     }
 
-    const aprobados = loan.items.filter(li => li.estado_item === 'Aprobado');
-    if (aprobados.length === 0)
-        throw Object.assign(new Error('No quedo ningun item aprobado en el prestamo'), { status: 400 });
+    const antes = { disponible: itemDoc.cantidad_disponible + cantidad, total: itemDoc.cantidad_total_stock };
+    await recordMovement(itemDoc, antes, {
+        tipo: 'prestamo', cantidad, motivo, usuario: actorId, prestamo: loanId,
+    }, { session });
+    return itemDoc;
+};
 
-    const tieneNoConsumible = aprobados.some(li => {
-        const tipo = li.item?.tipo_categoria;
-        return tipo !== 'Consumible';
-    });
-    if (tieneNoConsumible && !fechaEstimada)
-        throw Object.assign(new Error('La fecha estimada es obligatoria para préstamos con ítems no consumibles'), { status: 400 });
-
-    loan.estado         = 'Aprobado';
-    loan.fecha_prestamo = new Date();
-    if (fechaEstimada) loan.fecha_estimada = fechaEstimada;
-    if (observacion_aprobacion) loan.observacion_aprobacion = String(observacion_aprobacion).trim();
-    if (cuentadante_principal) loan.cuentadante_principal = cuentadante_principal;
-    await loan.save();
+// Verifica que las líneas caben en la ventana del préstamo (por defecto
+// fecha_inicio–fecha_fin; un préstamo inmediato pasa desde ahora hasta su
+// devolución). Dentro de una transacción se "toca" cada ítem para que dos
+// reservas simultáneas del mismo ítem entren en conflicto y una se reintente.
+const _validarVentana = async (session, loan, lineas, { desde = loan.fecha_inicio, hasta = loan.fecha_fin } = {}) => {
+    const porItem = new Map();
+    for (const li of lineas) {
+        const id = String(li.item?._id || li.item);
+        porItem.set(id, (porItem.get(id) || 0) + li.cantidad_prestamo);
+    }
+    for (const [itemId, cantidad] of porItem) {
+        if (session) await Item.updateOne({ _id: itemId }, { $currentDate: { updatedAt: true } }, { session });
+        const itemDoc = await Item.findById(itemId).session(session).lean();
+        if (!itemDoc) throw Object.assign(new Error(`Item no encontrado: ${itemId}`), { status: 404 });
+        const { disponible } = await getWindowAvailability(itemDoc, desde, hasta, {
+            excludeLoanId: loan._id, session,
+        });
+        if (cantidad > disponible)
+            throw Object.assign(
+                new Error(`No hay unidades suficientes de "${itemDoc.nombre}" en el periodo solicitado. Disponibles: ${disponible}`),
+                { status: 409 }
+            );
+    }
+};
 
-    setImmediate(async () => {
+const _revertirDescuentos = async (descontados, loanId) => {
+    for (const { itemId, cantidad } of descontados) {
         try {
-            const p = await populateLoan(Loan.findById(loan._id));
-            if (p?.usuario?.email?.includes('@')) await sendAprobacion(p.usuario, p);
-        } catch (e) { logger.error('Error email aprobacion:', e.message); }
-    });
-    return loan;
+            const itemDoc = await Item.findByIdAndUpdate(itemId, { $inc: { cantidad_disponible: cantidad } }, { new: true });
+            if (itemDoc) {
+                await recordMovement(itemDoc, { disponible: itemDoc.cantidad_disponible - cantidad, total: itemDoc.cantidad_total_stock }, {
+                    tipo: 'devolucion', cantidad, motivo: 'Reversión de aprobación fallida', prestamo: loanId,
+                });
+            }
+        } catch (e) { logger.error(`Error revirtiendo stock de ${itemId}:`, e.message); }
+    }
 };
 
 // ─── REJECT ───────────────────────────────────────────────────────────────────
-const rejectLoan = async (loanId, observacion_rechazo) => {
+const rejectLoan = async (loanId, observacion_rechazo, actorId) => {
     logger.info(`Rechazando prestamo: ${loanId}`);
     const loan = await Loan.findById(loanId);
     if (!loan) throw Object.assign(new Error('Prestamo no encontrado'), { status: 404 });
-    if (loan.estado !== 'Pendiente') throw Object.assign(new Error('El prestamo no esta pendiente'), { status: 400 });
-    loan.estado = 'Rechazado';
+    // Rechazar una reserva ya aprobada equivale a cancelarla (aún no descontó stock)
+    if (!['Pendiente', 'Reservado'].includes(loan.estado))
+        throw Object.assign(new Error('El prestamo no esta pendiente'), { status: 400 });
+    _registrarTransicion(loan, 'Rechazado', actorId, observacion_rechazo);
     if (observacion_rechazo) loan.observacion_rechazo = observacion_rechazo;
     await loan.save();
     setImmediate(async () => {
@@ -141,13 +354,13 @@ const rejectLoan = async (loanId, observacion_rechazo) => {
 };
 
 // ─── DELAY ────────────────────────────────────────────────────────────────────
-const delayLoan = async (loanId, nuevaFecha) => {
+const delayLoan = async (loanId, nuevaFecha, actorId) => {
     logger.info(`Aplazando prestamo: ${loanId}`);
     const loan = await populateLoan(Loan.findById(loanId));
     if (!loan) throw Object.assign(new Error('Prestamo no encontrado'), { status: 404 });
     if (!['Aprobado', 'Aplazado'].includes(loan.estado))
         throw Object.assign(new Error('El prestamo no puede ser aplazado'), { status: 400 });
-    loan.estado = 'Aplazado';
+    _registrarTransicion(loan, 'Aplazado', actorId, `Nueva fecha estimada: ${new Date(nuevaFecha).toISOString()}`);
     loan.fecha_estimada = nuevaFecha;
     await loan.save();
     setImmediate(async () => {
@@ -187,7 +400,7 @@ const notifyReturnRequest = async (loanId, userId, { loanItemId, cantidadDevuelt
             li.cantidad_devuelta = 0;
             li.cantidad_confirmada = 0;
             li.notificacion_devolucion_enviada = true;
-            _checkAndCloseLoan(loan);
+            _checkAndCloseLoan(loan, userId);
             await loan.save();
             return { notified: false, closed: true, message: 'Consumible utilizado totalmente.' };
         }
@@ -232,7 +445,11 @@ const notifyReturnRequest = async (loanId, userId, { loanItemId, cantidadDevuelt
 };
 
 // ─── CONFIRM PARTIAL RETURN ───────────────────────────────────────────────────
-const confirmPartialReturn = async (loanId, loanItemId, cantAdmin, observacion_recepcion) => {
+// El estado de lo recibido se indica con códigos (bueno, dañado, incompleto,
+// perdido): por unidad en `unidades` ({ asset, condicion, observacion }) si la
+// línea se entregó por unidades, o por cantidad en `condiciones`
+// ({ condicion, cantidad, observacion }); lo no listado llegó en buen estado.
+const confirmPartialReturn = async (loanId, loanItemId, cantAdmin, observacion_recepcion, actorId, { unidades = [], condiciones = [], tipoIncidente } = {}) => {
     logger.info(`Confirmando devolucion: prestamo=${loanId} item=${loanItemId} cant=${cantAdmin}`);
     const loan = await populateLoan(Loan.findById(loanId));
     if (!loan) throw Object.assign(new Error('Prestamo no encontrado'), { status: 404 });
@@ -243,6 +460,7 @@ const confirmPartialReturn = async (loanId, loanItemId, cantAdmin, observacion_r
     const maxConfirmable = li.cantidad_prestamo - yaConfirmado;
     if (cantAdmin > maxConfirmable)
         throw Object.assign(new Error(`Solo se pueden confirmar ${maxConfirmable} unidad(es) mas.`), { status: 400 });
+    const recepcion = cantAdmin > 0 ? _desgloseRecepcion(li, cantAdmin, { unidades, condiciones }) : null;
 
     const ahora = new Date();
 
@@ -316,17 +534,12 @@ const confirmPartialReturn = async (loanId, loanItemId, cantAdmin, observacion_r
         li.notificacion_devolucion_enviada = false;
     }
 
-    const itemDoc = await Item.findById(li.item._id || li.item);
-    if (itemDoc) {
-        const nuevoDisponible = itemDoc.cantidad_disponible + cantAdmin;
-        if (nuevoDisponible > itemDoc.cantidad_total_stock)
-            itemDoc.cantidad_total_stock = nuevoDisponible;
-        itemDoc.cantidad_disponible = nuevoDisponible;
-        await itemDoc.save();
-    }
+    const incidentes = await _aplicarRecepcion(loan, li, recepcion, {
+        observacion: observacion_recepcion, actorId, tipoIncidente,
+    });
 
     const cerrado = esConsumible ? true : devolucionTotal;
-    _checkAndCloseLoan(loan);
+    _checkAndCloseLoan(loan, actorId);
     await loan.save();
 
     const _loanId = loan._id, _liSnap = li.toObject(),
@@ -347,11 +560,109 @@ const confirmPartialReturn = async (loanId, loanItemId, cantAdmin, observacion_r
             }
         } catch (e) { logger.error('Error email confirmacion devolucion:', e.message); }
     });
-    return { loan, cantidadConfirmada: cantAdmin, totalConfirmado: nuevoConfirmado, cerrado };
+    return { loan, cantidadConfirmada: cantAdmin, totalConfirmado: nuevoConfirmado, cerrado, incidentes };
+};
+
+/**
+ * Aplica al stock, a las unidades físicas y a los incidentes lo recibido en
+ * la línea `li` según el desglose de _desgloseRecepcion:
+ *   bueno → disponible · dañado/incompleto → cantidad_danada · perdido → sale del total
+ * Devuelve los incidentes abiertos (uno por código con novedad).
+ */
+const _aplicarRecepcion = async (loan, li, { conteo, unidades, novedades }, { observacion, actorId, tipoIncidente }) => {
+    const itemDoc = await Item.findById(li.item._id || li.item);
+    if (itemDoc) {
+        const movimiento = { usuario: actorId, prestamo: loan._id };
+        if (conteo.bueno > 0) {
+            const antes = snapshotStock(itemDoc);
+            const nuevoDisponible = itemDoc.cantidad_disponible + conteo.bueno;
+            if (nuevoDisponible > itemDoc.cantidad_total_stock)
+                itemDoc.cantidad_total_stock = nuevoDisponible;
+            itemDoc.cantidad_disponible = nuevoDisponible;
+            await itemDoc.save();
+            await recordMovement(itemDoc, antes, {
+                ...movimiento, tipo: 'devolucion', cantidad: conteo.bueno,
+                motivo: observacion || 'Devolución confirmada',
+            });
+        }
+        // Dañadas e incompletas siguen en el total pero no vuelven al disponible
+        const danadas = conteo.dañado + conteo.incompleto;
+        if (danadas > 0) {
+            const antes = snapshotStock(itemDoc);
+            itemDoc.cantidad_danada = (itemDoc.cantidad_danada || 0) + danadas;
+            await itemDoc.save();
+            await recordMovement(itemDoc, antes, {
+                ...movimiento, tipo: 'dano', cantidad: danadas, motivo: 'Devueltas dañadas o incompletas',
+            });
+        }
+        if (conteo.perdido > 0) {
+            const antes = snapshotStock(itemDoc);
+            itemDoc.cantidad_total_stock = Math.max(0, itemDoc.cantidad_total_stock - conteo.perdido);
+            await itemDoc.save();
+            await recordMovement(itemDoc, antes, {
+                ...movimiento, tipo: 'perdida', cantidad: conteo.perdido,
+                motivo: observacion || 'Reportadas como perdidas en la devolución',
+            });
+        }
+    }
+    if (unidades.length) await releaseUnits(li, unidades);
+
+    const incidentes = [];
+    for (const novedad of novedades) {
+        const incidente = await openReturnIncident({
+            loan, li, ...novedad, tipo: tipoIncidente, descripcion: novedad.observacion || observacion, actorId,
+        });
+        li.novedades.push({ condicion: novedad.condicion, cantidad: novedad.cantidad,
+            observacion: novedad.observacion, incidente: incidente._id });
+        incidentes.push(incidente);
+    }
+    return incidentes;
+};
+
+// Reparte las `cantidad` unidades recibidas por código de recepción.
+// Devuelve el conteo por código, las unidades físicas (si la línea se
+// entregó por unidades) y una novedad por cada código distinto de 'bueno'.
+const _desgloseRecepcion = (li, cantidad, { unidades, condiciones }) => {
+    const conteo = Object.fromEntries(CONDICIONES_DEVOLUCION.map(c => [c, 0]));
+    const novedades = new Map();
+    const anotar = (condicion, cant, observacion, asset) => {
+        conteo[condicion] += cant;
+        if (condicion === 'bueno') return;
+        const n = novedades.get(condicion) || { condicion, cantidad: 0, unidades: [], observaciones: [] };
+        n.cantidad += cant;
+        if (asset) n.unidades.push(asset);
+        if (observacion) n.observaciones.push(String(observacion).trim());
+        novedades.set(condicion, n);
+    };
+
+    let recibidas = [];
+    if (li.unidades.length > 0) {
+        recibidas = checkReturnedUnits(li, unidades, cantidad);
+        for (const u of recibidas) anotar(u.condicion, 1, u.observacion, u.asset);
+    } else {
+        for (const c of condiciones || []) {
+            const cant = Number(c.cantidad);
+            if (!CONDICIONES_DEVOLUCION.includes(c.condicion) || !Number.isInteger(cant) || cant < 1)
+                throw Object.assign(new Error('Cada condición debe tener un código válido y una cantidad entera >= 1'), { status: 400 });
+            if (c.condicion !== 'bueno') anotar(c.condicion, cant, c.observacion);
+        }
+        const conNovedad = Object.values(conteo).reduce((a, b) => a + b, 0);
+        if (conNovedad > cantidad)
+            throw Object.assign(new Error(`Las condiciones suman más de las ${cantidad} unidad(es) confirmadas`), { status: 400 });
+        conteo.bueno = cantidad - conNovedad;
+    }
+
+    return {
+        conteo,
+        unidades: recibidas,
+        novedades: [...novedades.values()].map(({ observaciones, ...n }) => ({
+            ...n, observacion: observaciones.join('; ').slice(0, 500) || undefined,
+        })),
+    };
 };
 
 // ─── RETURN LOAN ──────────────────────────────────────────────────────────────
-const returnLoan = async (loanId) => {
+const returnLoan = async (loanId, actorId) => {
     logger.info(`Cerrando prestamo: ${loanId}`);
     const loan = await populateLoan(Loan.findById(loanId));
     if (!loan) throw Object.assign(new Error('Prestamo no encontrado'), { status: 404 });
@@ -372,7 +683,7 @@ const returnLoan = async (loanId) => {
         li.estado_item = item.tipo_categoria === 'Consumible' ? 'Usado' : 'Devuelto';
     }
 
-    loan.estado = 'Devuelto';
+    _registrarTransicion(loan, 'Devuelto', actorId, 'Cierre manual del préstamo');
     loan.fecha_retorno = new Date();
     await loan.save();
 
@@ -386,26 +697,44 @@ const returnLoan = async (loanId) => {
 };
 
 // ─── FORCE CLOSE ──────────────────────────────────────────────────────────────
-const forceCloseLoan = async (loanId, observacion_cierre) => {
+// Las unidades no devueltas de equipos y material de uso controlado se
+// registran como perdidas (salen del total y abren un incidente); los
+// consumibles pendientes vuelven al disponible.
+const forceCloseLoan = async (loanId, observacion_cierre, actorId) => {
     logger.info(`Cierre forzado: prestamo=${loanId}`);
     const loan = await populateLoan(Loan.findById(loanId));
     if (!loan) throw Object.assign(new Error('Préstamo no encontrado'), { status: 404 });
     if (!['Aprobado', 'Aplazado'].includes(loan.estado))
         throw Object.assign(new Error('Solo se pueden cerrar forzadamente préstamos activos'), { status: 400 });
 
+    const obsCierre = observacion_cierre ? `[Cierre forzado] ${observacion_cierre}` : '[Cierre forzado]';
     for (const li of loan.items.filter(l => l.estado_item === 'Aprobado')) {
-        const itemDoc = await Item.findById(li.item._id || li.item);
-        if (itemDoc) {
-            const pendienteStock = (li.cantidad_prestamo || 0) - (li.cantidad_confirmada || 0);
-            if (pendienteStock > 0) {
-                const nuevoDisponible = itemDoc.cantidad_disponible + pendienteStock;
+        const pendiente = (li.cantidad_prestamo || 0) - (li.cantidad_confirmada || 0);
+        const esConsumible = li.item?.tipo_categoria === 'Consumible';
+
+        if (pendiente > 0 && !esConsumible) {
+            const sinDevolver = li.unidades.filter(u => !u.devuelta_en);
+            await _aplicarRecepcion(loan, li, {
+                conteo: { bueno: 0, dañado: 0, incompleto: 0, perdido: pendiente },
+                unidades: sinDevolver.map(u => ({ asset: u.asset, condicion: 'perdido', observacion: obsCierre })),
+                novedades: [{ condicion: 'perdido', cantidad: pendiente, unidades: sinDevolver.map(u => u.asset), observacion: obsCierre }],
+            }, { observacion: obsCierre, actorId });
+        } else if (pendiente > 0) {
+            const itemDoc = await Item.findById(li.item._id || li.item);
+            if (itemDoc) {
+                const antes = snapshotStock(itemDoc);
+                const nuevoDisponible = itemDoc.cantidad_disponible + pendiente;
                 if (nuevoDisponible > itemDoc.cantidad_total_stock)
                     itemDoc.cantidad_total_stock = nuevoDisponible;
                 itemDoc.cantidad_disponible = nuevoDisponible;
                 await itemDoc.save();
+                await recordMovement(itemDoc, antes, {
+                    tipo: 'cierre_forzado', cantidad: pendiente,
+                    motivo: observacion_cierre || 'Cierre forzado del préstamo', usuario: actorId, prestamo: loan._id,
+                });
             }
         }
-        li.estado_item = li.item?.tipo_categoria === 'Consumible' ? 'Usado' : 'Devuelto';
+        li.estado_item = esConsumible ? 'Usado' : 'Devuelto';
         if (observacion_cierre) {
             li.devoluciones_parciales.push({
                 cantidad: 0,
@@ -415,13 +744,39 @@ const forceCloseLoan = async (loanId, observacion_cierre) => {
         }
     }
 
-    loan.estado = 'Cerrado';
+    _registrarTransicion(loan, 'Cerrado', actorId, obsCierre);
     loan.fecha_retorno = new Date();
-    if (observacion_cierre) loan.observacion_aprobacion = `[Cierre forzado] ${observacion_cierre}`;
+    if (observacion_cierre) loan.observacion_cierre = observacion_cierre;
     await loan.save();
     return loan;
 };
 
+// ─── REPORT INCIDENT ──────────────────────────────────────────────────────────
+// Daño, pérdida o robo de unidades aún en préstamo: se confirman con el
+// código correspondiente (dañado o perdido) y se abre el incidente del tipo
+// indicado, sin esperar a la devolución ni al cierre del préstamo.
+const reportIncident = async (loanId, loanItemId, { tipo, cantidad, unidades = [], descripcion }, actorId) => {
+    const loan = await Loan.findById(loanId).select('estado items').lean();
+    if (!loan) throw Object.assign(new Error('Prestamo no encontrado'), { status: 404 });
+    if (!['Aprobado', 'Aplazado'].includes(loan.estado))
+        throw Object.assign(new Error('Solo se pueden reportar incidentes de préstamos activos'), { status: 400 });
+    const li = loan.items.find(l => String(l._id) === String(loanItemId));
+    if (!li || li.estado_item !== 'Aprobado')
+        throw Object.assign(new Error('La línea no tiene unidades en préstamo'), { status: 400 });
+
+    const condicion = tipo === 'daño' ? 'dañado' : 'perdido';
+    const cant = li.unidades?.length ? unidades.length : Number(cantidad);
+    if (!Number.isInteger(cant) || cant < 1)
+        throw Object.assign(new Error('Indica la cantidad o las unidades afectadas'), { status: 400 });
+
+    const { incidentes } = await confirmPartialReturn(loanId, loanItemId, cant, descripcion, actorId, {
+        unidades: unidades.map(asset => ({ asset, condicion, observacion: descripcion })),
+        condiciones: [{ condicion, cantidad: cant, observacion: descripcion }],
+        tipoIncidente: tipo,
+    });
+    return incidentes[0];
+};
+
 // ─── DELETE ───────────────────────────────────────────────────────────────────
 const deleteLoan = async (loanId) => {
     logger.info(`Eliminando prestamo: ${loanId}`);
@@ -437,32 +792,79 @@ const deleteLoan = async (loanId) => {
 };
 
 // ─── LIST ─────────────────────────────────────────────────────────────────────
+const LOAN_SORT_FIELDS = ['createdAt', 'fecha_solicitud', 'fecha_estimada', 'fecha_prestamo', 'fecha_retorno', 'estado'];
+
+/**
+ * Filtros (query string):
+ *   estado, usuario (solo staff), item, aula,
+ *   solicitud_desde / solicitud_hasta  → fecha_solicitud
+ *   estimada_desde  / estimada_hasta   → fecha_estimada
+ *   vencidos=true → activos con fecha_estimada ya pasada
+ *   page, limit, sort → ver utils/pagination.js
+ *
+ * Sin page/limit devuelve el array completo (compatibilidad);
+ * con ellos devuelve { data, total, page, pages }.
+ */
 const listLoans = async ({ rol, _id, ambientes_asignados }, filtros = {}) => {
     const isStaff = rol === 'Admin' || rol === 'SuperAdmin';
+    const pagination = parsePagination(filtros, {
+        allowedSort: LOAN_SORT_FIELDS, defaultSort: { createdAt: -1 },
+    });
     const query = {};
 
     // Usuario común: solo sus propios préstamos
     if (!isStaff || filtros.propios === 'true' || filtros.propios === true) {
         query.usuario = _id;
+    } else if (filtros.usuario) {
+        query.usuario = filtros.usuario;
     }
 
     // Admin normal: filtrar por sus ambientes asignados
     if (rol === 'Admin' && !filtros.propios) {
         const aulaIds = (ambientes_asignados || []).map(String);
-        if (aulaIds.length === 0) return [];
+        if (aulaIds.length === 0) return emptyResult(pagination);
+        if (filtros.aula && !aulaIds.includes(String(filtros.aula))) return emptyResult(pagination);
         // Préstamos que tengan al menos un ítem en sus ambientes
-        query['items.aula'] = { $in: aulaIds };
+        query['items.aula'] = filtros.aula ? filtros.aula : { $in: aulaIds };
+    } else if (filtros.aula) {
+        query['items.aula'] = filtros.aula;
     }
 
+    if (filtros.item) query['items.item'] = filtros.item;
     if (filtros.estado) query.estado = filtros.estado;
 
-    return populateLoan(Loan.find(query)).sort({ createdAt: -1 });
+    const rangoSolicitud = buildDateRange(filtros.solicitud_desde, filtros.solicitud_hasta);
+    if (rangoSolicitud) query.fecha_solicitud = rangoSolicitud;
+
+    const rangoEstimada = buildDateRange(filtros.estimada_desde, filtros.estimada_hasta);
+    if (rangoEstimada) query.fecha_estimada = rangoEstimada;
+
+    if (filtros.vencidos === 'true' || filtros.vencidos === true) {
+        const activos = ['Aprobado', 'Aplazado'];
+        if (filtros.estado && !activos.includes(filtros.estado)) return emptyResult(pagination);
+        if (!filtros.estado) query.estado = { $in: activos };
+        query.fecha_estimada = { ...(query.fecha_estimada || {}), $lt: new Date() };
+    }
+
+    if (!pagination.paginate) {
+        return populateLoan(Loan.find(query)).sort(pagination.sort);
+    }
+
+    const [data, total] = await Promise.all([
+        populateLoan(Loan.find(query))
+            .sort({ ...pagination.sort, _id: -1 })
+            .skip(pagination.skip)
+            .limit(pagination.limit),
+        Loan.countDocuments(query),
+    ]);
+    return buildPage(data, total, pagination);
 };
 
 // ─── GET BY ID ────────────────────────────────────────────────────────────────
 const getLoanById = async ({ rol, _id, ambientes_asignados }, loanId) => {
     const isStaff = rol === 'Admin' || rol === 'SuperAdmin';
-    const loan = await populateLoan(Loan.findById(loanId));
+    const loan = await populateLoan(Loan.findById(loanId))
+        .populate('historial.usuario', 'nombre email rol');
     if (!loan) throw Object.assign(new Error('Prestamo no encontrado'), { status: 404 });
 
     if (!isStaff && loan.usuario._id.toString() !== _id.toString())
@@ -478,11 +880,31 @@ const getLoanById = async ({ rol, _id, ambientes_asignados }, loanId) => {
     return loan;
 };
 
+// ─── HISTORY ──────────────────────────────────────────────────────────────────
+// Mismas reglas de acceso que el detalle
+const getLoanHistory = async (user, loanId) => {
+    const loan = await getLoanById(user, loanId);
+    return { prestamo: loan._id, estado: loan.estado, historial: loan.historial };
+};
+
+// ─── Helper historial ─────────────────────────────────────────────────────────
+// Toda modificación de loan.estado pasa por aquí para dejar rastro del actor.
+const _registrarTransicion = (loan, estado, actorId, observacion) => {
+    loan.historial.push({
+        de: loan.estado || null,
+        a: estado,
+        usuario: actorId || undefined,
+        fecha: new Date(),
+        observacion: observacion ? String(observacion).trim().slice(0, 500) : undefined,
+    });
+    loan.estado = estado;
+};
+
 // ─── Helper cierre automático ─────────────────────────────────────────────────
-const _checkAndCloseLoan = (loan) => {
+const _checkAndCloseLoan = (loan, actorId) => {
     const activos = loan.items.filter(li => li.estado_item === 'Aprobado');
     if (activos.length === 0 && ['Aprobado', 'Aplazado'].includes(loan.estado)) {
-        loan.estado = 'Devuelto';
+        _registrarTransicion(loan, 'Devuelto', actorId, 'Cierre automático: todos los ítems devueltos');
         loan.fecha_retorno = new Date();
         logger.info(`Prestamo ${loan._id} cerrado automaticamente`);
     }
@@ -490,6 +912,6 @@ const _checkAndCloseLoan = (loan) => {
 
 module.exports = {
     createLoan, approveLoan, rejectLoan, returnLoan,
-    confirmPartialReturn, delayLoan, deleteLoan, forceCloseLoan,
-    listLoans, getLoanById, notifyReturnRequest
+    confirmPartialReturn, delayLoan, deleteLoan, forceCloseLoan, deliverReservation, reportIncident,
+    listLoans, getLoanById, getLoanHistory, notifyReturnRequest
 };
\ No newline at end of file
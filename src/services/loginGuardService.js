@@ -0,0 +1,91 @@
+const User         = require('../models/User.js');
+const LoginAttempt = require('../models/LoginAttempt.js');
+const logger       = require('../config/logger.js');
+
+// Fallos consecutivos que disparan un bloqueo
+const MAX_FALLOS_CUENTA = 5;
+const MAX_FALLOS_IP     = 20;
+
+// Bloqueo progresivo: 5 min, 10, 20, 40... con tope de 24 h
+const BLOQUEO_BASE_MS = 5 * 60 * 1000;
+const BLOQUEO_MAX_MS  = 24 * 60 * 60 * 1000;
+const MEMORIA_IP_MS   = 24 * 60 * 60 * 1000;
+
+const duracionBloqueo = (nivel) => Math.min(BLOQUEO_BASE_MS * 2 ** nivel, BLOQUEO_MAX_MS);
+
+const minutosRestantes = (hasta) => Math.max(1, Math.ceil((hasta - Date.now()) / 60000));
+
+const bloqueoError = (hasta, status, sujeto) => Object.assign(
+    new Error(`${sujeto} bloqueado temporalmente por intentos fallidos. Intente de nuevo en ${minutosRestantes(hasta)} minuto(s).`),
+    { status, retryAfter: Math.ceil((hasta - Date.now()) / 1000) }
+);
+
+/**
+ * Lanza 429 si la IP está bloqueada o 423 si la cuenta lo está.
+ * `user` puede ser null (email inexistente).
+ */
+const assertLoginAllowed = async (user, ip) => {
+    const ahora = new Date();
+    const intento = await LoginAttempt.findOne({ ip }).lean();
+    if (intento?.bloqueado_hasta > ahora) throw bloqueoError(intento.bloqueado_hasta, 429, 'Acceso');
+    if (user?.bloqueo_login_hasta > ahora) throw bloqueoError(user.bloqueo_login_hasta, 423, 'Usuario');
+};
+
+/**
+ * Registra un login fallido para la IP y, si existe, la cuenta.
+ * Si el fallo dispara un bloqueo lanza el error correspondiente.
+ */
+const registerFailure = async (user, ip) => {
+    const ahora = Date.now();
+
+    const intento = await LoginAttempt.findOneAndUpdate(
+        { ip },
+        { $inc: { fallos: 1 }, $set: { expiresAt: new Date(ahora + MEMORIA_IP_MS) } },
+        { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+    if (intento.fallos >= MAX_FALLOS_IP) {
+        const hasta = new Date(ahora + duracionBloqueo(intento.bloqueos));
+        await LoginAttempt.updateOne({ _id: intento._id },
+            { fallos: 0, $inc: { bloqueos: 1 }, bloqueado_hasta: hasta });
+        logger.warn(`Login bloqueado para la IP ${ip} hasta ${hasta.toISOString()}`);
+        throw bloqueoError(hasta, 429, 'Acceso');
+    }
+
+    if (!user) return;
+    const cuenta = await User.findByIdAndUpdate(user._id, { $inc: { intentos_fallidos: 1 } }, { new: true });
+    if (cuenta && cuenta.intentos_fallidos >= MAX_FALLOS_CUENTA) {
+        const hasta = new Date(ahora + duracionBloqueo(cuenta.bloqueos_login));
+        await User.updateOne({ _id: cuenta._id },
+            { intentos_fallidos: 0, $inc: { bloqueos_login: 1 }, bloqueo_login_hasta: hasta });
+        logger.warn(`Cuenta ${cuenta.email} bloqueada hasta ${hasta.toISOString()}`);
+        throw bloqueoError(hasta, 423, 'Usuario');
+    }
+};
+
+/**
+ * Login correcto: reinicia los contadores de la cuenta y los fallos de la IP.
+ */
+const registerSuccess = async (user, ip) => {
+    await Promise.all([
+        User.updateOne({ _id: user._id },
+            { intentos_fallidos: 0, bloqueos_login: 0, bloqueo_login_hasta: null }),
+        LoginAttempt.updateOne({ ip }, { fallos: 0 }),
+    ]);
+};
+
+/**
+ * Desbloqueo manual (SuperAdmin): limpia contadores y bloqueo de la cuenta.
+ */
+const unlockAccount = (userId) =>
+    User.findByIdAndUpdate(userId,
+        { intentos_fallidos: 0, bloqueos_login: 0, bloqueo_login_hasta: null },
+        { new: true }).select('-passwordHash');
+
+module.exports = {
+    MAX_FALLOS_CUENTA,
+    MAX_FALLOS_IP,
+    assertLoginAllowed,
+    registerFailure,
+    registerSuccess,
+    unlockAccount,
+};
\ No newline at end of file
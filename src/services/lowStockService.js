@@ -0,0 +1,38 @@
+const Item = require('../models/Item.js');
+
+/**
+ * Consumibles activos con el disponible en su stock_minimo o por debajo
+ * (estado 'Bajo stock' o 'Agotado'), del más necesitado al menos.
+ * `faltante` es lo que hay que reponer para volver al mínimo.
+ *
+ * @param {Object}   [filtros]
+ * @param {string[]} [filtros.aulaIds] Scope del Admin; sin él, todos los ambientes
+ * @param {string}   [filtros.aula]
+ * @param {string}   [filtros.zona]
+ */
+const listLowStockItems = async ({ aulaIds, aula, zona } = {}) => {
+    const query = {
+        activo: true,
+        tipo_categoria: 'Consumible',
+        stock_minimo: { $type: 'number' },
+        $expr: { $lte: ['$cantidad_disponible', '$stock_minimo'] },
+    };
+    if (aulaIds) {
+        const scope = aulaIds.map(String);
+        if (aula && !scope.includes(String(aula))) return [];
+        query.aula = aula || { $in: scope };
+    } else if (aula) {
+        query.aula = aula;
+    }
+    if (zona) query.zona = zona;
+
+    const items = await Item.find(query)
+        .populate('zona aula cuentadante')
+        .sort({ nombre: 1 })
+        .lean();
+    return items
+        .map(item => ({ ...item, faltante: item.stock_minimo - item.cantidad_disponible }))
+        .sort((a, b) => b.faltante - a.faltante);
+};
+
+module.exports = { listLowStockItems };
\ No newline at end of file
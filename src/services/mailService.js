@@ -65,6 +65,23 @@ const buildEmail = (accentColor, title, bodyHtml) =>
 </html>`;
 
 
+// Datos de perfil del solicitante (documento, ficha, etc.) para los admins.
+// Solo muestra los que el usuario tenga registrados.
+const buildUserProfile = (user, style = '') => {
+    if (!user) return '';
+    const filas = [
+        ['🪪 Documento', user.numero_documento && `${user.tipo_documento || ''} ${user.numero_documento}`.trim()],
+        ['📞 Teléfono', user.telefono],
+        ['🎓 Ficha', user.ficha],
+        ['📚 Programa', user.programa],
+        ['👨‍🏫 Instructor responsable', user.instructor_responsable],
+    ];
+    return filas
+        .filter(([, valor]) => valor)
+        .map(([etiqueta, valor]) => `<p${style ? ` style="${style}"` : ''}><strong>${etiqueta}:</strong> ${sanitizeHtml(valor)}</p>`)
+        .join('');
+};
+
 const buildItemsTable = (items, filter = 'all', showCantAprobada = false) => {
     let rows = items;
     if (filter === 'active')   rows = items.filter(li => !['Eliminado'].includes(li.estado_item));
@@ -242,6 +259,10 @@ const sendAprobacion = async (user, loan) => {
         ? `<p><strong>📅 Fecha solicitada por ti:</strong> <span style="color:#888;">${formatDate(loan.fecha_sugerida_usuario)}</span></p>`
         : '';
 
+    const reservaFila = loan.estado === 'Reservado'
+        ? `<p><strong>🗓️ Reserva:</strong> del ${formatDate(loan.fecha_inicio)} al ${formatDate(loan.fecha_fin)}. Recoge los ítems a partir de la fecha de inicio.</p>`
+        : '';
+
     const destinoBlock = loan.destino_salida
         ? `<div class="obs-box" style="background:#e0f2f1;border-color:#26a69a;"><p style="margin:0 0 6px;"><strong>📍 Destino de salida:</strong></p><p style="margin:0;">${sanitizeHtml(loan.destino_salida)}</p></div>`
         : '';
@@ -261,6 +282,7 @@ const sendAprobacion = async (user, loan) => {
         <p><strong>📋 Ítems aprobados (${aprobados.length}):</strong></p>
         ${tablaAprobados}
         ${fechaSugeridaFila}
+        ${reservaFila}
         <p><strong>📅 Fecha de devolución asignada:</strong> <strong style="color:#e65100;">${formatDate(loan.fecha_estimada)}</strong></p>
     </div>
     ${eliminadosBlock}
@@ -594,6 +616,33 @@ const sendPasswordReset = async (user, resetLink) => {
     });
 };
 
+const sendEmailVerification = async (user, verifyLink) => {
+    logger.info(`📨 Email verificación de cuenta → ${user.email}`);
+
+    const body = `
+    <p>Hola <strong>${sanitizeHtml(user.nombre)}</strong>,</p>
+    <p>Gracias por registrarte en el <strong>Sistema de Inventario</strong>. Confirma que este correo es tuyo para poder solicitar préstamos.</p>
+    <div class="info-box" style="border-color:#39A900;">
+        <p style="text-align:center;margin:20px 0;">
+            <a href="${verifyLink}" style="display:inline-block;padding:12px 30px;background:#39A900;color:white;text-decoration:none;border-radius:6px;font-weight:bold;">
+                Verificar Correo
+            </a>
+        </p>
+        <p style="font-size:12px;color:#666;">Si el botón no funciona, copia este enlace:<br>
+            <span style="word-break:break-all;">${verifyLink}</span>
+        </p>
+    </div>
+    <div style="background:#fff3cd;padding:15px;border-radius:6px;border:2px solid #ffc107;">
+        <p><strong>⚠️ Importante:</strong> Este enlace expirará en 24 horas. Si no creaste esta cuenta, ignora este mensaje.</p>
+    </div>`;
+
+    return sendEmail({
+        to: user.email,
+        subject: '✉️ Verifica tu correo - Sistema de Inventario',
+        html: buildEmail('#39A900', '✉️ Verificación de Correo', body)
+    });
+};
+
 //  NOTIFICACIONES A ADMINISTRADORES
 
 // Nueva solicitud (loan ya populado)
@@ -617,6 +666,7 @@ const notifyAdminsNewLoan = async (user, loan) => {
     <div class="info-box" style="border-color:#F44336;">
         <p><strong>👤 Solicitante:</strong> ${sanitizeHtml(user.nombre)}</p>
         <p><strong>📧 Email:</strong> ${user.email}</p>
+        ${buildUserProfile(user)}
         <p><strong>📋 Ítems solicitados (${loan.items?.length || 0}):</strong></p>
         ${buildItemsTable(loan.items || [], 'all')}
         <p><strong>📅 Fecha solicitud:</strong> ${formatDate(loan.fecha_solicitud || new Date())}</p>
@@ -711,6 +761,7 @@ const notifyAdminsReturnRequest = async (user, loan, loanItem, { cantidadDevuelt
     <p>El usuario <strong>${sanitizeHtml(user.nombre)}</strong> notificó una devolución.</p>
     <div class="info-box" style="border-color:#FF9800;">
         <p><strong>👤 Usuario:</strong> ${sanitizeHtml(user.nombre)} (${user.email})</p>
+        ${buildUserProfile(user)}
         <p><strong>📦 Ítem:</strong> ${nombreItem} <span class="badge ${badgeClass}">${item?.tipo_categoria || ''}</span></p>
         <p><strong>📍 Ubicación:</strong> ${sanitizeHtml(loanItem.aula?.nombre || 'N/A')}</p>
         ${detalle}
@@ -770,6 +821,7 @@ const notifyAdminsOverdueLoans = async (overdueLoans) => {
         <div class="info-box" style="border-color:#c62828;margin-bottom:20px;">
             <p style="margin:0 0 6px;"><strong>👤 Usuario:</strong> ${sanitizeHtml(usuario.nombre)}</p>
             <p style="margin:0 0 10px;"><strong>📧 Email:</strong> ${sanitizeHtml(usuario.email)}</p>
+            ${buildUserProfile(usuario, 'margin:0 0 6px;')}
             ${loanRows}
         </div>`;
     }).join('');
@@ -813,6 +865,130 @@ const notifyAdminsOverdueLoans = async (overdueLoans) => {
     );
 };
 
+// Tabla de ítems con el mantenimiento vencido (ver maintenanceService.listDueItems)
+const buildMaintenanceTable = (items) => {
+    const filas = items.map(item => {
+        const { plan } = item;
+        const motivos = [
+            plan.motivos.includes('fecha') && `📅 Vencía el ${formatDate(plan.proximo_en)}`,
+            plan.motivos.includes('usos')  && `🔁 ${plan.usos_desde_mantenimiento} uso(s) de ${plan.cada_usos}`,
+        ].filter(Boolean).join('<br>');
+        const placa = item.numero_placa ? `<div class="item-loc">🏷️ ${sanitizeHtml(item.numero_placa)}</div>` : '';
+        return `<tr>
+            <td><div class="item-name">${sanitizeHtml(item.nombre)}</div>${placa}<div class="item-loc">📍 ${sanitizeHtml(item.aula?.nombre || 'N/A')}</div></td>
+            <td>${motivos}</td>
+            <td style="white-space:nowrap;">${plan.ultimo_mantenimiento ? formatDate(plan.ultimo_mantenimiento) : 'Nunca'}</td>
+        </tr>`;
+    }).join('');
+    return `<table class="items-table">
+        <thead><tr><th>Ítem</th><th>Motivo</th><th>Último mantenimiento</th></tr></thead>
+        <tbody>${filas}</tbody>
+    </table>`;
+};
+
+/**
+ * Aviso de mantenimientos vencidos: un correo por ambiente a sus admins
+ * (sendToAdminsByScope) y uno por cuentadante con email registrado.
+ */
+const notifyMaintenanceDue = async (items) => {
+    if (!items || items.length === 0) return;
+    logger.info(`📨 Notificando ${items.length} ítem(s) con mantenimiento vencido`);
+
+    const agrupar = (clave) => {
+        const grupos = new Map();
+        for (const item of items) {
+            const k = clave(item);
+            if (!k) continue;
+            if (!grupos.has(k)) grupos.set(k, []);
+            grupos.get(k).push(item);
+        }
+        return grupos;
+    };
+
+    const cuerpo = (lista, saludo) => `
+    <p>${saludo}</p>
+    ${buildMaintenanceTable(lista)}
+    <div class="action-box" style="background:#fff3e0;border:2px solid #ffcc80;">
+        <p><strong>🛠️ ACCIÓN REQUERIDA</strong></p>
+        <p>Programa el mantenimiento o la calibración y regístralo en el sistema al enviar las unidades.</p>
+        <p><strong>Panel de Administración › Inventario › Mantenimientos</strong></p>
+    </div>`;
+
+    const envios = [];
+    for (const [aulaId, lista] of agrupar(item => String(item.aula?._id || item.aula || ''))) {
+        envios.push(sendToAdminsByScope(
+            [aulaId],
+            `🛠️ ${lista.length} ítem(s) con mantenimiento vencido — ${lista[0].aula?.nombre || 'Ambiente'}`,
+            buildEmail('#EF6C00', '🛠️ Mantenimientos Vencidos', cuerpo(lista, 'Los siguientes ítems de tu ambiente tienen el mantenimiento vencido:'))
+        ));
+    }
+    for (const lista of agrupar(item => item.cuentadante?.email).values()) {
+        const { cuentadante } = lista[0];
+        envios.push(sendEmail({
+            to:      cuentadante.email,
+            subject: `🛠️ ${lista.length} ítem(s) a tu cargo con mantenimiento vencido`,
+            html:    buildEmail('#EF6C00', '🛠️ Mantenimientos Vencidos',
+                cuerpo(lista, `Hola, <strong>${sanitizeHtml(cuentadante.nombre)}</strong>. Los siguientes ítems a tu cargo tienen el mantenimiento vencido:`)),
+        }));
+    }
+    return Promise.allSettled(envios);
+};
+
+/**
+ * Resumen diario de consumibles en su stock mínimo o por debajo
+ * (ver lowStockService): un correo por ambiente a sus admins.
+ */
+const notifyAdminsLowStock = async (items) => {
+    if (!items || items.length === 0) return;
+    logger.info(`📨 Notificando admins: ${items.length} consumible(s) bajo stock mínimo`);
+
+    const porAula = new Map();
+    for (const item of items) {
+        const aulaId = String(item.aula?._id || item.aula || '');
+        if (!aulaId) continue;
+        if (!porAula.has(aulaId)) porAula.set(aulaId, []);
+        porAula.get(aulaId).push(item);
+    }
+
+    const envios = [...porAula].map(([aulaId, lista]) => {
+        const agotados = lista.filter(item => item.cantidad_disponible === 0).length;
+        const filas = lista.map(item => {
+            const unidad = item.unidad_medida ? ` ${sanitizeHtml(item.unidad_medida)}` : '';
+            const chip = item.cantidad_disponible === 0 ? 'chip-red' : 'chip-orange';
+            return `<tr>
+                <td><div class="item-name">${sanitizeHtml(item.nombre)}</div><div class="item-loc">📍 ${sanitizeHtml(item.aula?.nombre || 'N/A')}</div></td>
+                <td style="text-align:center;white-space:nowrap;"><span class="chip ${chip}">${item.cantidad_disponible}${unidad}</span></td>
+                <td style="text-align:center;white-space:nowrap;">${item.stock_minimo}${unidad}</td>
+                <td style="text-align:center;white-space:nowrap;"><strong>${item.faltante}${unidad}</strong></td>
+            </tr>`;
+        }).join('');
+
+        const body = `
+        <p>Resumen diario de consumibles en su <strong>stock mínimo</strong> o por debajo:</p>
+        <div style="display:flex;gap:10px;flex-wrap:wrap;margin:12px 0;">
+            <span style="background:#fff3e0;color:#e65100;padding:4px 14px;border-radius:12px;font-weight:700;font-size:13px;">
+                📉 ${lista.length} ítem(s) bajo stock
+            </span>
+            ${agotados ? `<span style="background:#ffebee;color:#c62828;padding:4px 14px;border-radius:12px;font-weight:700;font-size:13px;">🚫 ${agotados} agotado(s)</span>` : ''}
+        </div>
+        <table class="items-table">
+            <thead><tr><th>Ítem</th><th>Disponible</th><th>Mínimo</th><th>Reponer</th></tr></thead>
+            <tbody>${filas}</tbody>
+        </table>
+        <div class="action-box" style="background:#fff3e0;border:2px solid #ffcc80;">
+            <p><strong>📦 ACCIÓN REQUERIDA</strong></p>
+            <p>Gestiona la reposición y registra las unidades recibidas como <strong>Entrada</strong> en el ajuste de stock.</p>
+        </div>`;
+
+        return sendToAdminsByScope(
+            [aulaId],
+            `📉 ${lista.length} consumible(s) bajo stock mínimo — ${lista[0].aula?.nombre || 'Ambiente'}`,
+            buildEmail('#E65100', '📉 Consumibles Bajo Stock', body)
+        );
+    });
+    return Promise.allSettled(envios);
+};
+
 /**
  * Notifica a los administradores que un usuario no recuerda su correo.
  * El admin podrá contactar al usuario por otro canal (en persona, WhatsApp, etc.)
@@ -905,9 +1081,12 @@ module.exports = {
     sendAplazado,
     sendVencimiento,
     sendPasswordReset,
+    sendEmailVerification,
     notifyAdminsNewLoan,
     notifyAdminsReturnRequest,
     notifyAdminsOverdueLoans,
+    notifyMaintenanceDue,
+    notifyAdminsLowStock,
     notifyAdminsEmailHint,
     sendEmailHintToUser,
     sendToAdmins,
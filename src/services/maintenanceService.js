@@ -0,0 +1,287 @@
+const Mantenimiento = require('../models/Mantenimiento.js');
+const Item          = require('../models/Item.js');
+const Asset         = require('../models/Asset.js');
+const { recordMovement } = require('./stockMovementService.js');
+const { isUnitTracked } = require('./assetService.js');
+const { parsePagination, buildPage, emptyResult } = require('../utils/pagination.js');
+const { buildDateRange } = require('../utils/date.js');
+
+const TIPOS_MANTENIMIENTO = ['preventivo', 'calibración', 'correctivo'];
+const RESULTADOS = ['conforme', 'no conforme'];
+
+// Tipos que cumplen el plan del ítem; un correctivo no reinicia el conteo
+const TIPOS_DEL_PLAN = ['preventivo', 'calibración'];
+
+const MAINTENANCE_SORT_FIELDS = ['iniciado_en', 'finalizado_en', 'estado', 'tipo'];
+const DIA_MS = 24 * 60 * 60 * 1000;
+
+const httpError = (message, status) => Object.assign(new Error(message), { status });
+
+const populateMaintenance = (query) =>
+    query
+        .populate('item', 'nombre numero_placa tipo_categoria')
+        .populate('aula', 'nombre')
+        .populate('unidades', 'numero_placa serial estado')
+        .populate('iniciado_por', 'nombre email')
+        .populate('finalizado_por', 'nombre email');
+
+/**
+ * Estado del plan de mantenimiento de un ítem (lean o documento), o null si
+ * no tiene plan. Sin mantenimientos previos los días se cuentan desde el
+ * registro del ítem.
+ */
+const getPlanStatus = (item, ahora = new Date()) => {
+    const cadaDias = item.mantenimiento_cada_dias || null;
+    const cadaUsos = item.mantenimiento_cada_usos || null;
+    if (!cadaDias && !cadaUsos) return null;
+
+    const base  = item.ultimo_mantenimiento || item.createdAt;
+    const proximo_en = cadaDias && base ? new Date(new Date(base).getTime() + cadaDias * DIA_MS) : null;
+    const usos  = item.usos_desde_mantenimiento || 0;
+
+    const motivos = [];
+    if (proximo_en && proximo_en <= ahora) motivos.push('fecha');
+    if (cadaUsos && usos >= cadaUsos) motivos.push('usos');
+
+    return {
+        cada_dias:                cadaDias,
+        cada_usos:                cadaUsos,
+        ultimo_mantenimiento:     item.ultimo_mantenimiento || null,
+        proximo_en,
+        usos_desde_mantenimiento: usos,
+        usos_restantes:           cadaUsos ? Math.max(0, cadaUsos - usos) : null,
+        vencido:                  motivos.length > 0,
+        motivos,
+    };
+};
+
+/**
+ * Ítems activos con el mantenimiento vencido, cada uno con su `plan`
+ * (getPlanStatus). Admin ve solo sus ambientes; sin usuario (el job) todos.
+ */
+const listDueItems = async ({ rol, ambientes_asignados } = {}, ahora = new Date()) => {
+    const query = {
+        activo: true,
+        $or: [{ mantenimiento_cada_dias: { $gte: 1 } }, { mantenimiento_cada_usos: { $gte: 1 } }],
+    };
+    if (rol === 'Admin') {
+        if (!(ambientes_asignados || []).length) return [];
+        query.aula = { $in: ambientes_asignados };
+    }
+
+    const items = await Item.find(query)
+        .populate('aula', 'nombre')
+        .populate('cuentadante', 'nombre email')
+        .sort({ nombre: 1 })
+        .lean();
+    return items
+        .map(item => ({ ...item, plan: getPlanStatus(item, ahora) }))
+        .filter(item => item.plan.vencido);
+};
+
+// Admin: solo mantenimientos de ítems de sus ambientes
+const _fueraDeScope = ({ rol, ambientes_asignados }, registro) =>
+    rol === 'Admin' && !(ambientes_asignados || []).map(String).includes(String(registro.aula?._id || registro.aula));
+
+/**
+ * Filtros: estado, tipo, item, aula, desde/hasta sobre iniciado_en.
+ * Admin ve solo sus ambientes. Sin page/limit devuelve el array completo.
+ */
+const listMaintenance = async ({ rol, ambientes_asignados }, filtros = {}) => {
+    const pagination = parsePagination(filtros, {
+        allowedSort: MAINTENANCE_SORT_FIELDS, defaultSort: { iniciado_en: -1 },
+    });
+    const query = {};
+
+    if (rol === 'Admin') {
+        const aulaIds = (ambientes_asignados || []).map(String);
+        if (aulaIds.length === 0) return emptyResult(pagination);
+        if (filtros.aula && !aulaIds.includes(String(filtros.aula))) return emptyResult(pagination);
+        query.aula = filtros.aula || { $in: aulaIds };
+    } else if (filtros.aula) {
+        query.aula = filtros.aula;
+    }
+
+    for (const campo of ['estado', 'tipo', 'item']) {
+        if (filtros[campo]) query[campo] = filtros[campo];
+    }
+    const rango = buildDateRange(filtros.desde, filtros.hasta);
+    if (rango) query.iniciado_en = rango;
+
+    if (!pagination.paginate) return populateMaintenance(Mantenimiento.find(query)).sort(pagination.sort);
+
+    const [data, total] = await Promise.all([
+        populateMaintenance(Mantenimiento.find(query))
+            .sort({ ...pagination.sort, _id: -1 })
+            .skip(pagination.skip)
+            .limit(pagination.limit),
+        Mantenimiento.countDocuments(query),
+    ]);
+    return buildPage(data, total, pagination);
+};
+
+// Plan y registros de mantenimiento de un ítem (el scope lo aplica itemScope)
+const getItemMaintenance = async (itemId) => {
+    const item = await Item.findById(itemId).lean();
+    if (!item) throw httpError('Ítem no encontrado', 404);
+    const registros = await populateMaintenance(Mantenimiento.find({ item: item._id })).sort({ iniciado_en: -1 });
+    return {
+        plan: getPlanStatus(item),
+        cantidad_mantenimiento: item.cantidad_mantenimiento || 0,
+        registros,
+    };
+};
+
+/**
+ * Envía `cantidad` unidades disponibles del ítem a mantenimiento. Si el ítem
+ * se rastrea por unidad se indican las unidades (`unidades`) y la cantidad
+ * es su número. Las unidades dejan de prestarse hasta finalizarlo.
+ */
+const startMaintenance = async (user, itemId, { tipo, cantidad, unidades, tecnico, descripcion }) => {
+    if (!TIPOS_MANTENIMIENTO.includes(tipo))
+        throw httpError(`El tipo debe ser uno de: ${TIPOS_MANTENIMIENTO.join(', ')}`, 400);
+    if (!tecnico || !String(tecnico).trim())
+        throw httpError('Indica el técnico o la empresa que realiza el mantenimiento', 400);
+
+    const item = await Item.findById(itemId).lean();
+    if (!item) throw httpError('Ítem no encontrado', 404);
+    if (item.tipo_categoria === 'Consumible')
+        throw httpError('Los consumibles no llevan mantenimiento', 400);
+
+    let n = Number(cantidad);
+    let ids = [];
+    if (await isUnitTracked(item._id)) {
+        ids = [...new Set((unidades || []).map(String))];
+        if (ids.length === 0) throw httpError('Indica las unidades que van a mantenimiento', 400);
+        if (cantidad !== undefined && n !== ids.length)
+            throw httpError(`La cantidad (${n}) no coincide con las unidades indicadas (${ids.length})`, 400);
+        n = ids.length;
+    }
+    if (!Number.isInteger(n) || n < 1) throw httpError('La cantidad debe ser un entero mayor a 0', 400);
+
+    // Unidades y stock se reclaman con actualizaciones condicionadas: si otra
+    // operación se adelanta, se deshace lo reclamado y se responde 409
+    const reclamadas = await _reclamarUnidades(item._id, ids);
+    const itemDoc = await Item.findOneAndUpdate(
+        { _id: item._id, cantidad_disponible: { $gte: n } },
+        { $inc: { cantidad_disponible: -n, cantidad_mantenimiento: n } },
+        { new: true }
+    );
+    if (!itemDoc) {
+        await _liberarUnidades(reclamadas);
+        const actual = await Item.findById(item._id).select('cantidad_disponible').lean();
+        throw httpError(`Solo hay ${actual?.cantidad_disponible ?? 0} unidad(es) disponibles de "${item.nombre}"`, 409);
+    }
+
+    await recordMovement(itemDoc, { disponible: itemDoc.cantidad_disponible + n, total: itemDoc.cantidad_total_stock }, {
+        tipo: 'mantenimiento', cantidad: n, usuario: user._id,
+        motivo: `Mantenimiento ${tipo} (${String(tecnico).trim()})`.slice(0, 500),
+    });
+
+    const registro = await Mantenimiento.create({
+        item: itemDoc._id, aula: itemDoc.aula, tipo, cantidad: n, unidades: ids,
+        tecnico, descripcion: descripcion || undefined, iniciado_por: user._id,
+    });
+    return populateMaintenance(Mantenimiento.findById(registro._id));
+};
+
+// Pasa cada unidad de 'Disponible' a 'Mantenimiento' solo si sigue disponible
+const _reclamarUnidades = async (itemId, ids) => {
+    const reclamadas = [];
+    for (const id of ids) {
+        const asset = await Asset.findOneAndUpdate(
+            { _id: id, item: itemId, estado: 'Disponible' },
+            { $set: { estado: 'Mantenimiento' } }
+        ).select('_id').lean();
+        if (!asset) {
+            await _liberarUnidades(reclamadas);
+            throw httpError('Alguna de las unidades indicadas no existe o no está disponible', 409);
+        }
+        reclamadas.push(asset._id);
+    }
+    return reclamadas;
+};
+
+const _liberarUnidades = (ids) => ids.length
+    ? Asset.updateMany({ _id: { $in: ids }, estado: 'Mantenimiento' }, { $set: { estado: 'Disponible' } })
+    : null;
+
+/**
+ * Finaliza un mantenimiento en curso:
+ *
+ *   conforme    → las unidades vuelven al disponible
+ *   no conforme → pasan a cantidad_danada (unidades 'En reparación')
+ *
+ * Un preventivo o una calibración conforme reinicia el plan del ítem.
+ * El registro se marca finalizado con una actualización condicionada antes de
+ * mover el stock, así que dos finalizaciones simultáneas no lo aplican dos veces.
+ */
+const finishMaintenance = async (user, mantenimientoId, { resultado, observacion }) => {
+    if (!RESULTADOS.includes(resultado))
+        throw httpError(`El resultado debe ser uno de: ${RESULTADOS.join(', ')}`, 400);
+
+    const previo = await Mantenimiento.findById(mantenimientoId).lean();
+    if (!previo) throw httpError('Mantenimiento no encontrado', 404);
+    if (_fueraDeScope(user, previo)) throw httpError('No autorizado', 403);
+
+    const ahora = new Date();
+    const cierre = { estado: 'finalizado', resultado, finalizado_en: ahora, finalizado_por: user._id };
+    if (observacion) cierre.observacion_resultado = String(observacion).trim();
+    const registro = await Mantenimiento.findOneAndUpdate(
+        { _id: previo._id, estado: 'en curso' }, { $set: cierre }, { new: true }
+    );
+    if (!registro) throw httpError('El mantenimiento ya está finalizado', 409);
+
+    const n = registro.cantidad;
+    const conforme = resultado === 'conforme';
+    const update = {
+        $inc: conforme
+            ? { cantidad_mantenimiento: -n, cantidad_disponible: n }
+            : { cantidad_mantenimiento: -n, cantidad_danada: n },
+    };
+    if (conforme && TIPOS_DEL_PLAN.includes(registro.tipo))
+        update.$set = { ultimo_mantenimiento: ahora, usos_desde_mantenimiento: 0, aviso_mantenimiento_en: null };
+
+    const itemDoc = await Item.findOneAndUpdate(
+        { _id: registro.item, cantidad_mantenimiento: { $gte: n } }, update, { new: true }
+    );
+    if (!itemDoc) {
+        await Mantenimiento.updateOne(
+            { _id: registro._id, estado: 'finalizado' },
+            { $set: { estado: 'en curso' },
+              $unset: { resultado: 1, finalizado_en: 1, finalizado_por: 1, observacion_resultado: 1 } }
+        );
+        const actual = await Item.findById(registro.item).select('cantidad_mantenimiento').lean();
+        if (!actual) throw httpError('Ítem no encontrado', 404);
+        throw httpError(`El ítem solo tiene ${actual.cantidad_mantenimiento || 0} unidad(es) en mantenimiento`, 409);
+    }
+
+    const antes = {
+        disponible: itemDoc.cantidad_disponible - (conforme ? n : 0),
+        total:      itemDoc.cantidad_total_stock,
+    };
+    await recordMovement(itemDoc, antes, {
+        tipo: 'fin_mantenimiento', cantidad: n, usuario: user._id,
+        motivo: `Mantenimiento ${registro.tipo} ${resultado}${observacion ? `: ${observacion}` : ''}`.slice(0, 500),
+    });
+
+    if (registro.unidades.length) {
+        await Asset.updateMany(
+            { _id: { $in: registro.unidades }, estado: 'Mantenimiento' },
+            { $set: conforme ? { estado: 'Disponible' } : { estado: 'En reparación', condicion: 'Dañado' } }
+        );
+    }
+
+    return populateMaintenance(Mantenimiento.findById(registro._id));
+};
+
+module.exports = {
+    TIPOS_MANTENIMIENTO,
+    RESULTADOS,
+    getPlanStatus,
+    listDueItems,
+    listMaintenance,
+    getItemMaintenance,
+    startMaintenance,
+    finishMaintenance,
+};
\ No newline at end of file
@@ -0,0 +1,84 @@
+const bcrypt        = require('bcryptjs');
+const User          = require('../models/User.js');
+const PasswordReset = require('../models/PasswordReset.js');
+const { getSetting, setSetting } = require('./settingService.js');
+const { revokeAllSessions } = require('./sessionService.js');
+
+const POLITICA_CLAVE = 'politica_password';
+const POLITICA_DEFAULT = {
+    longitud_minima:    8,
+    requiere_mayuscula: true,
+    requiere_minuscula: true,
+    requiere_numero:    true,
+    requiere_simbolo:   false,
+    historial:          5,     // contraseñas anteriores que no se pueden repetir
+};
+
+const getPasswordPolicy = () => getSetting(POLITICA_CLAVE, POLITICA_DEFAULT);
+
+const setPasswordPolicy = async (cambios, actorId) => {
+    const actual = await getPasswordPolicy();
+    return setSetting(POLITICA_CLAVE, { ...actual, ...cambios }, actorId);
+};
+
+/**
+ * Comprueba `password` contra la política. `user` (opcional) es el usuario
+ * existente cargado con '+password_historial' para impedir reutilizaciones.
+ * Devuelve la lista de incumplimientos (vacía si es válida).
+ */
+const checkPassword = async (password, { email, user } = {}) => {
+    const p = await getPasswordPolicy();
+    const pwd = String(password || '');
+    const errores = [];
+
+    if (pwd.length < p.longitud_minima) errores.push(`Debe tener al menos ${p.longitud_minima} caracteres`);
+    if (p.requiere_mayuscula && !/[A-ZÁÉÍÓÚÑ]/.test(pwd)) errores.push('Debe incluir al menos una letra mayúscula');
+    if (p.requiere_minuscula && !/[a-záéíóúñ]/.test(pwd)) errores.push('Debe incluir al menos una letra minúscula');
+    if (p.requiere_numero    && !/\d/.test(pwd))          errores.push('Debe incluir al menos un número');
+    if (p.requiere_simbolo   && !/[^A-Za-z0-9ÁÉÍÓÚÑáéíóúñ]/.test(pwd)) errores.push('Debe incluir al menos un símbolo');
+
+    const correo = String(email || user?.email || '').toLowerCase();
+    if (correo && (pwd.toLowerCase() === correo || pwd.toLowerCase() === correo.split('@')[0]))
+        errores.push('No puede ser igual al email');
+
+    if (user && p.historial > 0 && errores.length === 0) {
+        const anteriores = [user.passwordHash, ...(user.password_historial || [])].slice(0, p.historial);
+        for (const hash of anteriores) {
+            if (hash && await bcrypt.compare(pwd, hash)) {
+                errores.push(`No puede repetir ninguna de sus últimas ${p.historial} contraseñas`);
+                break;
+            }
+        }
+    }
+    return errores;
+};
+
+const hashPassword = (password) => bcrypt.hash(password, 10);
+
+/**
+ * Cambia la contraseña de un usuario ya validada con checkPassword:
+ * guarda la anterior en el historial, invalida los enlaces de recuperación
+ * pendientes y cierra las demás sesiones (salvo `exceptSessionId`).
+ */
+const changePassword = async (userId, password, { exceptSessionId = null } = {}) => {
+    const { historial } = await getPasswordPolicy();
+    const user = await User.findById(userId).select('+password_historial');
+
+    user.password_historial = [user.passwordHash, ...(user.password_historial || [])].slice(0, Math.max(0, historial - 1));
+    user.passwordHash = await hashPassword(password);
+    user.password_cambiado_en = new Date();
+    await user.save();
+
+    await PasswordReset.updateMany({ userId: user._id, used: false }, { used: true });
+    await revokeAllSessions(user._id, 'cambio_password', { exceptSessionId });
+    return user;
+};
+
+module.exports = {
+    POLITICA_DEFAULT,
+    getPasswordPolicy,
+    setPasswordPolicy,
+    checkPassword,
+    hashPassword,
+    changePassword,
+};
\ No newline at end of file
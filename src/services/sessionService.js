@@ -0,0 +1,113 @@
+const jwt      = require('jsonwebtoken');
+const crypto   = require('crypto');
+const mongoose = require('mongoose');
+const Session  = require('../models/Session.js');
+const User     = require('../models/User.js');
+const logger   = require('../config/logger.js');
+
+const ACCESS_EXPIRES = () => process.env.JWT_ACCESS_EXPIRES || '15m';
+const REFRESH_DAYS   = () => parseInt(process.env.REFRESH_TOKEN_DAYS, 10) || 7;
+
+const hashToken = (secreto) => crypto.createHash('sha256').update(secreto).digest('hex');
+const nuevoSecreto = () => crypto.randomBytes(48).toString('hex');
+
+const unauthorized = (message) => Object.assign(new Error(message), { status: 401 });
+
+/**
+ * Access token de vida corta. `sid` liga el token a su sesión para que
+ * authJWT pueda rechazarlo en cuanto la sesión se revoque.
+ */
+const signAccessToken = (user, sessionId) =>
+    jwt.sign({ sub: user._id, rol: user.rol, sid: sessionId }, process.env.JWT_SECRET, { expiresIn: ACCESS_EXPIRES() });
+
+// Formato del refresh token: "<sessionId>.<secreto>"
+const buildTokens = (user, session, secreto) => ({
+    token:        signAccessToken(user, session._id),
+    refreshToken: `${session._id}.${secreto}`,
+    expiresIn:    ACCESS_EXPIRES(),
+});
+
+/**
+ * Abre una sesión nueva (login / registro) y devuelve el par de tokens.
+ */
+const createSession = async (user, { userAgent, ip } = {}) => {
+    const secreto = nuevoSecreto();
+    const session = await Session.create({
+        usuario:          user._id,
+        refreshTokenHash: hashToken(secreto),
+        userAgent:        userAgent?.slice(0, 500),
+        ip,
+        expiresAt:        new Date(Date.now() + REFRESH_DAYS() * 24 * 60 * 60 * 1000),
+    });
+    return buildTokens(user, session, secreto);
+};
+
+/**
+ * Canjea un refresh token por un par nuevo (rotación).
+ * Presentar un token ya rotado revoca la sesión completa.
+ */
+const refreshSession = async (refreshToken, { userAgent, ip } = {}) => {
+    const [sessionId, secreto] = String(refreshToken || '').split('.');
+    if (!mongoose.isValidObjectId(sessionId) || !secreto) throw unauthorized('Refresh token inválido');
+
+    const hash = hashToken(secreto);
+    const nuevo = nuevoSecreto();
+
+    // La condición sobre el hash actual hace la rotación atómica: de dos
+    // peticiones simultáneas con el mismo token solo una la consigue
+    const session = await Session.findOneAndUpdate(
+        { _id: sessionId, refreshTokenHash: hash, revocadaEn: null, expiresAt: { $gt: new Date() } },
+        { refreshTokenHash: hashToken(nuevo), refreshTokenPrevio: hash, ultimoUso: new Date(),
+          ...(userAgent && { userAgent: userAgent.slice(0, 500) }), ...(ip && { ip }) },
+        { new: true }
+    );
+
+    if (!session) {
+        const reutilizada = await Session.findOneAndUpdate(
+            { _id: sessionId, refreshTokenPrevio: hash, revocadaEn: null },
+            { revocadaEn: new Date(), motivoRevocada: 'reutilizacion' }
+        );
+        if (reutilizada) logger.warn(`Refresh token reutilizado: sesión ${sessionId} revocada (usuario ${reutilizada.usuario})`);
+        throw unauthorized('Refresh token inválido o expirado');
+    }
+
+    const user = await User.findById(session.usuario).lean();
+    if (!user) throw unauthorized('Usuario no encontrado');
+    return buildTokens(user, session, nuevo);
+};
+
+/**
+ * Indica si la sesión sigue vigente (la usa authJWT en cada petición).
+ */
+const isSessionActive = (sessionId, userId) =>
+    Session.exists({ _id: sessionId, usuario: userId, revocadaEn: null, expiresAt: { $gt: new Date() } });
+
+const revokeSession = (sessionId, userId, motivo = 'logout') =>
+    Session.updateOne(
+        { _id: sessionId, usuario: userId, revocadaEn: null },
+        { revocadaEn: new Date(), motivoRevocada: motivo }
+    );
+
+/**
+ * Revoca todas las sesiones activas del usuario ("cerrar sesión en todos los dispositivos").
+ * Devuelve cuántas se cerraron.
+ */
+const revokeAllSessions = async (userId, motivo = 'logout_todos', { exceptSessionId = null } = {}) => {
+    const filtro = { usuario: userId, revocadaEn: null };
+    // Permite conservar la sesión desde la que se hizo el cambio
+    if (exceptSessionId) filtro._id = { $ne: exceptSessionId };
+    const { modifiedCount } = await Session.updateMany(
+        filtro,
+        { revocadaEn: new Date(), motivoRevocada: motivo }
+    );
+    if (modifiedCount > 0) logger.info(`Sesiones revocadas para ${userId}: ${modifiedCount} (${motivo})`);
+    return modifiedCount;
+};
+
+module.exports = {
+    createSession,
+    refreshSession,
+    isSessionActive,
+    revokeSession,
+    revokeAllSessions,
+};
\ No newline at end of file
@@ -0,0 +1,34 @@
+const Setting = require('../models/Setting.js');
+
+// authJWT consulta la configuración en cada petición: se cachea unos segundos.
+// Un cambio hecho en este proceso invalida la caché al momento; otras
+// instancias lo ven al expirar.
+const CACHE_MS = 30 * 1000;
+const cache = new Map();
+
+/**
+ * Valor de `clave` combinado con `defaults` (los campos guardados prevalecen).
+ */
+const getSetting = async (clave, defaults = {}) => {
+    const enCache = cache.get(clave);
+    if (enCache && enCache.expira > Date.now()) return { ...defaults, ...enCache.valor };
+
+    const doc = await Setting.findOne({ clave }).lean();
+    const valor = doc?.valor || {};
+    cache.set(clave, { valor, expira: Date.now() + CACHE_MS });
+    return { ...defaults, ...valor };
+};
+
+const setSetting = async (clave, valor, actorId) => {
+    const doc = await Setting.findOneAndUpdate(
+        { clave },
+        { valor, actualizado_por: actorId },
+        { upsert: true, new: true }
+    ).lean();
+    cache.delete(clave);
+    return doc.valor;
+};
+
+const clearSettingsCache = () => cache.clear();
+
+module.exports = { getSetting, setSetting, clearSettingsCache };
\ No newline at end of file
@@ -0,0 +1,53 @@
+const StockMovement = require('../models/StockMovement.js');
+const { buildDateRange } = require('../utils/date.js');
+
+/**
+ * Foto de los contadores de stock de un ítem.
+ * Se toma ANTES de mutar el documento y se pasa a recordMovement.
+ */
+const snapshotStock = (itemDoc) => ({
+    disponible: itemDoc.cantidad_disponible,
+    total:      itemDoc.cantidad_total_stock,
+});
+
+/**
+ * Registra un movimiento en el kardex del ítem.
+ * Los valores "después" se leen del documento ya modificado.
+ *
+ * @param {Document} itemDoc  Ítem con los contadores actualizados
+ * @param {Object}   antes    Resultado de snapshotStock() previo al cambio
+ * @param {Object}   datos    { tipo, cantidad, motivo, usuario, prestamo }
+ * @param {Object}   [opts]   { session } para participar en una transacción
+ */
+const recordMovement = async (itemDoc, antes, { tipo, cantidad, motivo, usuario, prestamo } = {}, { session } = {}) => {
+    const movimiento = new StockMovement({
+        item:               itemDoc._id,
+        tipo,
+        cantidad,
+        disponible_antes:   antes.disponible,
+        disponible_despues: itemDoc.cantidad_disponible,
+        total_antes:        antes.total,
+        total_despues:      itemDoc.cantidad_total_stock,
+        motivo:             motivo || undefined,
+        usuario:            usuario || undefined,
+        prestamo:           prestamo || undefined,
+    });
+    return movimiento.save({ session });
+};
+
+/**
+ * Lista los movimientos de un ítem, del más reciente al más antiguo.
+ * `desde` y `hasta` son opcionales y se aplican sobre createdAt;
+ * si `hasta` es solo fecha (YYYY-MM-DD) se incluye el día completo.
+ */
+const listMovements = async (itemId, { desde, hasta } = {}) => {
+    const query = { item: itemId };
+    const rango = buildDateRange(desde, hasta);
+    if (rango) query.createdAt = rango;
+    return StockMovement.find(query)
+        .populate('usuario', 'nombre email rol')
+        .populate('prestamo', 'estado fecha_solicitud usuario')
+        .sort({ createdAt: -1 });
+};
+
+module.exports = { snapshotStock, recordMovement, listMovements };
\ No newline at end of file
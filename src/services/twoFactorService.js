@@ -0,0 +1,188 @@
+const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const jwt    = require('jsonwebtoken');
+const User   = require('../models/User.js');
+const logger = require('../config/logger.js');
+const totp   = require('../utils/totp.js');
+const { getSetting, setSetting } = require('./settingService.js');
+
+const EMISOR = 'Inventario SENA';
+const DESAFIO_EXPIRES = '5m';
+const CANTIDAD_CODIGOS = 10;
+const CAMPOS_SECRETOS = '+two_factor.secreto +two_factor.secreto_pendiente +two_factor.codigos_recuperacion +two_factor.ultimo_paso';
+
+const POLITICA_CLAVE = 'politica_2fa';
+const POLITICA_DEFAULT = { roles_obligatorios: [] };
+
+const httpError = (message, status) => Object.assign(new Error(message), { status });
+
+// ── Cifrado del secreto TOTP en reposo (AES-256-GCM) ─────────────────────────
+const claveCifrado = () => crypto.createHash('sha256')
+    .update(process.env.TWO_FACTOR_KEY || process.env.JWT_SECRET || '')
+    .digest();
+
+const cifrar = (texto) => {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', claveCifrado(), iv);
+    const datos = Buffer.concat([cipher.update(texto, 'utf8'), cipher.final()]);
+    return [iv, cipher.getAuthTag(), datos].map(b => b.toString('base64')).join('.');
+};
+
+const descifrar = (guardado) => {
+    const [iv, tag, datos] = guardado.split('.').map(s => Buffer.from(s, 'base64'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', claveCifrado(), iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(datos), decipher.final()]).toString('utf8');
+};
+
+// ── Códigos de recuperación: un solo uso, se guardan hasheados ───────────────
+const hashCodigo = (codigo) => crypto.createHash('sha256')
+    .update(String(codigo).toLowerCase().replace(/[\s-]/g, ''))
+    .digest('hex');
+
+const generarCodigos = () => Array.from({ length: CANTIDAD_CODIGOS }, () => {
+    const hex = crypto.randomBytes(5).toString('hex');
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+});
+
+// ── Política ──────────────────────────────────────────────────────────────────
+const getPolicy = () => getSetting(POLITICA_CLAVE, POLITICA_DEFAULT);
+
+const setPolicy = (politica, actorId) => setSetting(POLITICA_CLAVE, politica, actorId);
+
+/**
+ * Indica si la política exige 2FA al rol del usuario.
+ */
+const isRequiredFor = async (user) => {
+    const { roles_obligatorios } = await getPolicy();
+    return roles_obligatorios.includes(user.rol);
+};
+
+// ── Enrolamiento ──────────────────────────────────────────────────────────────
+/**
+ * Genera un secreto pendiente. No se activa hasta confirmar un código con verifySetup.
+ */
+const setup = async (userId) => {
+    const user = await User.findById(userId).select(CAMPOS_SECRETOS);
+    if (!user) throw httpError('Usuario no encontrado', 404);
+    if (user.two_factor?.activo) throw httpError('La verificación en dos pasos ya está activa', 400);
+
+    const secreto = totp.generateSecret();
+    user.set('two_factor.secreto_pendiente', cifrar(secreto));
+    await user.save();
+
+    return { secreto, otpauthUrl: totp.otpauthUrl(secreto, user.email, EMISOR) };
+};
+
+/**
+ * Confirma el enrolamiento con un código de la app y devuelve los códigos de
+ * recuperación (se muestran una sola vez).
+ */
+const verifySetup = async (userId, codigo) => {
+    const user = await User.findById(userId).select(CAMPOS_SECRETOS);
+    if (!user) throw httpError('Usuario no encontrado', 404);
+    if (user.two_factor?.activo) throw httpError('La verificación en dos pasos ya está activa', 400);
+    if (!user.two_factor?.secreto_pendiente) throw httpError('Primero inicie la configuración (2fa/setup)', 400);
+
+    const paso = totp.verifyCode(descifrar(user.two_factor.secreto_pendiente), codigo);
+    if (paso === null) throw httpError('Código inválido', 400);
+
+    const codigos = generarCodigos();
+    user.set('two_factor', {
+        activo:               true,
+        secreto:              user.two_factor.secreto_pendiente,
+        secreto_pendiente:    undefined,
+        codigos_recuperacion: codigos.map(hashCodigo),
+        ultimo_paso:          paso,
+        activado_en:          new Date(),
+    });
+    await user.save();
+    logger.info(`2FA activado para ${user.email}`);
+    return codigos;
+};
+
+/**
+ * Verifica un código TOTP o de recuperación para un usuario con 2FA activo.
+ * Un código TOTP no se acepta dos veces y un código de recuperación se consume.
+ * Devuelve 'totp' | 'recuperacion' o null si no es válido.
+ */
+const verifyUserCode = async (userId, codigo) => {
+    const user = await User.findById(userId).select(CAMPOS_SECRETOS).lean();
+    if (!user?.two_factor?.activo || !user.two_factor.secreto) return null;
+
+    const paso = totp.verifyCode(descifrar(user.two_factor.secreto), codigo);
+    if (paso !== null) {
+        // Condición atómica: dos peticiones con el mismo código no pasan ambas
+        const { modifiedCount } = await User.updateOne(
+            { _id: userId, $or: [{ 'two_factor.ultimo_paso': { $lt: paso } }, { 'two_factor.ultimo_paso': null }] },
+            { 'two_factor.ultimo_paso': paso }
+        );
+        return modifiedCount === 1 ? 'totp' : null;
+    }
+
+    const hash = hashCodigo(codigo);
+    const { modifiedCount } = await User.updateOne(
+        { _id: userId, 'two_factor.codigos_recuperacion': hash },
+        { $pull: { 'two_factor.codigos_recuperacion': hash } }
+    );
+    if (modifiedCount === 1) {
+        logger.warn(`Código de recuperación 2FA usado por ${user.email}`);
+        return 'recuperacion';
+    }
+    return null;
+};
+
+const regenerateRecoveryCodes = async (userId, codigo) => {
+    if (!(await verifyUserCode(userId, codigo))) throw httpError('Código inválido', 400);
+    const codigos = generarCodigos();
+    await User.updateOne({ _id: userId }, { 'two_factor.codigos_recuperacion': codigos.map(hashCodigo) });
+    return codigos;
+};
+
+/**
+ * Desactiva 2FA. Exige contraseña y un código válido, y no se permite si la
+ * política lo hace obligatorio para el rol del usuario.
+ */
+const disable = async (userId, password, codigo) => {
+    const user = await User.findById(userId);
+    if (!user) throw httpError('Usuario no encontrado', 404);
+    if (!user.two_factor?.activo) throw httpError('La verificación en dos pasos no está activa', 400);
+    if (await isRequiredFor(user))
+        throw httpError('La verificación en dos pasos es obligatoria para su rol', 403);
+
+    const passwordOk = await bcrypt.compare(String(password || ''), user.passwordHash);
+    if (!passwordOk || !(await verifyUserCode(userId, codigo)))
+        throw httpError('Contraseña o código inválido', 400);
+
+    await User.updateOne({ _id: userId }, { $set: { two_factor: { activo: false } } });
+    logger.info(`2FA desactivado para ${user.email}`);
+};
+
+// ── Desafío del login ─────────────────────────────────────────────────────────
+// Tras validar la contraseña se entrega un token de desafío (sin `sid`, por lo
+// que authJWT lo rechaza) que solo sirve para completar el segundo paso.
+const createChallenge = (user) =>
+    jwt.sign({ sub: user._id, tipo: '2fa' }, process.env.JWT_SECRET, { expiresIn: DESAFIO_EXPIRES });
+
+const verifyChallenge = (token) => {
+    try {
+        const payload = jwt.verify(token, process.env.JWT_SECRET);
+        if (payload.tipo !== '2fa') throw new Error();
+        return payload.sub;
+    } catch {
+        throw httpError('Desafío inválido o expirado. Inicie sesión de nuevo', 401);
+    }
+};
+
+module.exports = {
+    getPolicy,
+    setPolicy,
+    isRequiredFor,
+    setup,
+    verifySetup,
+    verifyUserCode,
+    regenerateRecoveryCodes,
+    disable,
+    createChallenge,
+    verifyChallenge,
+};
\ No newline at end of file
@@ -0,0 +1,118 @@
+const mongoose = require('mongoose');
+const User = require('../models/User.js');
+const { parsePagination, buildPage } = require('../utils/pagination.js');
+
+const USER_SORT_FIELDS = ['createdAt', 'nombre', 'email', 'rol', 'prestamos_activos', 'prestamos_vencidos', 'prestamos_total'];
+
+// Campos en los que busca ?q= (nombre, correo, documento, ficha, programa, instructor)
+const CAMPOS_BUSQUEDA = ['nombre', 'email', 'numero_documento', 'ficha', 'programa', 'instructor_responsable'];
+
+const ESTADOS_ACTIVOS = ['Aprobado', 'Aplazado'];
+
+// aggregate() no respeta select: false, así que se excluyen a mano
+const CAMPOS_PRIVADOS = {
+    passwordHash: 0,
+    password_historial: 0,
+    'two_factor.secreto': 0,
+    'two_factor.secreto_pendiente': 0,
+    'two_factor.codigos_recuperacion': 0,
+    'two_factor.ultimo_paso': 0,
+    stats: 0,
+};
+
+const escapeRegex = (texto) => texto.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+const esVerdadero = (v) => v === true || v === 'true';
+
+const buildFilter = (filtros) => {
+    const filter = {};
+    if (filtros.q && filtros.q.trim()) {
+        const regex = new RegExp(escapeRegex(filtros.q.trim()), 'i');
+        filter.$or = CAMPOS_BUSQUEDA.map(campo => ({ [campo]: regex }));
+    }
+    if (filtros.ficha) filter.ficha = String(filtros.ficha).trim();
+    if (filtros.rol) filter.rol = filtros.rol;
+    if (filtros.ambiente) filter.ambientes_asignados = new mongoose.Types.ObjectId(filtros.ambiente);
+    // Las cuentas anteriores a estos campos no los tienen: se tratan como activas y no bloqueadas
+    if (filtros.activo !== undefined) filter.activo = esVerdadero(filtros.activo) ? { $ne: false } : false;
+    if (filtros.bloqueado !== undefined) filter.bloqueado = esVerdadero(filtros.bloqueado) ? true : { $ne: true };
+    return filter;
+};
+
+/**
+ * Listado de usuarios para el panel de administración con contadores de
+ * préstamos (activos, vencidos y totales) calculados por agregación.
+ * Filtros: q, ficha, rol, ambiente, activo, bloqueado, con_vencidos.
+ * Con page/limit devuelve { data, total, page, pages }; sin ellos, el array.
+ */
+const listUsers = async (filtros = {}) => {
+    const pagination = parsePagination(filtros, {
+        allowedSort: USER_SORT_FIELDS, defaultSort: { createdAt: -1 },
+    });
+    const ahora = new Date();
+
+    const pipeline = [
+        { $match: buildFilter(filtros) },
+        {
+            $lookup: {
+                from: 'loans',
+                let: { uid: '$_id' },
+                pipeline: [
+                    { $match: { $expr: { $eq: ['$usuario', '$$uid'] } } },
+                    {
+                        $group: {
+                            _id: null,
+                            total: { $sum: 1 },
+                            activos: { $sum: { $cond: [{ $in: ['$estado', ESTADOS_ACTIVOS] }, 1, 0] } },
+                            vencidos: {
+                                $sum: {
+                                    $cond: [{
+                                        $and: [
+                                            { $in: ['$estado', ESTADOS_ACTIVOS] },
+                                            { $lt: ['$fecha_estimada', ahora] },
+                                            { $ne: [{ $ifNull: ['$fecha_estimada', null] }, null] },
+                                        ],
+                                    }, 1, 0],
+                                },
+                            },
+                        },
+                    },
+                ],
+                as: 'stats',
+            },
+        },
+        {
+            $addFields: {
+                prestamos_total:    { $ifNull: [{ $arrayElemAt: ['$stats.total', 0] }, 0] },
+                prestamos_activos:  { $ifNull: [{ $arrayElemAt: ['$stats.activos', 0] }, 0] },
+                prestamos_vencidos: { $ifNull: [{ $arrayElemAt: ['$stats.vencidos', 0] }, 0] },
+            },
+        },
+    ];
+    if (esVerdadero(filtros.con_vencidos)) pipeline.push({ $match: { prestamos_vencidos: { $gt: 0 } } });
+    pipeline.push(
+        { $project: CAMPOS_PRIVADOS },
+        { $sort: { ...pagination.sort, _id: 1 } },
+    );
+
+    if (!pagination.paginate) {
+        const users = await User.aggregate(pipeline);
+        return User.populate(users, { path: 'ambientes_asignados', select: 'nombre descripcion zona' });
+    }
+
+    const [resultado] = await User.aggregate([
+        ...pipeline,
+        {
+            $facet: {
+                data: [{ $skip: pagination.skip }, { $limit: pagination.limit }],
+                total: [{ $count: 'n' }],
+            },
+        },
+    ]);
+    const data = await User.populate(resultado.data, { path: 'ambientes_asignados', select: 'nombre descripcion zona' });
+    return buildPage(data, resultado.total[0]?.n || 0, pagination);
+};
+
+module.exports = {
+    USER_SORT_FIELDS,
+    listUsers,
+};
\ No newline at end of file
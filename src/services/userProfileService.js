@@ -0,0 +1,37 @@
+const User = require('../models/User.js');
+
+const PERFIL_CAMPOS = ['nombre', 'tipo_documento', 'numero_documento', 'telefono', 'ficha', 'programa', 'instructor_responsable'];
+
+const httpError = (message, status) => Object.assign(new Error(message), { status });
+
+/**
+ * Actualiza solo los campos de perfil presentes en `datos` (email, rol y
+ * contraseña tienen sus propios flujos). Un valor vacío borra el campo.
+ */
+const updateProfile = async (userId, datos) => {
+    const cambios = {};
+    for (const campo of PERFIL_CAMPOS) {
+        if (datos[campo] === undefined) continue;
+        cambios[campo] = datos[campo] === '' ? null : datos[campo];
+    }
+    if (cambios.nombre === null) throw httpError('Nombre requerido', 400);
+
+    const user = await User.findById(userId);
+    if (!user) throw httpError('Usuario no encontrado', 404);
+    user.set(cambios);
+    if (Boolean(user.tipo_documento) !== Boolean(user.numero_documento))
+        throw httpError('tipo_documento y numero_documento deben indicarse juntos', 400);
+
+    try {
+        await user.save();
+    } catch (error) {
+        if (error.code === 11000) throw httpError('Ya existe un usuario con ese documento', 409);
+        throw error;
+    }
+    return User.findById(userId).select('-passwordHash').lean();
+};
+
+module.exports = {
+    PERFIL_CAMPOS,
+    updateProfile,
+};
\ No newline at end of file
@@ -0,0 +1,78 @@
+const User          = require('../models/User.js');
+const Loan          = require('../models/Loan.js');
+const StockMovement = require('../models/StockMovement.js');
+const logger        = require('../config/logger.js');
+const { revokeAllSessions } = require('./sessionService.js');
+
+// Préstamos con equipo aún en manos del usuario
+const ESTADOS_ACTIVOS = ['Aprobado', 'Aplazado'];
+
+const httpError = (message, status) => Object.assign(new Error(message), { status });
+
+const publicUser = (id) => User.findById(id).select('-passwordHash').lean();
+
+/**
+ * Activa o desactiva una cuenta. No se puede desactivar a quien aún tiene
+ * préstamos activos; al desactivar se cierran todas sus sesiones.
+ */
+const setActive = async (userId, activo, motivo) => {
+    const user = await User.findById(userId).select('email activo');
+    if (!user) throw httpError('Usuario no encontrado', 404);
+
+    if (!activo) {
+        const activos = await Loan.countDocuments({ usuario: userId, estado: { $in: ESTADOS_ACTIVOS } });
+        if (activos > 0)
+            throw httpError(`El usuario tiene ${activos} préstamo(s) activo(s). Debe devolverlos antes de desactivar la cuenta`, 409);
+    }
+
+    user.set({
+        activo,
+        motivo_inactivo: activo ? null : (motivo || null),
+        desactivado_en:  activo ? null : new Date(),
+    });
+    await user.save();
+    if (!activo) await revokeAllSessions(user._id, 'cuenta_desactivada');
+    logger.info(`Cuenta ${activo ? 'reactivada' : 'desactivada'}: ${user.email}`);
+    return publicUser(user._id);
+};
+
+/**
+ * Bloquea o desbloquea a un usuario para solicitar préstamos. Sigue pudiendo
+ * iniciar sesión para consultar y devolver lo que tenga prestado.
+ */
+const setBlocked = async (userId, bloqueado, motivo) => {
+    const user = await User.findByIdAndUpdate(userId, {
+        bloqueado,
+        motivo_bloqueo: bloqueado ? (motivo || null) : null,
+        bloqueado_en:   bloqueado ? new Date() : null,
+    });
+    if (!user) throw httpError('Usuario no encontrado', 404);
+    logger.info(`Usuario ${bloqueado ? 'bloqueado' : 'desbloqueado'}: ${user.email}`);
+    return publicUser(user._id);
+};
+
+/**
+ * Elimina una cuenta sin historial (p. ej. creada por error). Si ya tiene
+ * préstamos o movimientos de inventario debe desactivarse en su lugar.
+ */
+const deleteUser = async (userId) => {
+    const user = await User.findById(userId).select('email');
+    if (!user) throw httpError('Usuario no encontrado', 404);
+
+    const [prestamos, movimientos] = await Promise.all([
+        Loan.exists({ usuario: userId }),
+        StockMovement.exists({ usuario: userId }),
+    ]);
+    if (prestamos || movimientos)
+        throw httpError('El usuario tiene historial de préstamos o inventario. Desactívelo en lugar de eliminarlo', 409);
+
+    await revokeAllSessions(user._id, 'cuenta_eliminada');
+    await User.deleteOne({ _id: user._id });
+    logger.info(`Usuario eliminado: ${user.email}`);
+};
+
+module.exports = {
+    setActive,
+    setBlocked,
+    deleteUser,
+};
\ No newline at end of file
@@ -0,0 +1,128 @@
+jest.mock('../services/mailService', () => ({
+    sendAprobacion: jest.fn(),
+    sendDevolucion: jest.fn(),
+    sendConfirmacionParcialUsuario: jest.fn(),
+    sendAplazado: jest.fn(),
+    sendRechazo: jest.fn(),
+    notifyAdminsNewLoan: jest.fn(),
+    notifyAdminsReturnRequest: jest.fn()
+}));
+
+const mongoose = require('mongoose');
+const { MongoMemoryReplSet } = require('mongodb-memory-server');
+const Item = require('../models/Item.js');
+const Loan = require('../models/Loan.js');
+const StockMovement = require('../models/StockMovement.js');
+const loanService = require('../services/loanService.js');
+
+// Las transacciones requieren replica set: se reemplaza la conexión de setup.js
+let replSet;
+
+beforeAll(async () => {
+    await mongoose.disconnect();
+    replSet = await MongoMemoryReplSet.create({ replSet: { count: 1, storageEngine: 'wiredTiger' } });
+    await mongoose.connect(replSet.getUri());
+    await Promise.all([Item.init(), Loan.init(), StockMovement.init()]);
+});
+
+afterAll(async () => {
+    if (replSet) await replSet.stop();
+});
+
+const crearItem = (nombre, stock) => Item.create({
+    nombre,
+    zona: new mongoose.Types.ObjectId(),
+    aula: new mongoose.Types.ObjectId(),
+    cuentadante: new mongoose.Types.ObjectId(),
+    cantidad_total_stock: stock,
+    cantidad_disponible: stock,
+    tipo_categoria: 'De Uso Controlado'
+});
+
+const crearPrestamo = (lineas) => Loan.create({
+    usuario: new mongoose.Types.ObjectId(),
+    items: lineas.map(({ item, cantidad }) => ({
+        item: item._id, aula: item.aula, cantidad_prestamo: cantidad
+    }))
+});
+
+const fechaEstimada = () => new Date(Date.now() + 2 * 24 * 60 * 60 * 1000);
+
+describe('aprobación atómica de préstamos', () => {
+    test('aprobaciones concurrentes no sobrevenden el stock', async () => {
+        const item = await crearItem('Multímetro', 3);
+        const prestamos = await Promise.all([
+            crearPrestamo([{ item, cantidad: 2 }]),
+            crearPrestamo([{ item, cantidad: 2 }])
+        ]);
+
+        const resultados = await Promise.allSettled(
+            prestamos.map(p => loanService.approveLoan(p._id, fechaEstimada()))
+        );
+
+        const aprobados  = resultados.filter(r => r.status === 'fulfilled');
+        const rechazados = resultados.filter(r => r.status === 'rejected');
+        expect(aprobados).toHaveLength(1);
+        expect(rechazados).toHaveLength(1);
+        expect(rechazados[0].reason.message).toMatch('Stock insuficiente');
+
+        const actualizado = await Item.findById(item._id);
+        expect(actualizado.cantidad_disponible).toBe(1);
+        expect(await StockMovement.countDocuments({ item: item._id, tipo: 'prestamo' })).toBe(1);
+    });
+
+    test('un fallo en una línea revierte el descuento de las anteriores', async () => {
+        const microscopio = await crearItem('Microscopio', 5);
+        const balanza     = await crearItem('Balanza', 1);
+        const prestamo = await crearPrestamo([
+            { item: microscopio, cantidad: 2 },
+            { item: balanza, cantidad: 3 }
+        ]);
+
+        await expect(loanService.approveLoan(prestamo._id, fechaEstimada())).rejects.toThrow('Stock insuficiente');
+
+        const [m, b, p] = await Promise.all([
+            Item.findById(microscopio._id),
+            Item.findById(balanza._id),
+            Loan.findById(prestamo._id)
+        ]);
+        expect(m.cantidad_disponible).toBe(5);
+        expect(b.cantidad_disponible).toBe(1);
+        expect(p.estado).toBe('Pendiente');
+        expect(await StockMovement.countDocuments({ prestamo: prestamo._id })).toBe(0);
+    });
+
+    test('deja el ítem Agotado cuando se presta todo el disponible', async () => {
+        const item = await crearItem('Osciloscopio', 2);
+        const prestamo = await crearPrestamo([{ item, cantidad: 2 }]);
+
+        const loan = await loanService.approveLoan(prestamo._id, fechaEstimada());
+
+        expect(loan.estado).toBe('Aprobado');
+        const actualizado = await Item.findById(item._id);
+        expect(actualizado.cantidad_disponible).toBe(0);
+        expect(actualizado.estado).toBe('Agotado');
+    });
+
+    test('no presta las unidades reservadas para una ventana que se cruza', async () => {
+        const DIA = 24 * 60 * 60 * 1000;
+        const item = await crearItem('Proyector', 3);
+        const reserva = await Loan.create({
+            usuario: new mongoose.Types.ObjectId(),
+            fecha_inicio: new Date(Date.now() + DIA),
+            fecha_fin: new Date(Date.now() + 2 * DIA),
+            items: [{ item: item._id, aula: item.aula, cantidad_prestamo: 2 }]
+        });
+        expect((await loanService.approveLoan(reserva._id)).estado).toBe('Reservado');
+
+        const prestamo = await crearPrestamo([{ item, cantidad: 2 }]);
+        await expect(loanService.approveLoan(prestamo._id, new Date(Date.now() + 3 * DIA)))
+            .rejects.toMatchObject({ status: 409 });
+        expect((await Item.findById(item._id)).cantidad_disponible).toBe(3);
+
+        // Lo que no está reservado sí se presta, y también si vuelve antes de la reserva
+        const otro = await crearPrestamo([{ item, cantidad: 1 }]);
+        expect((await loanService.approveLoan(otro._id, new Date(Date.now() + 3 * DIA))).estado).toBe('Aprobado');
+        expect((await loanService.approveLoan(prestamo._id, new Date(Date.now() + DIA / 2))).estado).toBe('Aprobado');
+    });
+});
\ No newline at end of file
@@ -0,0 +1,58 @@
+jest.mock('../services/mailService', () => ({
+    sendAprobacion: jest.fn(),
+    sendDevolucion: jest.fn(),
+    sendConfirmacionParcialUsuario: jest.fn()
+}));
+
+const mongoose = require('mongoose');
+const User = require('../models/User.js');
+const Item = require('../models/Item.js');
+const Loan = require('../models/Loan.js');
+const Asset = require('../models/Asset.js');
+const assetService = require('../services/assetService.js');
+const loanService = require('../services/loanService.js');
+
+const DIA = 24 * 60 * 60 * 1000;
+
+const preparar = async () => {
+    const usuario = await User.create({ nombre: 'Aprendiz', email: 'aprendiz@test.com', passwordHash: 'x', rol: 'Comun' });
+    const aula = new mongoose.Types.ObjectId();
+    const { insertedId: item } = await Item.collection.insertOne({
+        nombre: 'Portátil', aula, zona: new mongoose.Types.ObjectId(), cuentadante: new mongoose.Types.ObjectId(),
+        tipo_categoria: 'Equipo O Maquinaria',
+        cantidad_total_stock: 2, cantidad_disponible: 2, estado: 'Disponible',
+    });
+    const a1 = await assetService.createAsset(item, { numero_placa: 'sena-001', serial: 'SN1' });
+    const a2 = await assetService.createAsset(item, { numero_placa: 'SENA-002', serial: 'SN2' });
+    const loan = await Loan.create({ usuario: usuario._id, items: [{ item, aula, cantidad_prestamo: 1 }] });
+    return { item, a1, a2, loan };
+};
+
+describe('unidades físicas', () => {
+    test('no se registran más unidades que el stock total', async () => {
+        const { item } = await preparar();
+        await expect(assetService.createAsset(item, { serial: 'SN3' }))
+            .rejects.toMatchObject({ status: 409 });
+    });
+
+    test('la aprobación exige las unidades y la devolución registra su condición', async () => {
+        const { a1, loan } = await preparar();
+        const loanItemId = loan.items[0]._id;
+        const fecha = new Date(Date.now() + 2 * DIA);
+
+        await expect(loanService.approveLoan(loan._id, fecha))
+            .rejects.toMatchObject({ status: 400 });
+
+        await loanService.approveLoan(loan._id, fecha, { approvals: [{ loanItemId, unidades: [String(a1._id)] }] });
+        expect(await Asset.findById(a1._id).lean()).toMatchObject({ estado: 'Prestado', prestamo_actual: loan._id });
+
+        await loanService.confirmPartialReturn(loan._id, loanItemId, 1, undefined, undefined, {
+            unidades: [{ asset: String(a1._id), condicion: 'dañado', observacion: 'Pantalla rota' }],
+        });
+
+        expect(await Asset.findById(a1._id).lean()).toMatchObject({ estado: 'En reparación', condicion: 'Dañado' });
+        const { historial } = await assetService.getAssetHistory(a1._id);
+        expect(historial).toHaveLength(1);
+        expect(historial[0]).toMatchObject({ condicion_entrega: 'Bueno', condicion_devolucion: 'dañado' });
+    });
+});
\ No newline at end of file
@@ -0,0 +1,170 @@
+const request = require('supertest');
+const bcrypt = require('bcryptjs');
+const mongoose = require('mongoose');
+const app = require('../app.js');
+const User = require('../models/User.js');
+const Loan = require('../models/Loan.js');
+const Incidente = require('../models/Incidente.js');
+const { setPolicy } = require('../services/borrowingPolicyService.js');
+
+const DIA = 24 * 60 * 60 * 1000;
+
+const crearUsuario = async (email, rol) => {
+    const passwordHash = await bcrypt.hash('User123!', 10);
+    return User.create({ nombre: rol, email, passwordHash, rol });
+};
+
+const login = async (email) => {
+    const { body } = await request(app).post('/api/auth/login').send({ email, password: 'User123!' }).expect(200);
+    return body.token;
+};
+
+// El item no existe: si la política deja pasar, createLoan responde 201 igual
+// (el stock se valida al aprobar), así que 403 solo puede venir de la política
+const solicitar = (token) => request(app).post('/api/prestamos')
+    .set('Authorization', `Bearer ${token}`)
+    .send({ items: [{ item: new mongoose.Types.ObjectId(), aula: new mongoose.Types.ObjectId(), cantidad_prestamo: 1 }] });
+
+const prestamo = (usuario, campos) => Loan.collection.insertOne({ usuario, items: [], ...campos });
+
+describe('política por defecto', () => {
+    test('no restringe a nadie hasta que el SuperAdmin active las reglas', async () => {
+        const aprendiz = await crearUsuario('aprendiz@test.com', 'Comun');
+        await prestamo(aprendiz._id, { estado: 'Aprobado', fecha_estimada: new Date(Date.now() - DIA) });
+
+        await solicitar(await login('aprendiz@test.com')).expect(201);
+    });
+});
+
+describe('restricciones para solicitar préstamos', () => {
+    beforeEach(() => setPolicy({
+        prestamos_vencidos: 'bloquear', devoluciones_tardias: 'autorizacion', incidentes_abiertos: 'autorizacion',
+    }));
+
+    test('un incidente por daño sin resolver exige autorización', async () => {
+        const aprendiz = await crearUsuario('aprendiz@test.com', 'Comun');
+        await Incidente.collection.insertOne({ usuario: aprendiz._id, tipo: 'daño', estado: 'en investigación' });
+        await Incidente.collection.insertOne({ usuario: aprendiz._id, tipo: 'daño', estado: 'repuesto' });
+        const token = await login('aprendiz@test.com');
+
+        const { body } = await solicitar(token).expect(403);
+        expect(body.message).toContain('1 incidente(s)');
+    });
+
+    test('un préstamo vencido impide solicitar otro', async () => {
+        const aprendiz = await crearUsuario('aprendiz@test.com', 'Comun');
+        await prestamo(aprendiz._id, { estado: 'Aprobado', fecha_estimada: new Date(Date.now() - DIA) });
+        const token = await login('aprendiz@test.com');
+
+        const { body } = await solicitar(token).expect(403);
+        expect(body.message).toContain('vencido');
+    });
+
+    test('devoluciones tardías exigen una excepción del SuperAdmin, válida una sola vez', async () => {
+        const aprendiz = await crearUsuario('aprendiz@test.com', 'Comun');
+        await crearUsuario('super@test.com', 'SuperAdmin');
+        for (let i = 0; i < 3; i++) {
+            await prestamo(aprendiz._id, {
+                estado: 'Devuelto',
+                fecha_estimada: new Date(Date.now() - 10 * DIA),
+                fecha_retorno: new Date(Date.now() - 5 * DIA),
+            });
+        }
+        const token = await login('aprendiz@test.com');
+        await solicitar(token).expect(403);
+
+        const superAdmin = await login('super@test.com');
+        await request(app).post(`/api/users/${aprendiz._id}/excepcion-prestamo`)
+            .set('Authorization', `Bearer ${superAdmin}`)
+            .send({ motivo: 'Práctica de fin de trimestre' })
+            .expect(200);
+
+        await solicitar(token).expect(201);
+        await solicitar(token).expect(403);
+    });
+
+    test('si el préstamo no se crea, la excepción sigue disponible', async () => {
+        const aprendiz = await crearUsuario('aprendiz@test.com', 'Comun');
+        await crearUsuario('super@test.com', 'SuperAdmin');
+        for (let i = 0; i < 3; i++) {
+            await prestamo(aprendiz._id, {
+                estado: 'Devuelto',
+                fecha_estimada: new Date(Date.now() - 10 * DIA),
+                fecha_retorno: new Date(Date.now() - 5 * DIA),
+            });
+        }
+        await request(app).post(`/api/users/${aprendiz._id}/excepcion-prestamo`)
+            .set('Authorization', `Bearer ${await login('super@test.com')}`)
+            .send({ motivo: 'Práctica de fin de trimestre' })
+            .expect(200);
+        const token = await login('aprendiz@test.com');
+
+        const create = jest.spyOn(Loan, 'create').mockRejectedValueOnce(new Error('fallo de escritura'));
+        await solicitar(token).expect(500);
+        create.mockRestore();
+
+        await solicitar(token).expect(201);
+    });
+
+    test('los préstamos de consumibles sin fecha estimada no cuentan como tardíos', async () => {
+        const aprendiz = await crearUsuario('aprendiz@test.com', 'Comun');
+        for (let i = 0; i < 3; i++) {
+            await prestamo(aprendiz._id, { estado: 'Devuelto', fecha_estimada: null, fecha_retorno: new Date(Date.now() - DIA) });
+        }
+        await prestamo(aprendiz._id, { estado: 'Devuelto', fecha_retorno: new Date(Date.now() - DIA) });
+        const token = await login('aprendiz@test.com');
+
+        await solicitar(token).expect(201);
+    });
+});
+describe('límites de préstamo', () => {
+    const crearItem = async (limites) => {
+        const { insertedId } = await mongoose.connection.collection('items').insertOne({ nombre: 'Multímetro', ...limites });
+        return insertedId;
+    };
+
+    const solicitarItem = (token, item, cantidad, extra = {}) => request(app).post('/api/prestamos')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ items: [{ item, aula: new mongoose.Types.ObjectId(), cantidad_prestamo: cantidad }], ...extra });
+
+    test('respeta el máximo por préstamo y el máximo simultáneo por usuario', async () => {
+        await crearUsuario('aprendiz@test.com', 'Comun');
+        const item = await crearItem({ limite_por_prestamo: 2, limite_por_usuario: 3 });
+        const token = await login('aprendiz@test.com');
+
+        await solicitarItem(token, item, 3).expect(400);
+        await solicitarItem(token, item, 2).expect(201);
+        const { body } = await solicitarItem(token, item, 2).expect(400);
+        expect(body.message).toContain('ya tiene 2');
+    });
+
+    test('aplica el límite de días del rol cuando es menor que el del ítem', async () => {
+        await crearUsuario('aprendiz@test.com', 'Comun');
+        await crearUsuario('super@test.com', 'SuperAdmin');
+        const item = await crearItem({ max_dias_prestamo: 30 });
+        const superAdmin = await login('super@test.com');
+
+        await request(app).put('/api/prestamos/politica')
+            .set('Authorization', `Bearer ${superAdmin}`)
+            .send({ limites_rol: { Comun: { max_dias: 7 } } })
+            .expect(200);
+
+        const token = await login('aprendiz@test.com');
+        await solicitarItem(token, item, 1, { fecha_sugerida_usuario: new Date(Date.now() + 10 * DIA).toISOString() })
+            .expect(400);
+        await solicitarItem(token, item, 1, { fecha_sugerida_usuario: new Date(Date.now() + 5 * DIA).toISOString() })
+            .expect(201);
+    });
+
+    test('no admite el mismo ítem repetido en varias líneas', async () => {
+        await crearUsuario('aprendiz@test.com', 'Comun');
+        const token = await login('aprendiz@test.com');
+        const item = new mongoose.Types.ObjectId();
+        const aula = new mongoose.Types.ObjectId();
+
+        await request(app).post('/api/prestamos')
+            .set('Authorization', `Bearer ${token}`)
+            .send({ items: [{ item, aula, cantidad_prestamo: 1 }, { item, aula, cantidad_prestamo: 1 }] })
+            .expect(422);
+    });
+});
\ No newline at end of file
@@ -0,0 +1,35 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../app.js');
+const User = require('../models/User.js');
+const EmailVerification = require('../models/EmailVerification.js');
+
+const registrar = (email) => request(app).post('/api/auth/register')
+    .send({ nombre: 'Aprendiz', email, password: 'User123!' });
+
+describe('verificación de correo', () => {
+    afterEach(() => { delete process.env.REGISTER_EMAIL_DOMAINS; });
+
+    test('una cuenta sin verificar no puede solicitar préstamos hasta confirmar el correo', async () => {
+        const { body } = await registrar('aprendiz@test.com').expect(201);
+        expect(body.email_verificado).toBe(false);
+
+        await request(app).post('/api/prestamos')
+            .set('Authorization', `Bearer ${body.token}`)
+            .send({ items: [{ item: new mongoose.Types.ObjectId(), aula: new mongoose.Types.ObjectId(), cantidad_prestamo: 1 }] })
+            .expect(403);
+
+        const { token } = await EmailVerification.findOne().lean();
+        await request(app).post('/api/auth/verify-email').send({ token }).expect(200);
+        await request(app).post('/api/auth/verify-email').send({ token }).expect(400);
+
+        const user = await User.findOne({ email: 'aprendiz@test.com' }).lean();
+        expect(user.email_verificado).toBe(true);
+    });
+
+    test('restringe el registro a los dominios configurados', async () => {
+        process.env.REGISTER_EMAIL_DOMAINS = 'sena.edu.co, @misena.edu.co';
+        await registrar('alguien@gmail.com').expect(422);
+        await registrar('aprendiz@misena.edu.co').expect(201);
+    });
+});
\ No newline at end of file
@@ -0,0 +1,91 @@
+jest.mock('../services/mailService', () => ({
+    sendAprobacion: jest.fn(),
+    sendDevolucion: jest.fn(),
+    sendConfirmacionParcialUsuario: jest.fn()
+}));
+
+const mongoose = require('mongoose');
+const User = require('../models/User.js');
+const Item = require('../models/Item.js');
+const Loan = require('../models/Loan.js');
+const Incidente = require('../models/Incidente.js');
+const loanService = require('../services/loanService.js');
+const incidentService = require('../services/incidentService.js');
+const { evaluateUser, setPolicy } = require('../services/borrowingPolicyService.js');
+
+const prestamoAprobado = async (cantidad) => {
+    const usuario = await User.create({ nombre: 'Aprendiz', email: 'aprendiz@test.com', passwordHash: 'x', rol: 'Comun' });
+    const superAdmin = await User.create({ nombre: 'Super', email: 'super@test.com', passwordHash: 'x', rol: 'SuperAdmin' });
+    const aula = new mongoose.Types.ObjectId();
+    const { insertedId: item } = await Item.collection.insertOne({
+        nombre: 'Osciloscopio', aula, zona: new mongoose.Types.ObjectId(), cuentadante: new mongoose.Types.ObjectId(),
+        tipo_categoria: 'De Uso Controlado', cantidad_total_stock: 5, cantidad_disponible: 5, estado: 'Disponible',
+    });
+    const loan = await Loan.create({ usuario: usuario._id, items: [{ item, aula, cantidad_prestamo: cantidad }] });
+    await loanService.approveLoan(loan._id, new Date(Date.now() + 86400000));
+    return { usuario, superAdmin, item, loan };
+};
+
+describe('incidentes', () => {
+    test('el cierre forzado registra las unidades pendientes como perdidas', async () => {
+        const { usuario, item, loan } = await prestamoAprobado(2);
+
+        await loanService.forceCloseLoan(loan._id, 'No se presentó');
+
+        expect(await Item.findById(item).lean()).toMatchObject({ cantidad_total_stock: 3, cantidad_disponible: 3 });
+        const incidente = await Incidente.findOne({ prestamo: loan._id }).lean();
+        expect(incidente).toMatchObject({ tipo: 'pérdida', estado: 'abierto', cantidad: 2 });
+
+        await setPolicy({ incidentes_abiertos: 'autorizacion' });
+        const restricciones = await evaluateUser(usuario._id);
+        expect(restricciones.map(r => r.regla)).toContain('incidentes_abiertos');
+    });
+
+    test('un robo reportado se investiga y se cierra como repuesto', async () => {
+        const { superAdmin, item, loan } = await prestamoAprobado(1);
+
+        const incidente = await loanService.reportIncident(loan._id, loan.items[0]._id,
+            { tipo: 'robo', cantidad: 1, descripcion: 'Hurto en el bus' }, superAdmin._id);
+        expect(incidente.tipo).toBe('robo');
+        expect((await Loan.findById(loan._id).lean()).estado).toBe('Devuelto');
+
+        await incidentService.startInvestigation(superAdmin, incidente._id, 'Denuncia radicada');
+        const resuelto = await incidentService.resolveIncident(superAdmin, incidente._id, { resolucion: 'repuesto' });
+
+        expect(resuelto.estado).toBe('repuesto');
+        expect(resuelto.historial.map(h => h.a)).toEqual(['abierto', 'en investigación', 'repuesto']);
+        expect(await Item.findById(item).lean()).toMatchObject({ cantidad_total_stock: 5, cantidad_disponible: 5 });
+        await expect(incidentService.resolveIncident(superAdmin, incidente._id, { resolucion: 'dado de baja' }))
+            .rejects.toMatchObject({ status: 409 });
+    });
+
+    test('dos resoluciones simultáneas solo reponen el stock una vez', async () => {
+        const { superAdmin, item, loan } = await prestamoAprobado(2);
+        const incidente = await loanService.reportIncident(loan._id, loan.items[0]._id,
+            { tipo: 'pérdida', cantidad: 2 }, superAdmin._id);
+        expect(await Item.findById(item).lean()).toMatchObject({ cantidad_total_stock: 3, cantidad_disponible: 3 });
+
+        const resultados = await Promise.allSettled([1, 2].map(() =>
+            incidentService.resolveIncident(superAdmin, incidente._id, { resolucion: 'repuesto' })));
+
+        expect(resultados.filter(r => r.status === 'fulfilled')).toHaveLength(1);
+        expect(resultados.find(r => r.status === 'rejected').reason.status).toBe(409);
+        expect(await Item.findById(item).lean()).toMatchObject({ cantidad_total_stock: 5, cantidad_disponible: 5 });
+        expect((await Incidente.findById(incidente._id).lean()).historial).toHaveLength(2);
+    });
+
+    test('un daño ya reparado por ajuste de stock se puede cerrar sin volver a mover el stock', async () => {
+        const { superAdmin, item, loan } = await prestamoAprobado(1);
+        const { incidentes } = await loanService.confirmPartialReturn(loan._id, loan.items[0]._id, 1, undefined, undefined, {
+            condiciones: [{ condicion: 'dañado', cantidad: 1 }],
+        });
+
+        // Lo mismo que hace POST /items/:id/ajuste-stock tipo 'reparacion'
+        await Item.updateOne({ _id: item }, { $inc: { cantidad_danada: -1, cantidad_disponible: 1 } });
+
+        const resuelto = await incidentService.resolveIncident(superAdmin, incidentes[0]._id, { resolucion: 'dado de baja' });
+        expect(resuelto.estado).toBe('dado de baja');
+        expect(await Item.findById(item).lean())
+            .toMatchObject({ cantidad_total_stock: 5, cantidad_disponible: 5, cantidad_danada: 0 });
+    });
+});
\ No newline at end of file
@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+const request = require('supertest');
+const bcrypt = require('bcryptjs');
+const app = require('../app.js');
+const User = require('../models/User.js');
+const Item = require('../models/Item.js');
+
+const crearUsuario = async (email, rol, extra = {}) => User.create({
+    nombre: email.split('@')[0], email, rol, passwordHash: await bcrypt.hash('User123!', 10), ...extra,
+});
+
+const login = async (email) => {
+    const { body } = await request(app).post('/api/auth/login').send({ email, password: 'User123!' }).expect(200);
+    return body.token;
+};
+
+const listar = async (token, qs) => {
+    const { body } = await request(app).get(`/api/items${qs}`).set('Authorization', `Bearer ${token}`).expect(200);
+    return body;
+};
+
+const aulaA = new mongoose.Types.ObjectId();
+const aulaB = new mongoose.Types.ObjectId();
+
+const crearItem = (nombre, extra = {}) => Item.create({
+    nombre, aula: aulaA, zona: new mongoose.Types.ObjectId(), cuentadante: new mongoose.Types.ObjectId(),
+    tipo_categoria: 'De Uso Controlado', cantidad_total_stock: 5, cantidad_disponible: 5, ...extra,
+});
+
+describe('catálogo de ítems', () => {
+    beforeAll(() => Item.init());
+
+    test('la búsqueda de texto ignora tildes y ordena por relevancia', async () => {
+        await crearUsuario('super@test.com', 'SuperAdmin');
+        await crearItem('Balanza analítica', { descripcion: 'Junto al microscopio del laboratorio' });
+        await crearItem('Microscopio óptico');
+        await crearItem('Microscópio digital', { aula: aulaB });
+        await crearItem('Pipeta');
+        const token = await login('super@test.com');
+
+        const encontrados = await listar(token, '?q=microscopio');
+        expect(encontrados).toHaveLength(3);
+        expect(encontrados.map(i => i.nombre).slice(0, 2).sort()).toEqual(['Microscopio óptico', 'Microscópio digital']);
+        expect(encontrados[2].nombre).toBe('Balanza analítica');
+
+        const porNombre = await listar(token, '?q=microscopio&sort=nombre');
+        expect(porNombre.map(i => i.nombre)).toEqual(['Balanza analítica', 'Microscopio óptico', 'Microscópio digital']);
+
+        const pagina = await listar(token, `?q=microscopio&aula=${aulaA}&page=1&limit=10`);
+        expect(pagina).toMatchObject({ total: 2, page: 1, pages: 1 });
+    });
+
+    test('pagina el catálogo y respeta el alcance del admin', async () => {
+        await crearUsuario('super@test.com', 'SuperAdmin');
+        await crearUsuario('admin@test.com', 'Admin', { ambientes_asignados: [aulaB] });
+        for (let n = 1; n <= 25; n++) {
+            await crearItem(`Pinza ${String(n).padStart(2, '0')}`, { cantidad_total_stock: n, cantidad_disponible: n });
+        }
+        await crearItem('Taladro', { aula: aulaB });
+        const token = await login('super@test.com');
+
+        const pagina = await listar(token, '?page=2&limit=10');
+        expect(pagina).toMatchObject({ total: 26, page: 2, pages: 3 });
+        expect(pagina.data.map(i => i.nombre)).toEqual(
+            Array.from({ length: 10 }, (_, i) => `Pinza ${String(i + 11).padStart(2, '0')}`));
+
+        const porStock = await listar(token, '?page=1&limit=3&sort=-cantidad_disponible');
+        expect(porStock.data.map(i => i.cantidad_disponible)).toEqual([25, 24, 23]);
+
+        expect(await listar(token, '?limit=5')).toMatchObject({ page: 1, pages: 6 });
+        expect(Array.isArray(await listar(token, ''))).toBe(true);
+        await request(app).get('/api/items?page=0').set('Authorization', `Bearer ${token}`).expect(422);
+
+        const admin = await login('admin@test.com');
+        expect(await listar(admin, '?page=1')).toMatchObject({ total: 1, data: [expect.objectContaining({ nombre: 'Taladro' })] });
+        expect(await listar(admin, `?aula=${aulaA}&page=1`)).toMatchObject({ total: 0, data: [] });
+    });
+});
\ No newline at end of file
@@ -0,0 +1,107 @@
+const request = require('supertest');
+const bcrypt = require('bcryptjs');
+const ExcelJS = require('exceljs');
+const app = require('../app.js');
+const User = require('../models/User.js');
+const Item = require('../models/Item.js');
+const Zone = require('../models/Zone.js');
+const Classroom = require('../models/Classroom.js');
+const Cuentadante = require('../models/Cuentadante.js');
+
+const COLUMNAS = [
+    'nombre', 'descripcion', 'tipo_categoria', 'cantidad_total_stock', 'zona', 'aula', 'numero_placa',
+    'codigo_unspsc', 'unidad_medida', 'presentacion', 'cuentadante', 'cuentadante_nombre',
+];
+
+const crearUsuario = async (email, rol, extra = {}) => User.create({
+    nombre: email.split('@')[0], email, rol, passwordHash: await bcrypt.hash('User123!', 10), ...extra,
+});
+
+const login = async (email) => {
+    const { body } = await request(app).post('/api/auth/login').send({ email, password: 'User123!' }).expect(200);
+    return body.token;
+};
+
+// Filas del CSV como objetos { columna: valor } (sin comillas en los datos de prueba)
+const filasCsv = (texto) => {
+    const [encabezado, ...lineas] = texto.replace(/^\uFEFF/, '').split('\r\n').filter(Boolean);
+    const columnas = encabezado.split(',');
+    return { columnas, filas: lineas.map(l => Object.fromEntries(l.split(',').map((v, i) => [columnas[i], v]))) };
+};
+
+const binario = (res, cb) => {
+    const partes = [];
+    res.on('data', c => partes.push(c));
+    res.on('end', () => cb(null, Buffer.concat(partes)));
+};
+
+let zona, labA, labB, cuentadante;
+
+beforeEach(async () => {
+    zona = await Zone.create({ nombre: 'Sede Central' });
+    labA = await Classroom.create({ nombre: 'Laboratorio A', zona: zona._id });
+    labB = await Classroom.create({ nombre: 'Laboratorio B', zona: zona._id });
+    cuentadante = await Cuentadante.create({ nombre: 'María Pérez', numero_identificacion: '1012345678' });
+    const base = { zona: zona._id, cuentadante: cuentadante._id };
+    await Item.create([
+        { ...base, nombre: 'Osciloscopio', aula: labA._id, tipo_categoria: 'Equipo O Maquinaria',
+            numero_placa: 'SENA-001', cantidad_total_stock: 1, cantidad_disponible: 1, codigo_unspsc: '41113900' },
+        { ...base, nombre: 'Guantes', aula: labA._id, tipo_categoria: 'Consumible',
+            cantidad_total_stock: 40, cantidad_disponible: 30, unidad_medida: 'Par', presentacion: 'Caja x 50' },
+        { ...base, nombre: 'Taladro', aula: labB._id, tipo_categoria: 'De Uso Controlado',
+            cantidad_total_stock: 2, cantidad_disponible: 2 },
+        { ...base, nombre: 'Pinza vieja', aula: labA._id, tipo_categoria: 'De Uso Controlado',
+            cantidad_total_stock: 1, cantidad_disponible: 1, activo: false },
+    ]);
+});
+
+describe('exportación del inventario', () => {
+    test('el CSV trae las columnas de la importación y solo los ítems del scope del admin', async () => {
+        await crearUsuario('admin@test.com', 'Admin', { ambientes_asignados: [labA._id] });
+        const token = await login('admin@test.com');
+
+        const res = await request(app).get('/api/items/export').set('Authorization', `Bearer ${token}`).expect(200);
+        expect(res.headers['content-type']).toMatch(/text\/csv/);
+        expect(res.headers['content-disposition']).toMatch(/attachment; filename="inventario-\d{4}-\d{2}-\d{2}\.csv"/);
+
+        const { columnas, filas } = filasCsv(res.text);
+        expect(columnas).toEqual(COLUMNAS);
+        expect(filas.map(f => f.nombre)).toEqual(['Guantes', 'Osciloscopio']);
+        expect(filas[0]).toMatchObject({
+            tipo_categoria: 'Consumible', cantidad_total_stock: '40', zona: 'Sede Central', aula: 'Laboratorio A',
+            numero_placa: '', unidad_medida: 'Par', presentacion: 'Caja x 50',
+            cuentadante: String(cuentadante._id), cuentadante_nombre: 'María Pérez',
+        });
+        expect(filas[1]).toMatchObject({ numero_placa: 'SENA-001', codigo_unspsc: '41113900' });
+
+        const filtrado = await request(app).get('/api/items/export?tipo_categoria=Consumible')
+            .set('Authorization', `Bearer ${token}`).expect(200);
+        expect(filasCsv(filtrado.text).filas.map(f => f.nombre)).toEqual(['Guantes']);
+
+        const ajeno = await request(app).get(`/api/items/export?aula=${labB._id}`)
+            .set('Authorization', `Bearer ${token}`).expect(200);
+        expect(filasCsv(ajeno.text).filas).toEqual([]);
+    });
+
+    test('el XLSX tiene las mismas columnas y el SuperAdmin ve todos los ambientes', async () => {
+        await crearUsuario('super@test.com', 'SuperAdmin');
+        const token = await login('super@test.com');
+
+        const res = await request(app).get('/api/items/export?format=xlsx')
+            .set('Authorization', `Bearer ${token}`)
+            .buffer(true).parse(binario)
+            .expect(200);
+        expect(res.headers['content-type']).toMatch(/spreadsheetml/);
+
+        const workbook = new ExcelJS.Workbook();
+        await workbook.xlsx.load(res.body);
+        const sheet = workbook.getWorksheet('Inventario');
+        expect(sheet.getRow(1).values.slice(1)).toEqual(COLUMNAS);
+        const nombres = [];
+        sheet.eachRow((row, n) => { if (n > 1) nombres.push(row.getCell(1).value); });
+        expect(nombres).toEqual(['Guantes', 'Osciloscopio', 'Taladro']);
+        expect(sheet.getRow(4).getCell(6).value).toBe('Laboratorio B');
+
+        await request(app).get('/api/items/export?format=pdf').set('Authorization', `Bearer ${token}`).expect(422);
+    });
+});
\ No newline at end of file
@@ -0,0 +1,275 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const request = require('supertest');
+const bcrypt = require('bcryptjs');
+const app = require('../app.js');
+const User = require('../models/User.js');
+const Item = require('../models/Item.js');
+const Zone = require('../models/Zone.js');
+const Classroom = require('../models/Classroom.js');
+const Cuentadante = require('../models/Cuentadante.js');
+const StockMovement = require('../models/StockMovement.js');
+const ImportBatch = require('../models/ImportBatch.js');
+const { importItems } = require('../services/itemImportService.js');
+const { parseItemSheet } = require('../services/itemSheetService.js');
+const { buildCsv } = require('../services/itemExportService.js');
+
+// setup.js levanta un mongod standalone: el modo atómico usa la compensación manual
+const actorId = new mongoose.Types.ObjectId();
+let zona, aula, cuentadante;
+
+beforeEach(async () => {
+    await ImportBatch.init();
+    zona = await Zone.create({ nombre: 'Sede Central' });
+    aula = await Classroom.create({ nombre: 'Laboratorio 1', zona: zona._id });
+    const c = await Cuentadante.create({ nombre: 'María Pérez', numero_identificacion: '1012345678' });
+    cuentadante = String(c._id);
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+const fila = (nombre, cantidad, extra = {}) => ({
+    nombre,
+    tipo_categoria: 'Consumible',
+    cantidad_total_stock: cantidad,
+    zona: 'Sede Central',
+    aula: 'Laboratorio 1',
+    cuentadante,
+    ...extra
+});
+
+const crearExistente = (nombre, stock) => Item.create({
+    nombre,
+    zona: zona._id,
+    aula: aula._id,
+    cuentadante,
+    cantidad_total_stock: stock,
+    cantidad_disponible: stock,
+    tipo_categoria: 'Consumible'
+});
+
+describe('importación masiva idempotente', () => {
+    test('reenviar el mismo lote con la misma clave no suma stock dos veces', async () => {
+        const existente = await crearExistente('Resistencias', 10);
+        const lote = [fila('Resistencias', 5), fila('Cables', 3)];
+
+        const primero = await importItems(lote, { actorId, clave: 'inventario-2024-03' });
+        const segundo = await importItems(lote, { actorId, clave: 'inventario-2024-03' });
+
+        expect(primero.repetido).toBe(false);
+        expect(primero.resultado).toMatchObject({ insertados: 1, actualizados: 1, fallidos: 0 });
+        expect(segundo.repetido).toBe(true);
+        expect(segundo.resultado).toEqual(primero.resultado);
+
+        const actualizado = await Item.findById(existente._id);
+        expect(actualizado.cantidad_total_stock).toBe(15);
+        expect(await Item.countDocuments({ nombre: 'Cables' })).toBe(1);
+    });
+
+    test('sin Idempotency-Key el mismo archivo reenviado tampoco suma dos veces', async () => {
+        const existente = await crearExistente('Resistencias', 10);
+        const lote = [fila('Resistencias', 5)];
+
+        await importItems(lote, { actorId });
+        const segundo = await importItems(lote, { actorId });
+
+        expect(segundo.repetido).toBe(true);
+        expect((await Item.findById(existente._id)).cantidad_total_stock).toBe(15);
+        expect((await ImportBatch.findOne({ usuario: actorId }).lean()).expiresAt).toBeInstanceOf(Date);
+    });
+
+    test('un lote atómico interrumpido se retoma; uno normal queda como fallido', async () => {
+        const existente = await crearExistente('Resistencias', 10);
+        const lote = [fila('Resistencias', 5)];
+        const hash = crypto.createHash('sha256').update(JSON.stringify(lote)).digest('hex');
+        const haceUnaHora = new Date(Date.now() - 60 * 60 * 1000);
+        await ImportBatch.collection.insertMany([
+            { clave: 'atomico', usuario: actorId, hash, estado: 'en_proceso', atomic: true, updatedAt: haceUnaHora },
+            { clave: 'normal', usuario: actorId, hash, estado: 'en_proceso', atomic: false, updatedAt: haceUnaHora },
+            { clave: 'reciente', usuario: actorId, hash, estado: 'en_proceso', atomic: true, updatedAt: new Date() },
+        ]);
+
+        const retomado = await importItems(lote, { actorId, atomic: true, clave: 'atomico' });
+        expect(retomado).toMatchObject({ repetido: false, aplicado: true });
+        expect((await Item.findById(existente._id)).cantidad_total_stock).toBe(15);
+
+        await expect(importItems(lote, { actorId, clave: 'normal' })).rejects.toMatchObject({ status: 409 });
+        expect((await ImportBatch.findOne({ clave: 'normal' }).lean()).estado).toBe('fallido');
+        await expect(importItems(lote, { actorId, clave: 'reciente' })).rejects.toMatchObject({ status: 409 });
+        expect((await Item.findById(existente._id)).cantidad_total_stock).toBe(15);
+    });
+
+    test('rechaza una clave reutilizada con un archivo distinto', async () => {
+        await importItems([fila('Cables', 3)], { actorId, clave: 'lote-1' });
+
+        await expect(importItems([fila('Cables', 4)], { actorId, clave: 'lote-1' }))
+            .rejects.toMatchObject({ status: 422 });
+    });
+});
+
+describe('importación masiva atómica', () => {
+    test('una fila inválida cancela todo el lote y libera la clave', async () => {
+        const existente = await crearExistente('Resistencias', 10);
+
+        const { aplicado, resultado } = await importItems(
+            [fila('Resistencias', 5), fila('Cables', 3, { aula: 'No existe' })],
+            { actorId, atomic: true, clave: 'lote-atomico' }
+        );
+
+        expect(aplicado).toBe(false);
+        expect(resultado).toMatchObject({ insertados: 0, actualizados: 0, fallidos: 1 });
+        expect(resultado.errores[0].fila).toBe(3);
+        expect((await Item.findById(existente._id)).cantidad_total_stock).toBe(10);
+        expect(await ImportBatch.countDocuments({ clave: 'lote-atomico' })).toBe(0);
+    });
+
+    test('un fallo al guardar revierte las filas ya aplicadas', async () => {
+        const existente = await crearExistente('Resistencias', 10);
+        const saveOriginal = Item.prototype.save;
+        jest.spyOn(Item.prototype, 'save').mockImplementation(function (...args) {
+            if (this.nombre === 'Fusibles') return Promise.reject(new Error('Fallo simulado'));
+            return saveOriginal.apply(this, args);
+        });
+
+        const { aplicado, resultado } = await importItems(
+            [fila('Resistencias', 5), fila('Cables', 3), fila('Fusibles', 2)],
+            { actorId, atomic: true }
+        );
+
+        expect(aplicado).toBe(false);
+        expect(resultado.errores).toEqual([{ fila: 4, nombre: 'Fusibles', errores: ['Fallo simulado'] }]);
+
+        const actualizado = await Item.findById(existente._id);
+        expect(actualizado.cantidad_total_stock).toBe(10);
+        expect(actualizado.cantidad_disponible).toBe(10);
+        expect(await Item.countDocuments({ nombre: { $in: ['Cables', 'Fusibles'] } })).toBe(0);
+        expect(await StockMovement.countDocuments({ item: existente._id })).toBe(2);
+    });
+});
+
+describe('importación desde archivo', () => {
+    const csv = (texto) => ({ originalname: 'inventario.csv', buffer: Buffer.from(texto, 'utf8') });
+
+    test('acepta alias en español, separador ";" y cuentadante por identificación o nombre', async () => {
+        const items = await parseItemSheet(csv([
+            'Nombre;Tipo;Cantidad;SEDE;Ambiente;Placa;Responsable',
+            'Cables;Consumible;3;Sede Central;Laboratorio 1;;1012345678',
+            ';;;;;;',
+            'Fusibles;Consumible;2;sede central;laboratorio 1;;maria perez'
+        ].join('\r\n')));
+
+        expect(items.map(i => i._fila)).toEqual([2, 4]);
+
+        const { resultado } = await importItems(items, { actorId });
+        expect(resultado).toMatchObject({ insertados: 2, fallidos: 0 });
+        const fusibles = await Item.findOne({ nombre: 'Fusibles' });
+        expect(String(fusibles.cuentadante)).toBe(cuentadante);
+    });
+
+    test('encuentra sede y ambiente aunque cambien tildes, mayúsculas o espacios', async () => {
+        const tecnica = await Classroom.create({ nombre: 'Área Técnica', zona: zona._id });
+        const items = await parseItemSheet(csv([
+            'nombre,tipo_categoria,cantidad_total_stock,zona,aula,cuentadante',
+            `Brocas,Consumible,4,  SEDE   central ,AREA TECNICA,${cuentadante}`
+        ].join('\n')));
+
+        const { resultado } = await importItems(items, { actorId });
+
+        expect(resultado).toMatchObject({ insertados: 1, fallidos: 0 });
+        expect(await Item.findOne({ nombre: 'Brocas' }).lean()).toMatchObject({ aula: tecnica._id, zona: zona._id });
+    });
+
+    test('reporta los errores con la fila real de la hoja', async () => {
+        const items = await parseItemSheet(csv([
+            'nombre,tipo_categoria,cantidad_total_stock,zona,aula,cuentadante',
+            '',
+            'Cables,Consumible,3,Sede Central,Laboratorio 1,Juan Nadie'
+        ].join('\n')));
+
+        const { resultado } = await importItems(items, { actorId });
+        expect(resultado.errores).toEqual([
+            { fila: 3, nombre: 'Cables', errores: ['Cuentadante "Juan Nadie" no encontrado'] }
+        ]);
+    });
+
+    test('el archivo exportado se reimporta con modo=actualizar sin cambiar el stock', async () => {
+        const resistencias = await crearExistente('Resistencias', 10);
+        await Item.updateOne({ _id: resistencias._id }, { $inc: { cantidad_disponible: -4 } });
+        const osciloscopio = await Item.create({
+            nombre: 'Osciloscopio', numero_placa: 'SENA-001', zona: zona._id, aula: aula._id, cuentadante,
+            cantidad_total_stock: 1, cantidad_disponible: 1, tipo_categoria: 'Equipo O Maquinaria'
+        });
+
+        const exportados = await Item.find({}).populate('zona aula cuentadante').sort({ nombre: 1 }).lean();
+        const items = await parseItemSheet(csv(buildCsv(exportados)));
+
+        const { resultado } = await importItems(items, { actorId, modo: 'actualizar' });
+        expect(resultado).toMatchObject({ insertados: 0, actualizados: 2, fallidos: 0 });
+        expect(await Item.countDocuments()).toBe(2);
+        expect(await Item.findById(resistencias._id).lean())
+            .toMatchObject({ cantidad_total_stock: 10, cantidad_disponible: 6 });
+        expect(await Item.findById(osciloscopio._id).lean())
+            .toMatchObject({ cantidad_total_stock: 1, cantidad_disponible: 1 });
+        expect(await StockMovement.countDocuments({ tipo: 'importacion' })).toBe(0);
+
+        // Editar el total en la hoja lo fija, sin sumar
+        const editados = items.map(i => i.nombre === 'Resistencias' ? { ...i, cantidad_total_stock: '12' } : i);
+        await importItems(editados, { actorId, modo: 'actualizar' });
+        expect(await Item.findById(resistencias._id).lean())
+            .toMatchObject({ cantidad_total_stock: 12, cantidad_disponible: 8 });
+    });
+
+    test('rechaza un archivo sin las columnas obligatorias', async () => {
+        await expect(parseItemSheet(csv('nombre,cantidad\nCables,3')))
+            .rejects.toMatchObject({ status: 400 });
+    });
+});
+
+describe('vista previa (dryRun)', () => {
+    const token = async () => {
+        await User.create({ nombre: 'Super', email: 'super@test.com', rol: 'SuperAdmin', passwordHash: await bcrypt.hash('User123!', 10) });
+        const { body } = await request(app).post('/api/auth/login')
+            .send({ email: 'super@test.com', password: 'User123!' }).expect(200);
+        return body.token;
+    };
+
+    test('describe cada fila sin escribir ítems, movimientos ni lotes', async () => {
+        const existente = await crearExistente('Resistencias', 10);
+        const auth = `Bearer ${await token()}`;
+        const items = [fila('Resistencias', 5), fila('Cables', 3), fila('cables', 2), fila('Fusibles', 1, { aula: 'Bodega' })];
+
+        const { body } = await request(app).post('/api/items/bulk?dryRun=true')
+            .set('Authorization', auth)
+            .set('Idempotency-Key', 'vista-previa')
+            .send({ items })
+            .expect(200);
+
+        expect(body).toMatchObject({ dryRun: true, total: 4, insertaria: 1, fusionaria: 2, actualizaria: 0, fallaria: 1 });
+        expect(body.filas.map(f => [f.fila, f.resultado])).toEqual([
+            [2, 'fusionar'], [3, 'insertar'], [4, 'fusionar'], [5, 'error'],
+        ]);
+        expect(body.filas[0].item).toMatchObject({ cantidad_total_stock: 10, cantidad_total_resultante: 15 });
+        expect(body.filas[2].fila_destino).toBe(3);
+
+        const { body: actualizar } = await request(app).post('/api/items/bulk?dryRun=true&modo=actualizar')
+            .set('Authorization', auth)
+            .send({ items: [fila('Resistencias', 7)] })
+            .expect(200);
+        expect(actualizar).toMatchObject({ actualizaria: 1, fusionaria: 0 });
+        expect(actualizar.filas[0].item).toMatchObject({ cantidad_total_stock: 10, cantidad_total_resultante: 7 });
+
+        expect(await Item.find().lean()).toEqual([
+            expect.objectContaining({ _id: existente._id, cantidad_total_stock: 10, cantidad_disponible: 10 }),
+        ]);
+        expect(await StockMovement.countDocuments()).toBe(0);
+        expect(await ImportBatch.countDocuments()).toBe(0);
+
+        // La misma clave queda libre para la importación real
+        const { body: real } = await request(app).post('/api/items/bulk')
+            .set('Authorization', auth)
+            .set('Idempotency-Key', 'vista-previa')
+            .send({ items: items.slice(0, 3) })
+            .expect(207);
+        expect(real).toMatchObject({ insertados: 1, fallidos: 0 });
+    });
+});
\ No newline at end of file
@@ -0,0 +1,77 @@
+jest.mock('../services/mailService', () => ({
+    sendAprobacion: jest.fn(),
+    sendDevolucion: jest.fn(),
+    sendAplazado: jest.fn(),
+    sendConfirmacionParcialUsuario: jest.fn(),
+    notifyAdminsNewLoan: jest.fn()
+}));
+
+const mongoose = require('mongoose');
+const request = require('supertest');
+const bcrypt = require('bcryptjs');
+const app = require('../app.js');
+const User = require('../models/User.js');
+const Item = require('../models/Item.js');
+const loanService = require('../services/loanService.js');
+
+const crearUsuario = async (nombre, email, rol) => User.create({
+    nombre, email, rol, passwordHash: await bcrypt.hash('User123!', 10),
+});
+
+const login = async (email) => {
+    const { body } = await request(app).post('/api/auth/login').send({ email, password: 'User123!' }).expect(200);
+    return body.token;
+};
+
+describe('historial de estados del préstamo', () => {
+    test('cada transición queda con el estado anterior, el actor y la observación', async () => {
+        const usuario = await crearUsuario('Aprendiz', 'aprendiz@test.com', 'Comun');
+        await crearUsuario('Super', 'super@test.com', 'SuperAdmin');
+        await crearUsuario('Otro', 'otro@test.com', 'Comun');
+        const aula = new mongoose.Types.ObjectId();
+        const item = await Item.create({
+            nombre: 'Osciloscopio', aula, zona: new mongoose.Types.ObjectId(), cuentadante: new mongoose.Types.ObjectId(),
+            tipo_categoria: 'De Uso Controlado', cantidad_total_stock: 5, cantidad_disponible: 5,
+        });
+        const loan = await loanService.createLoan(usuario._id, {
+            items: [{ item: item._id, aula, cantidad_prestamo: 1 }],
+            observacion_solicitud: 'Práctica de electrónica',
+        });
+
+        const adminToken = await login('super@test.com');
+        await request(app).post(`/api/prestamos/${loan._id}/aprobar`)
+            .set('Authorization', `Bearer ${adminToken}`)
+            .send({ fecha_estimada: new Date(Date.now() + 86400000).toISOString(), observacion_aprobacion: 'Sin novedad' })
+            .expect(200);
+        await request(app).post(`/api/prestamos/${loan._id}/aplazar`)
+            .set('Authorization', `Bearer ${adminToken}`)
+            .send({ nueva_fecha_estimada: new Date(Date.now() + 3 * 86400000).toISOString() })
+            .expect(200);
+        await request(app).post(`/api/prestamos/${loan._id}/confirmar-parcial`)
+            .set('Authorization', `Bearer ${adminToken}`)
+            .send({ loanItemId: String(loan.items[0]._id), cantidadConfirmada: 1 })
+            .expect(200);
+
+        const { body } = await request(app).get(`/api/prestamos/${loan._id}/historial`)
+            .set('Authorization', `Bearer ${await login('aprendiz@test.com')}`)
+            .expect(200);
+
+        expect(body.estado).toBe('Devuelto');
+        expect(body.historial.map(h => [h.de, h.a])).toEqual([
+            [null, 'Pendiente'],
+            ['Pendiente', 'Aprobado'],
+            ['Aprobado', 'Aplazado'],
+            ['Aplazado', 'Devuelto'],
+        ]);
+        expect(body.historial.map(h => h.usuario.email)).toEqual(
+            ['aprendiz@test.com', 'super@test.com', 'super@test.com', 'super@test.com']);
+        expect(body.historial[0].observacion).toBe('Práctica de electrónica');
+        expect(body.historial[1].observacion).toBe('Sin novedad');
+        expect(body.historial[3].observacion).toMatch(/Cierre automático/);
+        for (const h of body.historial) expect(new Date(h.fecha).getTime()).not.toBeNaN();
+
+        await request(app).get(`/api/prestamos/${loan._id}/historial`)
+            .set('Authorization', `Bearer ${await login('otro@test.com')}`)
+            .expect(403);
+    });
+});
\ No newline at end of file
@@ -0,0 +1,93 @@
+const mongoose = require('mongoose');
+const request = require('supertest');
+const bcrypt = require('bcryptjs');
+const app = require('../app.js');
+const User = require('../models/User.js');
+const Loan = require('../models/Loan.js');
+
+const crearUsuario = async (email, rol, extra = {}) => User.create({
+    nombre: email.split('@')[0], email, rol, passwordHash: await bcrypt.hash('User123!', 10), ...extra,
+});
+
+const login = async (email) => {
+    const { body } = await request(app).post('/api/auth/login').send({ email, password: 'User123!' }).expect(200);
+    return body.token;
+};
+
+const dia = (n) => new Date(Date.UTC(2024, 4, n, 12));
+
+// Cinco préstamos con fecha de solicitud del 1 al 5 de mayo de 2024
+const sembrar = async () => {
+    const aulaA = new mongoose.Types.ObjectId();
+    const aulaB = new mongoose.Types.ObjectId();
+    const item = new mongoose.Types.ObjectId();
+    const ana = await crearUsuario('ana@test.com', 'Comun');
+    const beto = await crearUsuario('beto@test.com', 'Comun');
+    await crearUsuario('super@test.com', 'SuperAdmin');
+    await crearUsuario('admin@test.com', 'Admin', { ambientes_asignados: [aulaA] });
+
+    const linea = (aula, it = new mongoose.Types.ObjectId()) =>
+        [{ _id: new mongoose.Types.ObjectId(), item: it, aula, cantidad_prestamo: 1, estado_item: 'Aprobado' }];
+    const futuro = new Date(Date.now() + 86400000);
+    const { insertedIds } = await Loan.collection.insertMany([
+        { usuario: ana._id,  estado: 'Pendiente', items: linea(aulaA, item), fecha_solicitud: dia(1), createdAt: dia(1) },
+        { usuario: ana._id,  estado: 'Aprobado',  items: linea(aulaA), fecha_solicitud: dia(2), createdAt: dia(2), fecha_estimada: dia(3) },
+        { usuario: beto._id, estado: 'Aprobado',  items: linea(aulaB, item), fecha_solicitud: dia(3), createdAt: dia(3), fecha_estimada: futuro },
+        { usuario: beto._id, estado: 'Devuelto',  items: linea(aulaB), fecha_solicitud: dia(4), createdAt: dia(4), fecha_estimada: dia(5) },
+        { usuario: ana._id,  estado: 'Aplazado',  items: linea(aulaB), fecha_solicitud: dia(5), createdAt: dia(5), fecha_estimada: dia(6) },
+    ]);
+    return { aulaA, aulaB, item, ana, beto, ids: Object.values(insertedIds).map(String) };
+};
+
+const listar = async (token, qs = '') => {
+    const { body } = await request(app).get(`/api/prestamos${qs}`).set('Authorization', `Bearer ${token}`).expect(200);
+    return body;
+};
+
+describe('listado de préstamos', () => {
+    test('pagina y ordena solo cuando se pide', async () => {
+        const { ids } = await sembrar();
+        const token = await login('super@test.com');
+
+        const todos = await listar(token);
+        expect(Array.isArray(todos)).toBe(true);
+        expect(todos.map(l => l._id)).toEqual([...ids].reverse());
+
+        const pagina = await listar(token, '?page=2&limit=2&sort=fecha_solicitud');
+        expect(pagina).toMatchObject({ total: 5, page: 2, pages: 3 });
+        expect(pagina.data.map(l => l._id)).toEqual([ids[2], ids[3]]);
+
+        const ultima = await listar(token, '?page=3&limit=2&sort=fecha_solicitud');
+        expect(ultima.data.map(l => l._id)).toEqual([ids[4]]);
+
+        await request(app).get('/api/prestamos?limit=500').set('Authorization', `Bearer ${token}`).expect(422);
+    });
+
+    test('filtra por estado, usuario, aula, ítem, fechas y vencidos', async () => {
+        const { aulaB, item, beto, ids } = await sembrar();
+        const token = await login('super@test.com');
+        const idsDe = async (qs) => (await listar(token, `${qs}&page=1`)).data.map(l => l._id).sort();
+
+        expect(await idsDe('?estado=Aprobado')).toEqual([ids[1], ids[2]].sort());
+        expect(await idsDe(`?usuario=${beto._id}`)).toEqual([ids[2], ids[3]].sort());
+        expect(await idsDe(`?aula=${aulaB}`)).toEqual([ids[2], ids[3], ids[4]].sort());
+        expect(await idsDe(`?item=${item}`)).toEqual([ids[0], ids[2]].sort());
+        expect(await idsDe('?solicitud_desde=2024-05-02&solicitud_hasta=2024-05-03')).toEqual([ids[1], ids[2]].sort());
+        expect(await idsDe('?estimada_hasta=2024-05-05')).toEqual([ids[1], ids[3]].sort());
+        expect(await idsDe('?vencidos=true')).toEqual([ids[1], ids[4]].sort());
+        expect(await idsDe('?vencidos=true&estado=Devuelto')).toEqual([]);
+    });
+
+    test('respeta el alcance del admin y del usuario común', async () => {
+        const { aulaB, ids } = await sembrar();
+
+        const admin = await login('admin@test.com');
+        expect((await listar(admin, '?page=1')).data.map(l => l._id).sort()).toEqual([ids[0], ids[1]].sort());
+        expect(await listar(admin, `?aula=${aulaB}&page=1`)).toMatchObject({ data: [], total: 0 });
+
+        const ana = await login('ana@test.com');
+        expect((await listar(ana, '?page=1')).data.map(l => l._id).sort()).toEqual([ids[0], ids[1], ids[4]].sort());
+        const { data } = await listar(ana, '?page=1&estado=Aprobado');
+        expect(data.map(l => l._id)).toEqual([ids[1]]);
+    });
+});
\ No newline at end of file
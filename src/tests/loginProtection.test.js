@@ -0,0 +1,102 @@
+jest.mock('../services/mailService', () => ({
+    sendPasswordReset: jest.fn(),
+    sendEmailHintToUser: jest.fn()
+}));
+
+const request = require('supertest');
+const bcrypt = require('bcryptjs');
+const app = require('../app.js');
+const User = require('../models/User.js');
+const { MAX_FALLOS_CUENTA, MAX_FALLOS_IP } = require('../services/loginGuardService.js');
+const { sendEmailHintToUser } = require('../services/mailService');
+
+const crearUsuario = async (email, rol = 'Comun') => {
+    const passwordHash = await bcrypt.hash('User123!', 10);
+    return User.create({ nombre: 'User', email, passwordHash, rol });
+};
+
+const login = (email, password, ip = '10.0.0.1') => request(app)
+    .post('/api/auth/login')
+    .set('X-Forwarded-For', ip)
+    .send({ email, password });
+
+beforeAll(() => app.set('trust proxy', true));
+afterAll(() => app.set('trust proxy', false));
+
+describe('bloqueo por intentos fallidos', () => {
+    test('bloquea la cuenta tras varios fallos, incluso con la contraseña correcta', async () => {
+        await crearUsuario('user@test.com');
+
+        for (let i = 1; i < MAX_FALLOS_CUENTA; i++) {
+            await login('user@test.com', 'mala').expect(401);
+        }
+        const bloqueo = await login('user@test.com', 'mala').expect(423);
+        expect(bloqueo.headers['retry-after']).toBeDefined();
+
+        await login('user@test.com', 'User123!').expect(423);
+    });
+
+    test('el SuperAdmin desbloquea la cuenta', async () => {
+        const usuario = await crearUsuario('user@test.com');
+        await crearUsuario('super@test.com', 'SuperAdmin');
+        for (let i = 0; i < MAX_FALLOS_CUENTA; i++) await login('user@test.com', 'mala');
+
+        const { body } = await login('super@test.com', 'User123!', '10.0.0.2').expect(200);
+        const res = await request(app)
+            .patch(`/api/users/${usuario._id}/desbloquear`)
+            .set('Authorization', `Bearer ${body.token}`)
+            .expect(200);
+        expect(res.body.bloqueo_login_hasta).toBeNull();
+
+        await login('user@test.com', 'User123!').expect(200);
+    });
+
+    test('bloquea la IP tras muchos fallos con cuentas distintas', async () => {
+        await crearUsuario('user@test.com');
+        for (let i = 1; i < MAX_FALLOS_IP; i++) {
+            await login(`noexiste${i}@test.com`, 'mala', '10.0.0.9').expect(401);
+        }
+        await login('otro@test.com', 'mala', '10.0.0.9').expect(429);
+
+        await login('user@test.com', 'User123!', '10.0.0.9').expect(429);
+        await login('user@test.com', 'User123!', '10.0.0.10').expect(200);
+    });
+});
+
+describe('recordatorio de correo', () => {
+    test('responde lo mismo exista o no el nombre y envía el recordatorio por correo', async () => {
+        await User.create({ nombre: 'José Martínez', email: 'jose@test.com', passwordHash: 'x', rol: 'Comun' });
+
+        const existe = await request(app).post('/api/auth/hint-email').send({ nombre: 'jose martinez' }).expect(200);
+        const parcial = await request(app).post('/api/auth/hint-email').send({ nombre: 'Jo' }).expect(200);
+        const noExiste = await request(app).post('/api/auth/hint-email').send({ nombre: 'Nadie' }).expect(200);
+        await new Promise(resolve => setImmediate(resolve));
+
+        expect(existe.body).toEqual(noExiste.body);
+        expect(parcial.body).toEqual(noExiste.body);
+        expect(JSON.stringify(existe.body)).not.toMatch(/jose@|userId/i);
+        expect(sendEmailHintToUser).toHaveBeenCalledTimes(1);
+        expect(sendEmailHintToUser.mock.calls[0][0].email).toBe('jose@test.com');
+    });
+});
+
+describe('rate limiting', () => {
+    test('limita las búsquedas de cuenta por nombre', async () => {
+        for (let i = 0; i < 10; i++) {
+            await request(app).post('/api/auth/hint-email').set('X-Forwarded-For', '10.0.0.3')
+                .send({ nombre: 'User' }).expect(200);
+        }
+        const res = await request(app).post('/api/auth/hint-email').set('X-Forwarded-For', '10.0.0.3')
+            .send({ nombre: 'User' }).expect(429);
+        expect(res.headers['retry-after']).toBeDefined();
+    });
+
+    test('limita las solicitudes de recuperación de contraseña', async () => {
+        for (let i = 0; i < 5; i++) {
+            await request(app).post('/api/auth/request-password-reset').set('X-Forwarded-For', '10.0.0.4')
+                .send({ email: 'nadie@test.com' }).expect(200);
+        }
+        await request(app).post('/api/auth/request-password-reset').set('X-Forwarded-For', '10.0.0.4')
+            .send({ email: 'nadie@test.com' }).expect(429);
+    });
+});
\ No newline at end of file
@@ -0,0 +1,60 @@
+jest.mock('../services/mailService', () => ({
+    sendAprobacion: jest.fn()
+}));
+
+const mongoose = require('mongoose');
+const request = require('supertest');
+const bcrypt = require('bcryptjs');
+const app = require('../app.js');
+const User = require('../models/User.js');
+const Item = require('../models/Item.js');
+const Loan = require('../models/Loan.js');
+const loanService = require('../services/loanService.js');
+
+const crearAdmin = async (email, aula) => User.create({
+    nombre: email.split('@')[0], email, passwordHash: await bcrypt.hash('User123!', 10), rol: 'Admin', ambientes_asignados: [aula],
+});
+
+const login = async (email) => {
+    const { body } = await request(app).post('/api/auth/login').send({ email, password: 'User123!' }).expect(200);
+    return body.token;
+};
+
+const crearGuantes = (aula) => Item.create({
+    nombre: 'Guantes de nitrilo', aula, zona: new mongoose.Types.ObjectId(), cuentadante: new mongoose.Types.ObjectId(),
+    tipo_categoria: 'Consumible', cantidad_total_stock: 10, cantidad_disponible: 10, stock_minimo: 4,
+});
+
+describe('bajo stock de consumibles', () => {
+    test('el estado pasa a Bajo stock al descontar y vuelve al editar el mínimo', async () => {
+        const usuario = await User.create({ nombre: 'Aprendiz', email: 'aprendiz@test.com', passwordHash: 'x', rol: 'Comun' });
+        const aula = new mongoose.Types.ObjectId();
+        const item = await crearGuantes(aula);
+        expect(item.estado).toBe('Disponible');
+
+        const loan = await Loan.create({ usuario: usuario._id, items: [{ item: item._id, aula, cantidad_prestamo: 6 }] });
+        await loanService.approveLoan(loan._id, null);
+        expect((await Item.findById(item._id).lean()).estado).toBe('Bajo stock');
+
+        await Item.findByIdAndUpdate(item._id, { stock_minimo: 2 });
+        expect((await Item.findById(item._id).lean()).estado).toBe('Disponible');
+    });
+
+    test('GET /items/bajo-stock respeta el scope del admin', async () => {
+        const aula = new mongoose.Types.ObjectId();
+        const item = await crearGuantes(aula);
+        await Item.findByIdAndUpdate(item._id, { $inc: { cantidad_disponible: -7 } }, { new: true });
+
+        await crearAdmin('admin@test.com', aula);
+        await crearAdmin('otro@test.com', new mongoose.Types.ObjectId());
+
+        const { body } = await request(app).get('/api/items/bajo-stock')
+            .set('Authorization', `Bearer ${await login('admin@test.com')}`).expect(200);
+        expect(body).toHaveLength(1);
+        expect(body[0]).toMatchObject({ estado: 'Bajo stock', cantidad_disponible: 3, faltante: 1 });
+
+        const { body: vacio } = await request(app).get('/api/items/bajo-stock')
+            .set('Authorization', `Bearer ${await login('otro@test.com')}`).expect(200);
+        expect(vacio).toEqual([]);
+    });
+});
\ No newline at end of file
@@ -0,0 +1,74 @@
+jest.mock('../services/mailService', () => ({
+    sendAprobacion: jest.fn(),
+    notifyMaintenanceDue: jest.fn()
+}));
+
+const mongoose = require('mongoose');
+const User = require('../models/User.js');
+const Item = require('../models/Item.js');
+const Loan = require('../models/Loan.js');
+const loanService = require('../services/loanService.js');
+const maintenanceService = require('../services/maintenanceService.js');
+const { getWindowAvailability } = require('../services/availabilityService.js');
+const { notifyDueMaintenance } = require('../jobs/maintenanceJob.js');
+const { notifyMaintenanceDue } = require('../services/mailService');
+
+const crearBalanza = async (plan) => {
+    const { insertedId } = await Item.collection.insertOne({
+        nombre: 'Balanza analítica', aula: new mongoose.Types.ObjectId(), zona: new mongoose.Types.ObjectId(),
+        cuentadante: new mongoose.Types.ObjectId(), tipo_categoria: 'Equipo O Maquinaria',
+        cantidad_total_stock: 3, cantidad_disponible: 3, estado: 'Disponible', activo: true,
+        createdAt: new Date(), ...plan,
+    });
+    return insertedId;
+};
+
+describe('mantenimiento de equipos', () => {
+    test('las unidades en mantenimiento no se prestan y vuelven al finalizar conforme', async () => {
+        const admin = await User.create({ nombre: 'Super', email: 'super@test.com', passwordHash: 'x', rol: 'SuperAdmin' });
+        const item = await crearBalanza({ mantenimiento_cada_usos: 2, usos_desde_mantenimiento: 2 });
+
+        const registro = await maintenanceService.startMaintenance(admin, item,
+            { tipo: 'calibración', cantidad: 2, tecnico: 'Metrología SAS' });
+        expect(await Item.findById(item).lean()).toMatchObject({ cantidad_disponible: 1, cantidad_mantenimiento: 2 });
+        const ventana = await getWindowAvailability(await Item.findById(item).lean(), new Date(), new Date(Date.now() + 86400000));
+        expect(ventana.disponible).toBe(1);
+
+        await maintenanceService.finishMaintenance(admin, registro._id, { resultado: 'conforme' });
+        const despues = await Item.findById(item).lean();
+        expect(despues).toMatchObject({ cantidad_disponible: 3, cantidad_mantenimiento: 0, usos_desde_mantenimiento: 0 });
+        expect(maintenanceService.getPlanStatus(despues).vencido).toBe(false);
+        await expect(maintenanceService.finishMaintenance(admin, registro._id, { resultado: 'conforme' }))
+            .rejects.toMatchObject({ status: 409 });
+    });
+
+    test('dos finalizaciones simultáneas devuelven las unidades una sola vez', async () => {
+        const admin = await User.create({ nombre: 'Super', email: 'super@test.com', passwordHash: 'x', rol: 'SuperAdmin' });
+        const item = await crearBalanza({});
+        const registro = await maintenanceService.startMaintenance(admin, item,
+            { tipo: 'preventivo', cantidad: 2, tecnico: 'Metrología SAS' });
+
+        const resultados = await Promise.allSettled(['conforme', 'no conforme'].map(resultado =>
+            maintenanceService.finishMaintenance(admin, registro._id, { resultado })));
+
+        expect(resultados.filter(r => r.status === 'fulfilled')).toHaveLength(1);
+        expect(resultados.find(r => r.status === 'rejected').reason.status).toBe(409);
+        const despues = await Item.findById(item).lean();
+        expect(despues.cantidad_mantenimiento).toBe(0);
+        expect(despues.cantidad_disponible + (despues.cantidad_danada || 0)).toBe(3);
+    });
+
+    test('las entregas cuentan como usos y el job avisa una sola vez por semana', async () => {
+        const usuario = await User.create({ nombre: 'Aprendiz', email: 'aprendiz@test.com', passwordHash: 'x', rol: 'Comun' });
+        const item = await crearBalanza({ mantenimiento_cada_usos: 2 });
+        const { aula } = await Item.findById(item).lean();
+        const loan = await Loan.create({ usuario: usuario._id, items: [{ item, aula, cantidad_prestamo: 2 }] });
+        await loanService.approveLoan(loan._id, new Date(Date.now() + 86400000));
+
+        expect((await maintenanceService.listDueItems()).map(i => String(i._id))).toEqual([String(item)]);
+
+        expect(await notifyDueMaintenance()).toHaveLength(1);
+        expect(notifyMaintenanceDue).toHaveBeenCalledTimes(1);
+        expect(await notifyDueMaintenance()).toHaveLength(0);
+    });
+});
\ No newline at end of file
@@ -0,0 +1,45 @@
+const request = require('supertest');
+const bcrypt = require('bcryptjs');
+const app = require('../app.js');
+const User = require('../models/User.js');
+const PasswordReset = require('../models/PasswordReset.js');
+
+const crearUsuario = async () => {
+    const passwordHash = await bcrypt.hash('User123!', 10);
+    return User.create({ nombre: 'Usuario', email: 'user@test.com', passwordHash, rol: 'Comun' });
+};
+
+const login = (password) => request(app).post('/api/auth/login').send({ email: 'user@test.com', password });
+
+const cambiar = (token, passwordActual, passwordNueva) => request(app).patch('/api/auth/password')
+    .set('Authorization', `Bearer ${token}`)
+    .send({ passwordActual, passwordNueva });
+
+describe('política de contraseñas', () => {
+    test('el registro rechaza contraseñas que no cumplen la política', async () => {
+        const { body } = await request(app).post('/api/auth/register')
+            .send({ nombre: 'Nuevo', email: 'nuevo@test.com', password: 'abcdefgh' })
+            .expect(422);
+        expect(body.errores.length).toBeGreaterThan(0);
+    });
+
+    test('cambiar la contraseña exige la actual y no permite repetir una reciente', async () => {
+        const user = await crearUsuario();
+        const { body: sesion } = await login('User123!').expect(200);
+        const { body: otra } = await login('User123!').expect(200);
+        await PasswordReset.create({ userId: user._id, token: 'abc', expiresAt: new Date(Date.now() + 60000) });
+
+        await cambiar(sesion.token, 'Incorrecta1', 'Nueva1234').expect(400);
+        await cambiar(sesion.token, 'User123!', 'User123!').expect(422);
+        await cambiar(sesion.token, 'User123!', 'Nueva1234').expect(200);
+
+        // La sesión actual sigue activa, las demás y los enlaces de recuperación no
+        await request(app).get('/api/auth/me').set('Authorization', `Bearer ${sesion.token}`).expect(200);
+        await request(app).get('/api/auth/me').set('Authorization', `Bearer ${otra.token}`).expect(401);
+        await request(app).post('/api/auth/reset-password')
+            .send({ token: 'abc', newPassword: 'Otra12345' }).expect(400);
+
+        // La anterior sigue en el historial
+        await cambiar(sesion.token, 'Nueva1234', 'User123!').expect(422);
+    });
+});
\ No newline at end of file
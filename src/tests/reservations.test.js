@@ -0,0 +1,58 @@
+jest.mock('../services/mailService', () => ({
+    sendAprobacion: jest.fn(),
+    sendRechazo: jest.fn()
+}));
+
+const mongoose = require('mongoose');
+const User = require('../models/User.js');
+const Item = require('../models/Item.js');
+const Loan = require('../models/Loan.js');
+const loanService = require('../services/loanService.js');
+
+const DIA = 24 * 60 * 60 * 1000;
+
+// Reserva aprobada para mañana y pasado mañana
+const crearReserva = async () => {
+    const usuario = await User.create({ nombre: 'Aprendiz', email: 'aprendiz@test.com', passwordHash: 'x', rol: 'Comun' });
+    const aula = new mongoose.Types.ObjectId();
+    const item = await Item.create({
+        nombre: 'Proyector', aula, zona: new mongoose.Types.ObjectId(), cuentadante: new mongoose.Types.ObjectId(),
+        tipo_categoria: 'De Uso Controlado', cantidad_total_stock: 3, cantidad_disponible: 3,
+    });
+    const loan = await Loan.create({
+        usuario: usuario._id, items: [{ item: item._id, aula, cantidad_prestamo: 2 }],
+        fecha_inicio: new Date(Date.now() + DIA), fecha_fin: new Date(Date.now() + 2 * DIA),
+    });
+    expect((await loanService.approveLoan(loan._id)).estado).toBe('Reservado');
+    return { item, loan };
+};
+
+const moverVentana = (loan, inicio, fin) =>
+    Loan.updateOne({ _id: loan._id }, { fecha_inicio: new Date(Date.now() + inicio), fecha_fin: new Date(Date.now() + fin) });
+
+describe('entrega de reservas', () => {
+    test('no se entrega antes de fecha_inicio y sí dentro de la ventana', async () => {
+        const { item, loan } = await crearReserva();
+
+        await expect(loanService.deliverReservation(loan._id)).rejects.toMatchObject({ status: 400 });
+        expect((await Item.findById(item._id).lean()).cantidad_disponible).toBe(3);
+
+        await moverVentana(loan, -DIA, DIA);
+        const entregado = await loanService.deliverReservation(loan._id);
+
+        expect(entregado.estado).toBe('Aprobado');
+        expect((await Item.findById(item._id).lean()).cantidad_disponible).toBe(1);
+    });
+
+    test('una reserva vencida no se entrega y se puede rechazar', async () => {
+        const { item, loan } = await crearReserva();
+        await moverVentana(loan, -2 * DIA, -DIA);
+
+        await expect(loanService.deliverReservation(loan._id))
+            .rejects.toMatchObject({ status: 400, message: expect.stringMatching(/venció/) });
+        expect((await Item.findById(item._id).lean()).cantidad_disponible).toBe(3);
+        expect((await Loan.findById(loan._id).lean()).estado).toBe('Reservado');
+
+        expect((await loanService.rejectLoan(loan._id, 'Reserva vencida')).estado).toBe('Rechazado');
+    });
+});
\ No newline at end of file
@@ -0,0 +1,46 @@
+jest.mock('../services/mailService', () => ({
+    sendAprobacion: jest.fn(),
+    sendDevolucion: jest.fn(),
+    sendConfirmacionParcialUsuario: jest.fn()
+}));
+
+const mongoose = require('mongoose');
+const User = require('../models/User.js');
+const Item = require('../models/Item.js');
+const Loan = require('../models/Loan.js');
+const Incidente = require('../models/Incidente.js');
+const loanService = require('../services/loanService.js');
+
+describe('condición de las unidades devueltas', () => {
+    test('las dañadas pasan a cantidad_danada, las perdidas salen del total y se abren incidentes', async () => {
+        const usuario = await User.create({ nombre: 'Aprendiz', email: 'aprendiz@test.com', passwordHash: 'x', rol: 'Comun' });
+        const aula = new mongoose.Types.ObjectId();
+        const { insertedId: item } = await Item.collection.insertOne({
+            nombre: 'Multímetro', aula, zona: new mongoose.Types.ObjectId(), cuentadante: new mongoose.Types.ObjectId(),
+            tipo_categoria: 'De Uso Controlado', cantidad_total_stock: 10, cantidad_disponible: 10, estado: 'Disponible',
+        });
+        const loan = await Loan.create({ usuario: usuario._id, items: [{ item, aula, cantidad_prestamo: 4 }] });
+        await loanService.approveLoan(loan._id, new Date(Date.now() + 86400000));
+
+        await expect(loanService.confirmPartialReturn(loan._id, loan.items[0]._id, 2, undefined, undefined, {
+            condiciones: [{ condicion: 'dañado', cantidad: 3 }],
+        })).rejects.toMatchObject({ status: 400 });
+
+        const { cerrado, incidentes } = await loanService.confirmPartialReturn(loan._id, loan.items[0]._id, 4, undefined, undefined, {
+            condiciones: [
+                { condicion: 'dañado', cantidad: 1, observacion: 'Pantalla rota' },
+                { condicion: 'perdido', cantidad: 1 },
+            ],
+        });
+
+        expect(cerrado).toBe(true);
+        expect(await Item.findById(item).lean()).toMatchObject({
+            cantidad_total_stock: 9, cantidad_disponible: 8, cantidad_danada: 1,
+        });
+        expect(incidentes.map(i => i.tipo).sort()).toEqual(['daño', 'pérdida']);
+        expect(await Incidente.countDocuments({ prestamo: loan._id, usuario: usuario._id })).toBe(2);
+
+        const actualizado = await Loan.findById(loan._id).lean();
+        expect(actualizado.items[0].novedades).toHaveLength(2);
+    });
+});
\ No newline at end of file
@@ -0,0 +1,75 @@
+const request = require('supertest');
+const bcrypt = require('bcryptjs');
+const app = require('../app.js');
+const User = require('../models/User.js');
+const Session = require('../models/Session.js');
+
+const crearUsuario = async (rol = 'Comun', email = 'user@test.com') => {
+    const passwordHash = await bcrypt.hash('User123!', 10);
+    return User.create({ nombre: 'User', email, passwordHash, rol });
+};
+
+const login = (email = 'user@test.com') => request(app)
+    .post('/api/auth/login')
+    .send({ email, password: 'User123!' })
+    .expect(200);
+
+describe('sesiones y refresh tokens', () => {
+    test('login devuelve access y refresh token ligados a una sesión', async () => {
+        await crearUsuario();
+        const res = await login();
+
+        expect(res.body.token).toBeDefined();
+        expect(res.body.refreshToken).toMatch(/^[a-f\d]{24}\./);
+        expect(await Session.countDocuments()).toBe(1);
+
+        await request(app).get('/api/auth/me').set('Authorization', `Bearer ${res.body.token}`).expect(200);
+    });
+
+    test('refresh rota el token y reutilizar el anterior revoca la sesión', async () => {
+        await crearUsuario();
+        const { body: inicial } = await login();
+
+        const { body: rotado } = await request(app)
+            .post('/api/auth/refresh')
+            .send({ refreshToken: inicial.refreshToken })
+            .expect(200);
+        expect(rotado.refreshToken).not.toBe(inicial.refreshToken);
+
+        await request(app).post('/api/auth/refresh').send({ refreshToken: inicial.refreshToken }).expect(401);
+
+        // La reutilización invalidó toda la sesión, incluido el token rotado
+        await request(app).post('/api/auth/refresh').send({ refreshToken: rotado.refreshToken }).expect(401);
+        await request(app).get('/api/auth/me').set('Authorization', `Bearer ${rotado.token}`).expect(401);
+    });
+
+    test('logout invalida el access token de esa sesión solamente', async () => {
+        await crearUsuario();
+        const { body: movil } = await login();
+        const { body: portatil } = await login();
+
+        await request(app).post('/api/auth/logout').set('Authorization', `Bearer ${movil.token}`).expect(200);
+
+        await request(app).get('/api/auth/me').set('Authorization', `Bearer ${movil.token}`).expect(401);
+        await request(app).get('/api/auth/me').set('Authorization', `Bearer ${portatil.token}`).expect(200);
+    });
+
+    test('logout-all y el SuperAdmin cierran todas las sesiones del usuario', async () => {
+        const usuario = await crearUsuario();
+        await crearUsuario('SuperAdmin', 'super@test.com');
+        const { body: a } = await login();
+        const { body: b } = await login();
+
+        await request(app).post('/api/auth/logout-all').set('Authorization', `Bearer ${a.token}`).expect(200);
+        await request(app).get('/api/auth/me').set('Authorization', `Bearer ${b.token}`).expect(401);
+
+        const { body: c } = await login();
+        const { body: superAdmin } = await login('super@test.com');
+        const res = await request(app)
+            .post(`/api/users/${usuario._id}/logout-all`)
+            .set('Authorization', `Bearer ${superAdmin.token}`)
+            .expect(200);
+        expect(res.body.sesiones).toBe(1);
+        await request(app).get('/api/auth/me').set('Authorization', `Bearer ${c.token}`).expect(401);
+    });
+});
\ No newline at end of file
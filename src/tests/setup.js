@@ -1,5 +1,7 @@
 const mongoose = require('mongoose');
 const { MongoMemoryServer } = require('mongodb-memory-server');
+const { resetRateLimits } = require('../middlewares/rateLimit.js');
+const { clearSettingsCache } = require('../services/settingService.js');
 
 let mongo;
 
@@ -12,8 +14,10 @@ beforeAll(async () => {
 });
 
 beforeEach(async () => {
+    resetRateLimits();
+    clearSettingsCache();
     const collections = await mongoose.connection.db.collections();
-    for (const collection of collzections) {
+    for (const collection of collections) {
         await collection.deleteMany({});
     }
 });
@@ -0,0 +1,96 @@
+jest.mock('../services/mailService', () => ({
+    sendAprobacion: jest.fn(),
+    sendConfirmacionParcialUsuario: jest.fn()
+}));
+
+const mongoose = require('mongoose');
+const request = require('supertest');
+const bcrypt = require('bcryptjs');
+const app = require('../app.js');
+const User = require('../models/User.js');
+const Item = require('../models/Item.js');
+const Loan = require('../models/Loan.js');
+const StockMovement = require('../models/StockMovement.js');
+const loanService = require('../services/loanService.js');
+
+const crearItem = (nombre, tipo_categoria, stock) => Item.create({
+    nombre, tipo_categoria, zona: new mongoose.Types.ObjectId(), aula: new mongoose.Types.ObjectId(),
+    cuentadante: new mongoose.Types.ObjectId(), cantidad_total_stock: stock, cantidad_disponible: stock,
+});
+
+const movimientos = (item) => StockMovement.find({ item: item._id }).sort({ createdAt: 1, _id: 1 }).lean();
+
+const loginSuperAdmin = async () => {
+    const passwordHash = await bcrypt.hash('Admin123!', 10);
+    await User.create({ nombre: 'Super', email: 'super@test.com', passwordHash, rol: 'SuperAdmin' });
+    const { body } = await request(app).post('/api/auth/login')
+        .send({ email: 'super@test.com', password: 'Admin123!' }).expect(200);
+    return body.token;
+};
+
+describe('kardex de stock', () => {
+    test('aprobar, devolver y forzar el cierre dejan un movimiento con el stock antes y después', async () => {
+        const admin = await User.create({ nombre: 'Admin', email: 'admin@test.com', passwordHash: 'x', rol: 'Admin' });
+        const usuario = await User.create({ nombre: 'Aprendiz', email: 'aprendiz@test.com', passwordHash: 'x', rol: 'Comun' });
+        const equipo = await crearItem('Osciloscopio', 'De Uso Controlado', 5);
+        const guantes = await crearItem('Guantes', 'Consumible', 10);
+        const loan = await Loan.create({ usuario: usuario._id, items: [
+            { item: equipo._id, aula: equipo.aula, cantidad_prestamo: 3 },
+            { item: guantes._id, aula: guantes.aula, cantidad_prestamo: 4 },
+        ] });
+
+        await loanService.approveLoan(loan._id, new Date(Date.now() + 86400000), { actorId: admin._id });
+        await loanService.confirmPartialReturn(loan._id, loan.items[0]._id, 2, 'Llegaron dos', admin._id);
+        await loanService.forceCloseLoan(loan._id, 'No volvió', admin._id);
+
+        expect(await movimientos(equipo)).toEqual([
+            expect.objectContaining({ tipo: 'prestamo', cantidad: 3, disponible_antes: 5, disponible_despues: 2, total_antes: 5, total_despues: 5 }),
+            expect.objectContaining({ tipo: 'devolucion', cantidad: 2, disponible_antes: 2, disponible_despues: 4, total_antes: 5, total_despues: 5 }),
+            expect.objectContaining({ tipo: 'perdida', cantidad: 1, disponible_antes: 4, disponible_despues: 4, total_antes: 5, total_despues: 4 }),
+        ]);
+        expect(await movimientos(guantes)).toEqual([
+            expect.objectContaining({ tipo: 'prestamo', cantidad: 4, disponible_antes: 10, disponible_despues: 6 }),
+            expect.objectContaining({ tipo: 'cierre_forzado', cantidad: 4, disponible_antes: 6, disponible_despues: 10 }),
+        ]);
+        for (const m of [...await movimientos(equipo), ...await movimientos(guantes)]) {
+            expect(String(m.prestamo)).toBe(String(loan._id));
+            expect(String(m.usuario)).toBe(String(admin._id));
+        }
+    });
+
+    test('el ajuste de stock queda en el kardex y GET /movimientos filtra por fecha', async () => {
+        const token = await loginSuperAdmin();
+        const item = await crearItem('Multímetro', 'De Uso Controlado', 5);
+
+        const { body: ajuste } = await request(app).post(`/api/items/${item._id}/ajuste-stock`)
+            .set('Authorization', `Bearer ${token}`)
+            .send({ tipo: 'entrada', cantidad: 3, motivo: 'Compra 2024' })
+            .expect(200);
+        expect(ajuste.item).toMatchObject({ cantidad_total_stock: 8, cantidad_disponible: 8 });
+        expect(await movimientos(item)).toEqual([
+            expect.objectContaining({ tipo: 'entrada', cantidad: 3, disponible_antes: 5, disponible_despues: 8, motivo: 'Compra 2024' }),
+        ]);
+
+        await StockMovement.collection.insertMany([
+            { item: item._id, tipo: 'baja', cantidad: 1, disponible_antes: 9, disponible_despues: 8,
+                total_antes: 9, total_despues: 8, createdAt: new Date('2024-03-10T15:00:00Z') },
+            { item: item._id, tipo: 'entrada', cantidad: 1, disponible_antes: 8, disponible_despues: 9,
+                total_antes: 8, total_despues: 9, createdAt: new Date('2024-01-05T15:00:00Z') },
+        ]);
+
+        const { body } = await request(app).get(`/api/items/${item._id}/movimientos?desde=2024-03-01&hasta=2024-03-10`)
+            .set('Authorization', `Bearer ${token}`)
+            .expect(200);
+        expect(body.item.nombre).toBe('Multímetro');
+        expect(body.movimientos.map(m => m.tipo)).toEqual(['baja']);
+
+        const { body: todos } = await request(app).get(`/api/items/${item._id}/movimientos`)
+            .set('Authorization', `Bearer ${token}`)
+            .expect(200);
+        expect(todos.movimientos.map(m => m.tipo)).toEqual(['entrada', 'baja', 'entrada']);
+
+        await request(app).get(`/api/items/${item._id}/movimientos?desde=ayer`)
+            .set('Authorization', `Bearer ${token}`)
+            .expect(422);
+    });
+});
\ No newline at end of file
@@ -0,0 +1,115 @@
+const express = require('express');
+const request = require('supertest');
+const bcrypt = require('bcryptjs');
+const app = require('../app.js');
+const User = require('../models/User.js');
+const { codeForStep, currentStep } = require('../utils/totp.js');
+
+const crearUsuario = async (email, rol) => {
+    const passwordHash = await bcrypt.hash('User123!', 10);
+    return User.create({ nombre: rol, email, passwordHash, rol });
+};
+
+const login = (email) => request(app).post('/api/auth/login').send({ email, password: 'User123!' }).expect(200);
+
+// Activa 2FA y devuelve el secreto y los códigos de recuperación
+const activar2FA = async (token) => {
+    const { body: setup } = await request(app).post('/api/auth/2fa/setup')
+        .set('Authorization', `Bearer ${token}`).expect(200);
+    const { body } = await request(app).post('/api/auth/2fa/verify')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ codigo: codeForStep(setup.secreto, currentStep()) })
+        .expect(200);
+    return { secreto: setup.secreto, codigos: body.codigosRecuperacion };
+};
+
+describe('verificación en dos pasos', () => {
+    test('con 2FA activo el login exige un código y no acepta el mismo dos veces', async () => {
+        await crearUsuario('admin@test.com', 'Admin');
+        const { body: sesion } = await login('admin@test.com');
+        const { secreto, codigos } = await activar2FA(sesion.token);
+        expect(codigos).toHaveLength(10);
+
+        const { body: paso1 } = await login('admin@test.com');
+        expect(paso1.requiere2FA).toBe(true);
+        expect(paso1.token).toBeUndefined();
+
+        // El código usado al activar ya no sirve: se usa el del paso siguiente
+        await request(app).post('/api/auth/2fa/login')
+            .send({ tokenDesafio: paso1.tokenDesafio, codigo: codeForStep(secreto, currentStep()) })
+            .expect(401);
+        const { body: paso2 } = await request(app).post('/api/auth/2fa/login')
+            .send({ tokenDesafio: paso1.tokenDesafio, codigo: codeForStep(secreto, currentStep() + 1) })
+            .expect(200);
+        await request(app).get('/api/auth/me').set('Authorization', `Bearer ${paso2.token}`).expect(200);
+    });
+
+    test('un código de recuperación sirve una sola vez', async () => {
+        await crearUsuario('admin@test.com', 'Admin');
+        const { body: sesion } = await login('admin@test.com');
+        const { codigos } = await activar2FA(sesion.token);
+
+        const { body: d1 } = await login('admin@test.com');
+        await request(app).post('/api/auth/2fa/login')
+            .send({ tokenDesafio: d1.tokenDesafio, codigo: codigos[0] }).expect(200);
+
+        const { body: d2 } = await login('admin@test.com');
+        await request(app).post('/api/auth/2fa/login')
+            .send({ tokenDesafio: d2.tokenDesafio, codigo: codigos[0] }).expect(401);
+    });
+
+    test('el token de desafío no sirve como access token', async () => {
+        await crearUsuario('admin@test.com', 'Admin');
+        const { body: sesion } = await login('admin@test.com');
+        await activar2FA(sesion.token);
+
+        const { body } = await login('admin@test.com');
+        await request(app).get('/api/auth/me').set('Authorization', `Bearer ${body.tokenDesafio}`).expect(401);
+    });
+
+    test('la política del SuperAdmin obliga a los Admin a enrolarse', async () => {
+        await crearUsuario('super@test.com', 'SuperAdmin');
+        await crearUsuario('admin@test.com', 'Admin');
+        const { body: superAdmin } = await login('super@test.com');
+
+        await request(app).put('/api/auth/2fa/politica')
+            .set('Authorization', `Bearer ${superAdmin.token}`)
+            .send({ roles_obligatorios: ['Admin'] })
+            .expect(200);
+
+        const { body: admin } = await login('admin@test.com');
+        expect(admin.requiereEnrolamiento2FA).toBe(true);
+
+        await request(app).get('/api/items').set('Authorization', `Bearer ${admin.token}`).expect(403);
+        const { secreto } = await activar2FA(admin.token);
+        expect(secreto).toBeDefined();
+        await request(app).get('/api/items').set('Authorization', `Bearer ${admin.token}`).expect(200);
+
+        // Con la política activa no puede desactivarlo
+        await request(app).post('/api/auth/2fa/disable')
+            .set('Authorization', `Bearer ${admin.token}`)
+            .send({ password: 'User123!', codigo: codeForStep(secreto, currentStep() + 1) })
+            .expect(403);
+    });
+
+    test('las rutas de enrolamiento siguen abiertas con la API montada bajo otro prefijo', async () => {
+        await crearUsuario('super@test.com', 'SuperAdmin');
+        await crearUsuario('admin@test.com', 'Admin');
+        const { body: superAdmin } = await login('super@test.com');
+        await request(app).put('/api/auth/2fa/politica')
+            .set('Authorization', `Bearer ${superAdmin.token}`)
+            .send({ roles_obligatorios: ['Admin'] })
+            .expect(200);
+
+        const montada = express().use('/inventario', app);
+        const { body: admin } = await request(montada).post('/inventario/api/auth/login')
+            .send({ email: 'admin@test.com', password: 'User123!' })
+            .expect(200);
+        const auth = `Bearer ${admin.token}`;
+
+        await request(montada).get('/inventario/api/items').set('Authorization', auth).expect(403);
+        await request(montada).get('/inventario/api/auth/me').set('Authorization', auth).expect(200);
+        await request(montada).post('/inventario/api/auth/2fa/setup').set('Authorization', auth).expect(200);
+        await request(montada).post('/inventario/api/auth/logout').set('Authorization', auth).expect(200);
+    });
+});
\ No newline at end of file
@@ -0,0 +1,47 @@
+const request = require('supertest');
+const bcrypt = require('bcryptjs');
+const app = require('../app.js');
+const User = require('../models/User.js');
+const Loan = require('../models/Loan.js');
+
+const DIA = 24 * 60 * 60 * 1000;
+
+const crearUsuario = async (email, rol, extra = {}) => {
+    const passwordHash = await bcrypt.hash('User123!', 10);
+    return User.create({ nombre: email.split('@')[0], email, passwordHash, rol, ...extra });
+};
+
+const login = async (email) => {
+    const { body } = await request(app).post('/api/auth/login').send({ email, password: 'User123!' }).expect(200);
+    return body.token;
+};
+
+describe('administración de usuarios', () => {
+    test('pagina, filtra y ordena por préstamos vencidos', async () => {
+        await crearUsuario('super@test.com', 'SuperAdmin');
+        const moroso = await crearUsuario('moroso@test.com', 'Comun');
+        const cumplido = await crearUsuario('cumplido@test.com', 'Comun');
+        await crearUsuario('retirado@test.com', 'Comun', { activo: false });
+        await Loan.collection.insertMany([
+            { usuario: moroso._id, estado: 'Aprobado', fecha_estimada: new Date(Date.now() - DIA), items: [] },
+            { usuario: moroso._id, estado: 'Devuelto', items: [] },
+            { usuario: cumplido._id, estado: 'Aprobado', fecha_estimada: new Date(Date.now() + DIA), items: [] },
+        ]);
+        const token = await login('super@test.com');
+
+        const { body } = await request(app).get('/api/users?rol=Comun&activo=true&page=1&limit=1&sort=-prestamos_vencidos')
+            .set('Authorization', `Bearer ${token}`)
+            .expect(200);
+        expect(body.total).toBe(2);
+        expect(body.pages).toBe(2);
+        expect(body.data[0]).toMatchObject({
+            email: 'moroso@test.com', prestamos_total: 2, prestamos_activos: 1, prestamos_vencidos: 1,
+        });
+        expect(body.data[0].passwordHash).toBeUndefined();
+
+        const { body: conVencidos } = await request(app).get('/api/users?con_vencidos=true')
+            .set('Authorization', `Bearer ${token}`)
+            .expect(200);
+        expect(conVencidos.map(u => u.email)).toEqual(['moroso@test.com']);
+    });
+});
\ No newline at end of file
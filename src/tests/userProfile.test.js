@@ -0,0 +1,59 @@
+const request = require('supertest');
+const bcrypt = require('bcryptjs');
+const app = require('../app.js');
+const User = require('../models/User.js');
+
+const crearUsuario = async (email, rol) => {
+    const passwordHash = await bcrypt.hash('User123!', 10);
+    return User.create({ nombre: rol, email, passwordHash, rol });
+};
+
+const login = async (email) => {
+    const { body } = await request(app).post('/api/auth/login').send({ email, password: 'User123!' }).expect(200);
+    return body.token;
+};
+
+describe('perfil de usuario', () => {
+    test('el usuario edita su perfil pero no su rol, y el admin lo encuentra por ficha', async () => {
+        await crearUsuario('aprendiz@test.com', 'Comun');
+        await crearUsuario('admin@test.com', 'Admin');
+        const token = await login('aprendiz@test.com');
+
+        const { body } = await request(app).patch('/api/auth/me')
+            .set('Authorization', `Bearer ${token}`)
+            .send({ tipo_documento: 'TI', numero_documento: '1012345678', ficha: '2670001', programa: 'ADSO', rol: 'Admin' })
+            .expect(200);
+        expect(body.ficha).toBe('2670001');
+        expect(body.rol).toBe('Comun');
+        expect(body.passwordHash).toBeUndefined();
+
+        const admin = await login('admin@test.com');
+        const { body: encontrados } = await request(app).get('/api/users?q=2670001')
+            .set('Authorization', `Bearer ${admin}`)
+            .expect(200);
+        expect(encontrados.map(u => u.email)).toEqual(['aprendiz@test.com']);
+    });
+
+    test('no permite dos usuarios con el mismo documento', async () => {
+        const otro = await crearUsuario('otro@test.com', 'Comun');
+        await User.updateOne({ _id: otro._id }, { tipo_documento: 'CC', numero_documento: '1012345678' });
+        await crearUsuario('aprendiz@test.com', 'Comun');
+        const token = await login('aprendiz@test.com');
+
+        await request(app).patch('/api/auth/me')
+            .set('Authorization', `Bearer ${token}`)
+            .send({ tipo_documento: 'CC', numero_documento: '1012345678' })
+            .expect(409);
+    });
+
+    test('un Admin no puede editar a otro Admin', async () => {
+        const otroAdmin = await crearUsuario('otro@test.com', 'Admin');
+        await crearUsuario('admin@test.com', 'Admin');
+        const admin = await login('admin@test.com');
+
+        await request(app).patch(`/api/users/${otroAdmin._id}`)
+            .set('Authorization', `Bearer ${admin}`)
+            .send({ telefono: '3001234567' })
+            .expect(403);
+    });
+});
\ No newline at end of file
@@ -0,0 +1,63 @@
+const request = require('supertest');
+const bcrypt = require('bcryptjs');
+const mongoose = require('mongoose');
+const app = require('../app.js');
+const User = require('../models/User.js');
+const Loan = require('../models/Loan.js');
+
+const crearUsuario = async (email, rol) => {
+    const passwordHash = await bcrypt.hash('User123!', 10);
+    return User.create({ nombre: rol, email, passwordHash, rol });
+};
+
+const login = (email) => request(app).post('/api/auth/login').send({ email, password: 'User123!' });
+
+const nuevoPrestamo = { items: [{ item: new mongoose.Types.ObjectId(), aula: new mongoose.Types.ObjectId(), cantidad_prestamo: 1 }] };
+
+describe('desactivación y bloqueo de usuarios', () => {
+    test('una cuenta desactivada pierde sus sesiones y no puede volver a entrar', async () => {
+        const aprendiz = await crearUsuario('aprendiz@test.com', 'Comun');
+        await crearUsuario('admin@test.com', 'Admin');
+        const { body: sesion } = await login('aprendiz@test.com').expect(200);
+        const { body: admin } = await login('admin@test.com').expect(200);
+
+        await request(app).patch(`/api/users/${aprendiz._id}/activo`)
+            .set('Authorization', `Bearer ${admin.token}`)
+            .send({ activo: false, motivo: 'Terminó la formación' })
+            .expect(200);
+
+        await request(app).get('/api/auth/me').set('Authorization', `Bearer ${sesion.token}`).expect(401);
+        await login('aprendiz@test.com').expect(403);
+    });
+
+    test('no se desactiva a quien tiene préstamos activos', async () => {
+        const aprendiz = await crearUsuario('aprendiz@test.com', 'Comun');
+        await crearUsuario('admin@test.com', 'Admin');
+        await Loan.collection.insertOne({ usuario: aprendiz._id, estado: 'Aprobado', items: [] });
+        const { body: admin } = await login('admin@test.com').expect(200);
+
+        await request(app).patch(`/api/users/${aprendiz._id}/activo`)
+            .set('Authorization', `Bearer ${admin.token}`)
+            .send({ activo: false })
+            .expect(409);
+    });
+
+    test('un usuario bloqueado inicia sesión pero no puede solicitar préstamos', async () => {
+        const aprendiz = await crearUsuario('aprendiz@test.com', 'Comun');
+        await crearUsuario('admin@test.com', 'Admin');
+        const { body: admin } = await login('admin@test.com').expect(200);
+
+        await request(app).patch(`/api/users/${aprendiz._id}/bloqueo`)
+            .set('Authorization', `Bearer ${admin.token}`)
+            .send({ bloqueado: true, motivo: 'Equipo dañado sin reportar' })
+            .expect(200);
+
+        const { body: sesion } = await login('aprendiz@test.com').expect(200);
+        expect(sesion.bloqueado).toBe(true);
+        const { body } = await request(app).post('/api/prestamos')
+            .set('Authorization', `Bearer ${sesion.token}`)
+            .send(nuevoPrestamo)
+            .expect(403);
+        expect(body.message).toContain('Equipo dañado sin reportar');
+    });
+});
\ No newline at end of file
@@ -11,7 +11,25 @@ const isWithinNextHours = (date, hours) => {
     return date >= now && date <= limit;
 };
 
+/**
+ * Rango para filtros de fecha en Mongo: { $gte: desde, $lte: hasta }.
+ * Si `hasta` es solo fecha (YYYY-MM-DD) se incluye el día completo.
+ * Devuelve undefined si no se indicó ningún extremo.
+ */
+const buildDateRange = (desde, hasta) => {
+    if (!desde && !hasta) return undefined;
+    const rango = {};
+    if (desde) rango.$gte = new Date(desde);
+    if (hasta) {
+        const fin = new Date(hasta);
+        if (/^\d{4}-\d{2}-\d{2}$/.test(String(hasta))) fin.setUTCHours(23, 59, 59, 999);
+        rango.$lte = fin;
+    }
+    return rango;
+};
+
 module.exports = {
     addoHours,
-    isWithinNextHours
+    isWithinNextHours,
+    buildDateRange
 };
\ No newline at end of file
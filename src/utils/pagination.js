@@ -0,0 +1,48 @@
+/**
+ * Paginación y ordenamiento para listados.
+ *
+ * La paginación es opcional: solo se activa si la petición trae `page` o
+ * `limit`, para no romper a los clientes que esperan el array completo.
+ *
+ * `sort` acepta campos separados por coma; un "-" delante invierte el orden
+ * (ej: `-fecha_solicitud,estado`). Solo se aceptan campos de `allowedSort`.
+ */
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+const parseSort = (sort, allowedSort, defaultSort) => {
+    if (!sort) return defaultSort;
+    const result = {};
+    for (const raw of String(sort).split(',')) {
+        const campo = raw.trim().replace(/^-/, '');
+        if (!allowedSort.includes(campo)) continue;
+        result[campo] = raw.trim().startsWith('-') ? -1 : 1;
+    }
+    return Object.keys(result).length > 0 ? result : defaultSort;
+};
+
+const parsePagination = (query = {}, { allowedSort = [], defaultSort = { createdAt: -1 } } = {}) => {
+    const paginate = query.page !== undefined || query.limit !== undefined;
+    const page  = Math.max(1, parseInt(query.page, 10) || 1);
+    const limit = Math.min(MAX_LIMIT, Math.max(1, parseInt(query.limit, 10) || DEFAULT_LIMIT));
+    return {
+        paginate,
+        page,
+        limit,
+        skip: (page - 1) * limit,
+        sort: parseSort(query.sort, allowedSort, defaultSort),
+    };
+};
+
+const buildPage = (data, total, { page, limit }) => ({
+    data,
+    total,
+    page,
+    pages: Math.ceil(total / limit),
+});
+
+// Resultado vacío con la misma forma que devolvería el listado
+const emptyResult = (pagination) =>
+    pagination.paginate ? buildPage([], 0, pagination) : [];
+
+module.exports = { parsePagination, buildPage, emptyResult };
\ No newline at end of file
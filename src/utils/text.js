@@ -0,0 +1,13 @@
+/**
+ * Normaliza un texto para comparaciones tolerantes:
+ * sin tildes, en minúsculas y con los espacios colapsados.
+ * "  Área  Técnica " → "area tecnica"
+ */
+const normalizeText = (s) => String(s ?? '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .trim();
+
+module.exports = { normalizeText };
\ No newline at end of file
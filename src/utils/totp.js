@@ -0,0 +1,68 @@
+const crypto = require('crypto');
+
+/**
+ * TOTP (RFC 6238) compatible con Google Authenticator, Authy, etc.:
+ * HMAC-SHA1, pasos de 30 s y códigos de 6 dígitos.
+ */
+const PASO_SEGUNDOS = 30;
+const DIGITOS = 6;
+const BASE32 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const base32Encode = (buffer) => {
+    let bits = '';
+    for (const byte of buffer) bits += byte.toString(2).padStart(8, '0');
+    let out = '';
+    for (let i = 0; i < bits.length; i += 5) out += BASE32[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+    return out;
+};
+
+const base32Decode = (texto) => {
+    const limpio = String(texto).toUpperCase().replace(/[\s=-]/g, '');
+    let bits = '';
+    for (const ch of limpio) {
+        const v = BASE32.indexOf(ch);
+        if (v === -1) throw new Error('Secreto base32 inválido');
+        bits += v.toString(2).padStart(5, '0');
+    }
+    const bytes = [];
+    for (let i = 0; i + 8 <= bits.length; i += 8) bytes.push(parseInt(bits.slice(i, i + 8), 2));
+    return Buffer.from(bytes);
+};
+
+// Secreto de 160 bits (recomendado por la RFC 4226) en base32
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+const currentStep = (ahora = Date.now()) => Math.floor(ahora / 1000 / PASO_SEGUNDOS);
+
+const codeForStep = (secreto, paso) => {
+    const contador = Buffer.alloc(8);
+    contador.writeBigUInt64BE(BigInt(paso));
+    const hmac = crypto.createHmac('sha1', base32Decode(secreto)).update(contador).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binario = hmac.readUInt32BE(offset) & 0x7fffffff;
+    return String(binario % 10 ** DIGITOS).padStart(DIGITOS, '0');
+};
+
+/**
+ * Verifica un código tolerando `ventana` pasos de desfase de reloj.
+ * Devuelve el paso que coincidió (para impedir reutilizarlo) o null.
+ */
+const verifyCode = (secreto, codigo, { ventana = 1, ahora = Date.now() } = {}) => {
+    const limpio = String(codigo || '').replace(/\s/g, '');
+    if (!/^\d{6}$/.test(limpio)) return null;
+    const paso = currentStep(ahora);
+    for (let d = -ventana; d <= ventana; d++) {
+        const esperado = codeForStep(secreto, paso + d);
+        if (crypto.timingSafeEqual(Buffer.from(esperado), Buffer.from(limpio))) return paso + d;
+    }
+    return null;
+};
+
+// URI para generar el código QR en la app autenticadora
+const otpauthUrl = (secreto, cuenta, emisor) => {
+    const etiqueta = encodeURIComponent(`${emisor}:${cuenta}`);
+    const params = new URLSearchParams({ secret: secreto, issuer: emisor, algorithm: 'SHA1', digits: String(DIGITOS), period: String(PASO_SEGUNDOS) });
+    return `otpauth://totp/${etiqueta}?${params}`;
+};
+
+module.exports = { generateSecret, codeForStep, currentStep, verifyCode, otpauthUrl, base32Encode, base32Decode };
\ No newline at end of file
@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+const logger = require('../config/logger.js');
+
+// Un mongod standalone (desarrollo local) no soporta transacciones.
+// En ese caso se ejecuta el callback sin sesión y el llamador debe compensar.
+const isTransactionUnsupported = (err) =>
+    err?.code === 20 || /Transaction numbers are only allowed/i.test(err?.message || '');
+
+/**
+ * Ejecuta `fn(session)` dentro de una transacción de MongoDB.
+ * Si el servidor no es un replica set, ejecuta `fn(null)` sin transacción.
+ * Devuelve lo que retorne `fn`.
+ */
+const withTransaction = async (fn) => {
+    const session = await mongoose.startSession();
+    try {
+        let result;
+        await session.withTransaction(async () => {
+            result = await fn(session);
+        });
+        return result;
+    } catch (err) {
+        if (!isTransactionUnsupported(err)) throw err;
+        logger.warn('MongoDB sin soporte de transacciones (standalone). Ejecutando sin transacción.');
+        return fn(null);
+    } finally {
+        await session.endSession();
+    }
+};
+
+module.exports = { withTransaction };
\ No newline at end of file
@@ -0,0 +1,37 @@
+const { body, query } = require('express-validator');
+
+const CONDICIONES = ['Bueno', 'Regular', 'Dañado'];
+
+// Alta y edición de unidades físicas. Enviar null o '' borra el dato.
+const assetBody = [
+    body('numero_placa')
+        .optional({ nullable: true, checkFalsy: true })
+        .isString().trim()
+        .isLength({ max: 50 }).withMessage('Placa máximo 50 caracteres'),
+    body('serial')
+        .optional({ nullable: true, checkFalsy: true })
+        .isString().trim()
+        .isLength({ max: 100 }).withMessage('Serial máximo 100 caracteres'),
+    body('condicion')
+        .optional()
+        .isIn(CONDICIONES).withMessage(`La condición debe ser una de: ${CONDICIONES.join(', ')}`),
+    body('ubicacion')
+        .optional({ nullable: true, checkFalsy: true })
+        .isString().trim()
+        .isLength({ max: 120 }).withMessage('Ubicación máximo 120 caracteres'),
+    body('observacion')
+        .optional({ nullable: true, checkFalsy: true })
+        .isString().trim()
+        .isLength({ max: 500 }).withMessage('Observación máximo 500 caracteres'),
+];
+
+const assetsQuery = [
+    query('estado').optional()
+        .isIn(['Disponible', 'Prestado', 'En reparación', 'Mantenimiento', 'Perdido', 'Baja'])
+        .withMessage('Estado inválido'),
+];
+
+module.exports = {
+    assetBody,
+    assetsQuery,
+};
\ No newline at end of file
@@ -0,0 +1,54 @@
+const { body, query } = require('express-validator');
+
+const TIPOS = ['daño', 'pérdida', 'robo'];
+const ESTADOS = ['abierto', 'en investigación', 'repuesto', 'dado de baja'];
+const RESOLUCIONES = ['repuesto', 'dado de baja'];
+
+const observacion = body('observacion')
+    .optional({ nullable: true, checkFalsy: true })
+    .isString().trim()
+    .isLength({ max: 500 }).withMessage('Observación máximo 500 caracteres');
+
+// POST /prestamos/:id/incidentes
+const reportIncidentValidator = [
+    body('loanItemId').isMongoId().withMessage('loanItemId inválido'),
+    body('tipo').isIn(TIPOS).withMessage(`El tipo debe ser uno de: ${TIPOS.join(', ')}`),
+    body('cantidad')
+        .optional()
+        .isInt({ min: 1 }).withMessage('La cantidad debe ser un entero mayor a 0')
+        .toInt(),
+    body('unidades')
+        .optional()
+        .isArray().withMessage('unidades debe ser una lista de IDs de unidad'),
+    body('unidades.*').isMongoId().withMessage('ID de unidad inválido'),
+    body('descripcion')
+        .notEmpty().withMessage('Describe lo ocurrido')
+        .isString().trim()
+        .isLength({ max: 500 }).withMessage('Descripción máximo 500 caracteres'),
+];
+
+const resolveIncidentValidator = [
+    body('resolucion')
+        .isIn(RESOLUCIONES).withMessage(`La resolución debe ser una de: ${RESOLUCIONES.join(', ')}`),
+    observacion,
+];
+
+const investigationValidator = [observacion];
+
+const listIncidentsQuery = [
+    query('page').optional().isInt({ min: 1 }).withMessage('page debe ser un entero >= 1'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('limit debe estar entre 1 y 100'),
+    query('sort').optional().isString().trim(),
+    query('estado').optional().isIn(ESTADOS).withMessage('Estado inválido'),
+    query('abiertos').optional().isIn(['true', 'false']).withMessage('abiertos debe ser true o false'),
+    query('tipo').optional().isIn(TIPOS).withMessage('Tipo inválido'),
+    query(['usuario', 'item', 'prestamo', 'aula']).optional().isMongoId().withMessage('ID inválido'),
+    query(['desde', 'hasta']).optional().isISO8601().withMessage('Fecha inválida'),
+];
+
+module.exports = {
+    reportIncidentValidator,
+    resolveIncidentValidator,
+    investigationValidator,
+    listIncidentsQuery,
+};
\ No newline at end of file
@@ -1,7 +1,7 @@
-const { body, query } = require('express-validator');
+const { body, query, header } = require('express-validator');
 
 const tipos = ['Consumible', 'De Uso Controlado', 'Equipo O Maquinaria'];
-const estados = ['Disponible', 'Agotado'];
+const estados = ['Disponible', 'Bajo stock', 'Agotado'];
 
 const itemBody = [
     body('nombre').trim().notEmpty().withMessage('Nombre requerido').isLength({ max: 150 }),
@@ -15,15 +15,70 @@ const itemBody = [
     body('tipo_categoria').isIn(tipos).withMessage('Tipo de categoría inválido'),
     body('estado').optional().isIn(estados),
     body('cuentadante').isMongoId().withMessage('Cuentadante inválido o requerido'),
+    body(['limite_por_prestamo', 'limite_por_usuario', 'max_dias_prestamo'])
+        .optional({ nullable: true })
+        .isInt({ min: 1 }).withMessage('Los límites de préstamo deben ser enteros >= 1 (o null para quitarlos)'),
+    body(['mantenimiento_cada_dias', 'mantenimiento_cada_usos'])
+        .optional({ nullable: true })
+        .isInt({ min: 1 }).withMessage('El plan de mantenimiento debe ser un entero >= 1 (o null para quitarlo)'),
+    body('ultimo_mantenimiento').optional({ nullable: true }).isISO8601().withMessage('Fecha de último mantenimiento inválida'),
+    body('stock_minimo')
+        .optional({ nullable: true })
+        .isInt({ min: 0 }).withMessage('El stock mínimo debe ser un entero >= 0 (o null para quitarlo)'),
 ];
 
-const itemsQuery = [
+// Filtros compartidos por el listado y la exportación
+const itemFilters = [
     query('zona').optional().isMongoId(),
     query('aula').optional().isMongoId(),
-    query('q').optional().trim().escape()
+    query('q').optional().trim().escape(),
+    query('tipo_categoria').optional().isIn(tipos).withMessage('Tipo de categoría inválido'),
+    query('estado').optional().isIn(estados).withMessage('Estado inválido'),
+    query('cuentadante').optional().isMongoId().withMessage('Cuentadante inválido'),
+    query('codigo_unspsc').optional().trim().matches(/^\d{8}$/).withMessage('El código UNSPSC debe tener 8 dígitos'),
+    query('numero_placa').optional().trim().isLength({ max: 50 })
+];
+
+const itemsQuery = [
+    ...itemFilters,
+    query('page').optional().isInt({ min: 1 }).withMessage('page debe ser un entero >= 1'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('limit debe estar entre 1 y 100'),
+    query('sort').optional().isString().trim()
+];
+
+const exportQuery = [
+    ...itemFilters,
+    query('format').optional().isIn(['csv', 'xlsx']).withMessage('format debe ser "csv" o "xlsx"')
+];
+
+const lowStockQuery = [
+    query('aula').optional().isMongoId().withMessage('Aula inválida'),
+    query('zona').optional().isMongoId().withMessage('Zona inválida')
+];
+
+const movementsQuery = [
+    query('desde').optional().isISO8601().withMessage('Fecha "desde" inválida'),
+    query('hasta').optional().isISO8601().withMessage('Fecha "hasta" inválida')
+];
+
+const availabilityQuery = [
+    query('desde').isISO8601().withMessage('Fecha "desde" requerida (ISO 8601)'),
+    query('hasta').isISO8601().withMessage('Fecha "hasta" requerida (ISO 8601)')
+];
+
+const bulkQuery = [
+    query('dryRun').optional().isIn(['true', 'false']).withMessage('dryRun debe ser "true" o "false"'),
+    query('atomic').optional().isIn(['true', 'false']).withMessage('atomic debe ser "true" o "false"'),
+    query('modo').optional().isIn(['sumar', 'actualizar']).withMessage('modo debe ser "sumar" o "actualizar"'),
+    header('idempotency-key').optional().trim().isLength({ min: 1, max: 200 }).withMessage('Idempotency-Key debe tener entre 1 y 200 caracteres')
 ];
 
 module.exports = {
     itemBody,
-    itemsQuery
+    itemsQuery,
+    exportQuery,
+    lowStockQuery,
+    movementsQuery,
+    availabilityQuery,
+    bulkQuery
 };
\ No newline at end of file
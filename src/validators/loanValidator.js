@@ -1,9 +1,13 @@
-const { body } = require('express-validator');
+const { body, query } = require('express-validator');
 
 const createLoanValidator = [
     body('items')
         .isArray({ min: 1 })
-        .withMessage('Debes incluir al menos un ítem'),
+        .withMessage('Debes incluir al menos un ítem')
+        .bail()
+        // Repetir el ítem en varias líneas esquivaría el límite por préstamo
+        .custom(items => new Set(items.map(li => `${li?.item}|${li?.aula}`)).size === items.length)
+        .withMessage('Cada ítem debe aparecer una sola vez en la solicitud'),
     body('items.*.item')
         .isMongoId()
         .withMessage('ID de ítem inválido'),
@@ -21,6 +25,16 @@ const createLoanValidator = [
         .optional({ nullable: true, checkFalsy: true })
         .isISO8601().toDate()
         .withMessage('Fecha sugerida inválida'),
+    body('fecha_inicio')
+        .optional({ nullable: true, checkFalsy: true })
+        .isISO8601().toDate()
+        .withMessage('Fecha de inicio inválida'),
+    body('fecha_fin')
+        .optional({ nullable: true, checkFalsy: true })
+        .isISO8601().toDate()
+        .withMessage('Fecha de fin inválida')
+        .custom((fin, { req }) => !req.body.fecha_inicio || fin > new Date(req.body.fecha_inicio))
+        .withMessage('La fecha de fin debe ser posterior a la de inicio'),
     body('observacion_solicitud')
         .optional({ nullable: true, checkFalsy: true })
         .isString().trim()
@@ -45,6 +59,11 @@ const approveLoanValidator = [
     body('approvals.*.cantidad_aprobada')
         .optional()
         .isInt({ min: 0 }),
+    body('approvals.*.unidades')
+        .optional()
+        .isArray().withMessage('unidades debe ser una lista de IDs de unidad'),
+    body('approvals.*.unidades.*')
+        .isMongoId().withMessage('ID de unidad inválido'),
     body('itemsToRemove')
         .optional()
         .isArray(),
@@ -57,6 +76,47 @@ const approveLoanValidator = [
         .isLength({ max: 500 }),
 ];
 
+const deliverReservationValidator = [
+    body('entregas')
+        .optional()
+        .isArray(),
+    body('entregas.*.loanItemId')
+        .isMongoId().withMessage('loanItemId inválido'),
+    body('entregas.*.unidades')
+        .isArray().withMessage('unidades debe ser una lista de IDs de unidad'),
+    body('entregas.*.unidades.*')
+        .isMongoId().withMessage('ID de unidad inválido'),
+];
+
+const CONDICIONES_DEVOLUCION = ['bueno', 'dañado', 'incompleto', 'perdido'];
+
+const confirmReturnValidator = [
+    body('unidades')
+        .optional()
+        .isArray().withMessage('unidades debe ser una lista'),
+    body('unidades.*')
+        .custom(u => /^[a-f\d]{24}$/i.test(String(u?.asset ?? u)))
+        .withMessage('Cada unidad debe ser un ID o un objeto { asset, condicion, observacion }'),
+    body('unidades.*.condicion')
+        .optional()
+        .isIn(CONDICIONES_DEVOLUCION).withMessage(`La condición debe ser una de: ${CONDICIONES_DEVOLUCION.join(', ')}`),
+    body('unidades.*.observacion')
+        .optional({ nullable: true, checkFalsy: true })
+        .isString().trim()
+        .isLength({ max: 500 }).withMessage('Observación máximo 500 caracteres'),
+    body('condiciones')
+        .optional()
+        .isArray().withMessage('condiciones debe ser una lista'),
+    body('condiciones.*.condicion')
+        .isIn(CONDICIONES_DEVOLUCION).withMessage(`La condición debe ser una de: ${CONDICIONES_DEVOLUCION.join(', ')}`),
+    body('condiciones.*.cantidad')
+        .isInt({ min: 1 }).withMessage('La cantidad de cada condición debe ser un entero mayor a 0'),
+    body('condiciones.*.observacion')
+        .optional({ nullable: true, checkFalsy: true })
+        .isString().trim()
+        .isLength({ max: 500 }).withMessage('Observación máximo 500 caracteres'),
+];
+
 const delayLoanValidator = [
     body('nueva_fecha_estimada')
         .isISO8601().toDate()
@@ -70,9 +130,57 @@ const rejectLoanValidator = [
         .isLength({ max: 500 }).withMessage('Observación máximo 500 caracteres'),
 ];
 
+const listLoansQuery = [
+    query('page').optional().isInt({ min: 1 }).withMessage('page debe ser un entero >= 1'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('limit debe estar entre 1 y 100'),
+    query('sort').optional().isString().trim(),
+    query('estado').optional()
+        .isIn(['Pendiente', 'Aprobado', 'Rechazado', 'Devuelto', 'Aplazado', 'Cerrado', 'Reservado'])
+        .withMessage('Estado inválido'),
+    query('usuario').optional().isMongoId().withMessage('ID de usuario inválido'),
+    query('item').optional().isMongoId().withMessage('ID de ítem inválido'),
+    query('aula').optional().isMongoId().withMessage('ID de aula inválido'),
+    query('solicitud_desde').optional().isISO8601().withMessage('Fecha inválida'),
+    query('solicitud_hasta').optional().isISO8601().withMessage('Fecha inválida'),
+    query('estimada_desde').optional().isISO8601().withMessage('Fecha inválida'),
+    query('estimada_hasta').optional().isISO8601().withMessage('Fecha inválida'),
+    query('vencidos').optional().isIn(['true', 'false']).withMessage('vencidos debe ser true o false'),
+];
+
+const ACCIONES_POLITICA = ['permitir', 'bloquear', 'autorizacion'];
+
+const borrowingPolicyValidator = [
+    body(['prestamos_vencidos', 'devoluciones_tardias', 'incidentes_abiertos'])
+        .optional()
+        .isIn(ACCIONES_POLITICA)
+        .withMessage(`La acción debe ser una de: ${ACCIONES_POLITICA.join(', ')}`),
+    body('max_devoluciones_tardias')
+        .optional()
+        .isInt({ min: 0, max: 100 }).withMessage('max_devoluciones_tardias debe estar entre 0 y 100')
+        .toInt(),
+    body('meses_devoluciones_tardias')
+        .optional()
+        .isInt({ min: 1, max: 36 }).withMessage('meses_devoluciones_tardias debe estar entre 1 y 36')
+        .toInt(),
+    body('limites_rol')
+        .optional()
+        .isObject().withMessage('limites_rol debe ser un objeto')
+        .bail()
+        .custom(v => Object.keys(v).every(rol => ['Comun', 'Admin', 'SuperAdmin'].includes(rol)))
+        .withMessage('limites_rol solo admite los roles Comun, Admin y SuperAdmin'),
+    body(['limites_rol.*.max_por_prestamo', 'limites_rol.*.max_por_usuario', 'limites_rol.*.max_dias'])
+        .optional({ nullable: true })
+        .isInt({ min: 1 }).withMessage('Los límites por rol deben ser enteros >= 1 (o null para quitarlos)')
+        .toInt(),
+];
+
 module.exports = {
+    listLoansQuery,
+    borrowingPolicyValidator,
     createLoanValidator,
     approveLoanValidator,
+    deliverReservationValidator,
+    confirmReturnValidator,
     delayLoanValidator,
     rejectLoanValidator,
 };
\ No newline at end of file
@@ -0,0 +1,50 @@
+const { body, query } = require('express-validator');
+
+const TIPOS = ['preventivo', 'calibración', 'correctivo'];
+const RESULTADOS = ['conforme', 'no conforme'];
+
+// POST /items/:id/mantenimientos
+const startMaintenanceValidator = [
+    body('tipo').isIn(TIPOS).withMessage(`El tipo debe ser uno de: ${TIPOS.join(', ')}`),
+    body('cantidad')
+        .optional()
+        .isInt({ min: 1 }).withMessage('La cantidad debe ser un entero mayor a 0')
+        .toInt(),
+    body('unidades')
+        .optional()
+        .isArray().withMessage('unidades debe ser una lista de IDs de unidad'),
+    body('unidades.*').isMongoId().withMessage('ID de unidad inválido'),
+    body('tecnico')
+        .isString().trim()
+        .notEmpty().withMessage('Indica el técnico o la empresa que realiza el mantenimiento')
+        .isLength({ max: 150 }).withMessage('Técnico máximo 150 caracteres'),
+    body('descripcion')
+        .optional({ nullable: true, checkFalsy: true })
+        .isString().trim()
+        .isLength({ max: 500 }).withMessage('Descripción máximo 500 caracteres'),
+];
+
+// POST /mantenimientos/:id/finalizar
+const finishMaintenanceValidator = [
+    body('resultado').isIn(RESULTADOS).withMessage(`El resultado debe ser uno de: ${RESULTADOS.join(', ')}`),
+    body('observacion')
+        .optional({ nullable: true, checkFalsy: true })
+        .isString().trim()
+        .isLength({ max: 500 }).withMessage('Observación máximo 500 caracteres'),
+];
+
+const listMaintenanceQuery = [
+    query('page').optional().isInt({ min: 1 }).withMessage('page debe ser un entero >= 1'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('limit debe estar entre 1 y 100'),
+    query('sort').optional().isString().trim(),
+    query('estado').optional().isIn(['en curso', 'finalizado']).withMessage('Estado inválido'),
+    query('tipo').optional().isIn(TIPOS).withMessage('Tipo inválido'),
+    query(['item', 'aula']).optional().isMongoId().withMessage('ID inválido'),
+    query(['desde', 'hasta']).optional().isISO8601().withMessage('Fecha inválida'),
+];
+
+module.exports = {
+    startMaintenanceValidator,
+    finishMaintenanceValidator,
+    listMaintenanceQuery,
+};
\ No newline at end of file
@@ -0,0 +1,38 @@
+const { body } = require('express-validator');
+
+// Campos de perfil editables por el propio usuario (PATCH /auth/me) y por
+// los administradores (PATCH /users/:id). Enviar null o '' borra el dato.
+const profileValidator = [
+    body('nombre').optional().trim().notEmpty().withMessage('Nombre requerido').isLength({ max: 100 }),
+    body('tipo_documento')
+        .optional({ nullable: true, checkFalsy: true })
+        .isIn(['CC', 'TI', 'CE', 'PPT', 'PEP', 'Pasaporte'])
+        .withMessage('Tipo de documento inválido'),
+    body('numero_documento')
+        .optional({ nullable: true, checkFalsy: true })
+        .trim()
+        .matches(/^[A-Za-z0-9-]{5,20}$/)
+        .withMessage('Número de documento inválido (5 a 20 caracteres alfanuméricos)'),
+    body('telefono')
+        .optional({ nullable: true, checkFalsy: true })
+        .trim()
+        .matches(/^\+?[\d\s-]{7,20}$/)
+        .withMessage('Teléfono inválido'),
+    body('ficha')
+        .optional({ nullable: true, checkFalsy: true })
+        .trim()
+        .matches(/^\d{4,20}$/)
+        .withMessage('La ficha debe ser numérica'),
+    body('programa')
+        .optional({ nullable: true, checkFalsy: true })
+        .isString().trim()
+        .isLength({ max: 150 }).withMessage('Programa máximo 150 caracteres'),
+    body('instructor_responsable')
+        .optional({ nullable: true, checkFalsy: true })
+        .isString().trim()
+        .isLength({ max: 100 }).withMessage('Instructor responsable máximo 100 caracteres'),
+];
+
+module.exports = {
+    profileValidator
+};
\ No newline at end of file